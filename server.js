@@ -11,6 +11,7 @@ const log = require('./src/log');
 const io = require('./src/io')
 const Store = require('./src/store')
 const routes = require('./src/routes')
+const body = require('./src/body')
 
 // read .env and .env.defaults
 require('dotenv-defaults/config');
@@ -131,6 +132,7 @@ async function serverInit() {
 
   app.use(serve("public"));
   // app.use(serve(path.join(__dirname, '/public')))
+  app.use(body.json());
 
   // Initialize the SOSSData server REST API endpoints.
   if (store.storage) {
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const io = require('./io');
+const log = require('./log');
+
+// Personal API keys, for scripts and CI. They are passed like a JWT, in an 'Authorization: Bearer' header.
+// Each key is stored as <kid>.json under data/keys, with only a hash of its secret part.
+// A key acts as its user, limited to the permissions of its scope.
+const KEY_PREFIX = 'soss';
+const KEY_PATTERN = /^soss_([0-9a-f]{16})_([A-Za-z0-9_-]{32,})$/;
+
+const SCOPES = {
+  'full': [ '*' ],
+  'read': [ 'profile:read', 'docs:read', 'assets:read' ],
+  'projects:read': [ 'docs:read' ],
+  'projects:write': [ 'docs:read', 'docs:write' ],
+  'assets:read': [ 'assets:read' ],
+  'assets:upload': [ 'assets:read', 'assets:write' ]
+};
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function isKey(token) {
+  return (typeof token === 'string') && token.startsWith(KEY_PREFIX + '_');
+}
+
+// Returns the key record without its hash, as shown to its owner.
+function describe(rec) {
+  let result = Object.assign({ }, rec);
+  delete result.hash;
+  delete result.roles;
+  return result;
+}
+
+class ApiKeys {
+  constructor(folder) {
+    this.folder = folder;
+    this.keys = new Map();  // kid -> key record
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+    for (let fn of await io.folderGet(this.folder)) {
+      if (path.extname(fn) !== '.json') continue;
+      try {
+        let rec = JSON.parse(await io.fileGet(this.folder, fn));
+        this.keys.set(rec.kid, rec);
+      } catch (err) {
+        log.warn(`Ignoring unreadable API key file ${fn}: ${err.message}`);
+      }
+    }
+    log.info(`API keys: ${this.keys.size} loaded.`);
+  }
+
+  async keyPut(rec) {
+    await io.filePut(this.folder, rec.kid + '.json', JSON.stringify(rec, null, 2));
+    this.keys.set(rec.kid, rec);
+  }
+
+  // Creates a key for the user. expires is optional, in ms since the epoch.
+  // Returns { key, rec }, where key is the only copy of the full key, or null for an unknown scope.
+  async create(user, name, scope, expires) {
+    if (!SCOPES[scope]) {
+      return null;
+    }
+    let kid = crypto.randomBytes(8).toString('hex');
+    let secret = crypto.randomBytes(32).toString('base64url');
+    let rec = {
+      kid,
+      uid: user.uid,
+      login: user.login,
+      roles: user.roles,
+      name: name || kid,
+      scope,
+      created: Date.now(),
+      expires: expires || null,
+      hash: hashSecret(secret)
+    };
+    await this.keyPut(rec);
+    return { key: `${KEY_PREFIX}_${kid}_${secret}`, rec: describe(rec) };
+  }
+
+  // Returns the auth payload for a valid key, like a decoded JWT, or null.
+  verify(key) {
+    let match = KEY_PATTERN.exec(key || '');
+    if (!match) return null;
+    let rec = this.keys.get(match[1]);
+    if (!rec) return null;
+
+    let expected = Buffer.from(rec.hash, 'hex');
+    let actual = Buffer.from(hashSecret(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+    if (rec.expires && rec.expires < Date.now()) {
+      log.warn(`Rejected expired API key '${rec.name}' of '${rec.login}'.`);
+      return null;
+    }
+    return {
+      uid: rec.uid,
+      login: rec.login,
+      roles: rec.roles,
+      kid: rec.kid,
+      scopes: SCOPES[rec.scope] || [ ]
+    };
+  }
+
+  list(uid) {
+    let result = [ ];
+    for (let rec of this.keys.values()) {
+      if (rec.uid === uid) {
+        result.push(describe(rec));
+      }
+    }
+    return result.sort((a, b) => a.created - b.created);
+  }
+
+  // Revokes a key of the user. Returns false if the user has no such key.
+  async revoke(uid, kid) {
+    let rec = this.keys.get(kid);
+    if (!rec || rec.uid !== uid) return false;
+    this.keys.delete(kid);
+    await io.fileDelete(this.folder, kid + '.json');
+    return true;
+  }
+
+  async revokeAll(uid) {
+    let count = 0;
+    for (let rec of [...this.keys.values()]) {
+      if (rec.uid === uid) {
+        await this.revoke(uid, rec.kid);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Keeps the login and roles that keys act with in step with the user record.
+  async userUpdate(user) {
+    for (let rec of this.keys.values()) {
+      if (rec.uid === user.uid) {
+        rec.login = user.login;
+        rec.roles = user.roles;
+        await this.keyPut(rec);
+      }
+    }
+  }
+}
+
+ApiKeys.SCOPES = SCOPES;
+ApiKeys.isKey = isKey;
+
+module.exports = ApiKeys;
@@ -1,10 +1,18 @@
+const crypto = require('crypto');
 const path = require('path');
+const { Readable } = require('stream');
 const uuid = require('uuid-random');
 const multer = require('@koa/multer');
 
 const log = require('./log');
 const auth = require('./auth');
+const Blobs = require('./blobs');
+const etag = require('./etag');
 const io = require('./io');
+const query = require('./query');
+const ranges = require('./ranges');
+const sharing = require('./sharing');
+const spaces = require('./spaces');
 
 const JSON_TYPE = 'application/json; charset=utf-8';
 
@@ -12,19 +20,231 @@ const JSON_TYPE = 'application/json; charset=utf-8';
 const ONEMB = 1048576;
 const MAX_UPLOAD = 10*ONEMB;
 
+// The metadata fields that PATCH /assets/:id can change, and their limits.
+const EDITABLE = [ 'originalname', 'description', 'tags' ];
+const MAX_NAME = 255;
+const MAX_DESCRIPTION = 4000;
+const MAX_TAGS = 50;
+const MAX_TAG = 64;
+
 function logRoute(req, err) {
-  req.log.info({req, err}, 'route handler');
+  log.debug(`${req.method} ${req.url}` + (err ? `: ${err.message}` : ''));
+}
+
+function queryError(message) {
+  let err = new Error(message);
+  err.code = 'EQUERY';
+  return err;
+}
+
+function listOf(value) {
+  return String(value).split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+// A date query parameter, as an ISO date or a time in ms.
+function timeOf(value, name) {
+  let time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw queryError(`Invalid date for '${name}'.`);
+  }
+  return time;
+}
+
+// Takes the asset filters of GET /assets out of the query parameters, leaving the rest for query.js:
+// mimetype (a list, where 'image/*' matches every image type), from and to (on the upload time, inclusive),
+// and tags (a list of tags that must all be present, ignoring case). Sorts the newest first by default.
+// Returns { test, rest }, where test is the filter for asset metadata. space and owner stay in rest, where
+// query.js ignores them as it does for documents.
+function assetQuery(params) {
+  let rest = Object.assign({ }, params);
+  let take = (key) => {
+    let value = rest[key];
+    delete rest[key];
+    return Array.isArray(value) ? value[value.length - 1] : value;
+  };
+  let tests = [ ];
+  let mimetype = take('mimetype');
+  if (mimetype !== undefined) {
+    let types = listOf(mimetype).map(type => type.toLowerCase());
+    tests.push(meta => {
+      let type = String(meta.mimetype || '').toLowerCase();
+      return types.some(item => item.endsWith('/*') ? type.startsWith(item.slice(0, -1)) : type === item);
+    });
+  }
+  let from = take('from');
+  if (from !== undefined) {
+    let time = timeOf(from, 'from');
+    tests.push(meta => typeof meta.uploaded === 'number' && meta.uploaded >= time);
+  }
+  let to = take('to');
+  if (to !== undefined) {
+    let time = timeOf(to, 'to');
+    tests.push(meta => typeof meta.uploaded === 'number' && meta.uploaded <= time);
+  }
+  let tags = take('tags');
+  if (tags !== undefined) {
+    let wanted = listOf(tags).map(tag => tag.toLowerCase());
+    tests.push(meta => Array.isArray(meta.tags) && wanted.every(tag => meta.tags.some(item => String(item).toLowerCase() === tag)));
+  }
+  if (!rest.sort) {
+    rest.sort = '-uploaded';
+  }
+  return { test: meta => tests.every(test => test(meta)), rest };
+}
+
+// Checks the body of PATCH /assets/:id. Returns the error message, or null.
+function invalidChanges(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) return 'The body must be a JSON object.';
+  let keys = Object.keys(body);
+  if (!keys.length) return `Nothing to change. Send any of: ${EDITABLE.join(', ')}.`;
+  let other = keys.find(key => !EDITABLE.includes(key));
+  if (other) return `'${other}' cannot be changed. Only ${EDITABLE.join(', ')} can.`;
+  if ('originalname' in body) {
+    let name = body.originalname;
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME || /[/\\]/.test(name)) {
+      return `originalname must be a file name of up to ${MAX_NAME} characters.`;
+    }
+  }
+  if ('description' in body && body.description !== null) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION) {
+      return `description must be a string of up to ${MAX_DESCRIPTION} characters, or null.`;
+    }
+  }
+  if ('tags' in body && body.tags !== null) {
+    if (!Array.isArray(body.tags) || body.tags.length > MAX_TAGS ||
+        body.tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > MAX_TAG)) {
+      return `tags must be a list of up to ${MAX_TAGS} tags of up to ${MAX_TAG} characters, or null.`;
+    }
+  }
+  return null;
+}
+
+// The metadata of an asset with the changes of a valid PATCH body. null removes a description or the tags.
+function applyChanges(meta, body, which) {
+  let result = Object.assign({ }, meta);
+  if (!result.sha256 && !result.filename) {
+    // assets stored before blobs find their data by the extension of the original name, so keep it
+    result.filename = which + path.extname(meta.originalname || '');
+  }
+  if ('originalname' in body) {
+    result.originalname = body.originalname.trim();
+  }
+  if ('description' in body) {
+    if (body.description === null) delete result.description;
+    else result.description = body.description;
+  }
+  if ('tags' in body) {
+    if (body.tags === null) {
+      delete result.tags;
+    } else {
+      let seen = new Set();
+      result.tags = body.tags.map(tag => tag.trim()).filter(tag => {
+        let key = tag.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+  }
+  result.modified = Date.now();
+  return result;
+}
+
+// The extension of the data file of an asset, from its original name. Never '.json': <id>.json is the metadata.
+function dataExt(originalname) {
+  let ext = path.extname(originalname || '');
+  return (ext.toLowerCase() === '.json') ? '' : ext;
+}
+
+// A Content-Disposition header for the original file name, with a plain ASCII fallback for older clients (RFC 6266).
+function contentDisposition(type, filename) {
+  let fallback = String(filename).replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  let encoded = encodeURIComponent(filename).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// The ETag of the data of an asset (not its metadata), from its size and modification time.
+function dataTag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// True if the data has not changed since the date of an HTTP header, to the second.
+function unchangedSince(stat, header) {
+  let since = Date.parse(header);
+  return !isNaN(since) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(since / 1000);
+}
+
+// True if the If-Range header (an ETag or a date) of the request still matches the data, so that a Range applies.
+function rangeApplies(ctx, stat) {
+  let ifRange = ctx.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === dataTag(stat);
+  }
+  return unchangedSince(stat, ifRange);
+}
+
+// Sends the data of an asset from disk: whole, as one range (206), or as several in a multipart/byteranges body.
+// HEAD requests get the same headers, without the data.
+async function sendData(ctx, folder, fn, stat, type) {
+  ctx.set('Accept-Ranges', 'bytes');
+  ctx.set('Last-Modified', stat.mtime.toUTCString());
+  if (etag.conditionalGet(ctx, dataTag(stat))) {
+    return;
+  }
+  if (!ctx.get('If-None-Match') && unchangedSince(stat, ctx.get('If-Modified-Since'))) {
+    ctx.status = 304;
+    return;
+  }
+  let wanted = rangeApplies(ctx, stat) ? ranges.parse(ctx.get('Range'), stat.size) : null;
+  let head = (ctx.method === 'HEAD');
+  if (wanted && !wanted.length) {
+    ctx.status = 416;
+    ctx.set('Content-Range', `bytes */${stat.size}`);
+    ctx.body = 'Range not satisfiable.';
+    return;
+  }
+  if (wanted && wanted.length === 1) {
+    let { start, end } = wanted[0];
+    ctx.status = 206;
+    ctx.set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    ctx.type = type;
+    if (!head) ctx.body = io.fileStream(folder, fn, start, end);
+    ctx.length = end - start + 1;
+    return;
+  }
+  if (wanted) {
+    let boundary = crypto.randomBytes(12).toString('hex');
+    let parts = ranges.multipart(wanted, stat.size, type, boundary);
+    ctx.status = 206;
+    ctx.type = `multipart/byteranges; boundary=${boundary}`;
+    if (!head) {
+      ctx.body = Readable.from((async function* () {
+        for (let [i, range] of wanted.entries()) {
+          yield Buffer.from(parts.heads[i]);
+          yield* io.fileStream(folder, fn, range.start, range.end);
+        }
+        yield Buffer.from(parts.tail);
+      })());
+    }
+    ctx.length = parts.length;
+    return;
+  }
+  ctx.status = 200;
+  ctx.type = type;
+  if (!head) ctx.body = io.fileStream(folder, fn);
+  ctx.length = stat.size;
 }
 
 function initRoutes(router, store) {
   let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
 
+  // Uploads are written to the assets folder of the space that receiveUpload resolved for the request.
   var diskStorage = multer.diskStorage({
     destination: function (request, file, cb) {
-      let user = auth.getAuth(request, store.secret);
-      if (user) {
-        let folder = store.userFolder(user.uid, 'assets')
-        cb(null, folder);
+      if (request.space) {
+        let folder = store.userFolder(request.space, 'assets');
+        io.folderCreate(folder).then(() => cb(null, folder), cb);
       } else {
         let err = new Error('Missing user authentication.');
         log.error("Asset Upload "+err);
@@ -32,18 +252,32 @@ function initRoutes(router, store) {
       }
     },
     filename: function (request, file, cb) {
-      let fn = uuid();
-      let ext = path.extname(file.originalname);
-      cb(null, fn + ext);
+      cb(null, uuid() + dataExt(file.originalname));
     }
   })
 
   const limits = { fileSize: MAX_UPLOAD, files: 1 };
   const upload = multer({ storage: diskStorage, limits });
+  const receive = upload.single('upload_file');
 
-  // router.post('/assets', handleSingleUpload);
-  // router.post(prefix+'/assets', { preHandler: upload.single('upload_file') }, async (request, reply) => {
-  router.post(prefix + '/assets', async (ctx) => {
+  // Resolves the space of the upload (404 if the user is not a member of the team), then receives the file.
+  // multer's storage only sees the Node request, so the space is passed on as request.space.
+  async function receiveUpload(ctx, next) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    ctx.req.space = who;
+    try {
+      await receive(ctx, () => { });
+    } catch (err) {
+      log.warn(`Asset Upload ${err.message}`);
+      ctx.status = (err.code === 'LIMIT_FILE_SIZE') ? 413 : 400;
+      ctx.body = err.message;
+      return;
+    }
+    await next();
+  }
+
+  async function createAsset(ctx) {
     // request.body will hold the text fields, if there were any
     // request.file is the upload metadata: {
     //   destination:'./uploads'
@@ -59,23 +293,14 @@ function initRoutes(router, store) {
     if (!ctx.request.file) {
       let err = new Error('Upload is missing file.');
       log.error("Asset Upload "+err);
-      ctx.code = 400
+      ctx.status = 400
       ctx.body = err.message;
       return;
     }
 
-    console.log(`Uploaded file: ${ctx.request.file.originalname} (${ctx.request.file.size}) -> ${ctx.request.file.path}`);
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      // This can't really happen because the multer diskStorage instance above would have returned an error building the path.
-      // But just in case the implementation changes, handle it.
-      await io.pathDelete(ctx.request.file.path);
-      ctx.code = 401;
-      ctx.body = 'Not authorized.';
-      return;
-    }
-    let ext = path.extname(ctx.request.file.originalname);
-    let which = path.basename(ctx.request.file.path, ext);
+    let who = ctx.req.space;
+    let ext = path.extname(ctx.request.file.filename);
+    let which = path.basename(ctx.request.file.filename, ext);
     let meta = {
       id: which,
       filename: ctx.request.file.filename,
@@ -84,82 +309,113 @@ function initRoutes(router, store) {
       mimetype: ctx.request.file.mimetype,
       uploaded: Date.now()
     };
-    if (ext.toLowerCase() !== '.json') {
-      await store.userDocCreate(user.uid, 'assets', which+'.json', meta);
-    }
+    let blob = await store.assetStore(who, which, path.dirname(ctx.request.file.path), ctx.request.file.filename);
+    meta.sha256 = blob.sha256;
+    await store.userDocCreate(who, 'assets', which+'.json', meta, ctx.state.user.uid);
+    log.info(`Uploaded file: ${meta.originalname} (${meta.size}) -> asset ${which} of ${who}`);
+    ctx.set('ETag', etag.etagOf(meta));
     ctx.type = JSON_TYPE;
     ctx.body = JSON.stringify(meta);
-  });
+  }
 
-  router.get(prefix+'/assets/:id', async (ctx) => {
+  async function getAsset(ctx) {
     try {
       let which = ctx.params.id;
       let ext = path.extname(which);
       let isJSON = (ext === '.json') ? true : false;
       which = path.basename(which, ext);
 
-      let user = auth.getAuth(ctx.request, store.secret);
-      if (!user) {
-        ctx.code = 401;
-        ctx.body = 'Not authorized.';
+      let who = sharing.ownerFor(store, ctx, 'assets', which, 'read');
+      if (!who) {
+        logRoute(ctx.request);
         return;
       }
-      let who = user.uid;
-
       let meta = await store.userDocGet(who, 'assets', which+'.json');
+      if (!meta) {
+        ctx.status = 404;
+        ctx.body = 'Asset not found.';
+        logRoute(ctx.request);
+        return;
+      }
       ext = path.extname(meta.originalname);
       if (isJSON) {
+        if (etag.conditionalGet(ctx, etag.etagOf(meta))) {
+          logRoute(ctx.request);
+          return;
+        }
         ctx.type = JSON_TYPE;
         ctx.body = JSON.stringify(meta);
         logRoute(ctx.request);
         return;
       }
 
-      let data = await io.fileGet(store.userFolder(who, 'assets'), which+ext, null);  // binary
-      // reply.header('Content-disposition', 'attachment; filename=' + meta.originalname);
-      ctx.header['Content-disposition'] = 'inline; filename=' + meta.originalname;
-      ctx.type = meta.mimetype;
-      ctx.body = JSON.stringify(data);
-      logRoute(ctx.request);
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        log.error(`/asset: ${err.message}\n${err.stack}`);
+      // the data is a shared blob, or for assets stored before blobs, a file beside the metadata
+      if (meta.sha256 && !await store.assetBlobOwned(who, which, meta.sha256)) {
+        log.warn(`Asset ${which} of ${who} names a blob it does not use.`);
+        ctx.status = 404;
+        ctx.body = 'Asset data not found.';
+        logRoute(ctx.request);
+        return;
       }
-      ctx.type = JSON_TYPE;
-      ctx.body = JSON.stringify(err);
+      let folder = meta.sha256 ? store.blobs.folderOf(meta.sha256) : store.userFolder(who, 'assets');
+      let fn = meta.sha256 || meta.filename || which+ext;
+      let stat = await io.pathStat(folder, fn);
+      if (!stat || !stat.isFile()) {
+        ctx.status = 404;
+        ctx.body = 'Asset data not found.';
+        logRoute(ctx.request);
+        return;
+      }
+      let download = [ '1', 'true' ].includes(ctx.query.download);
+      ctx.set('Content-Disposition', contentDisposition(download ? 'attachment' : 'inline', meta.originalname));
+      await sendData(ctx, folder, fn, stat, meta.mimetype || 'application/octet-stream');
       logRoute(ctx.request);
+    } catch (err) {
+      log.error(`/asset: ${err.message}\n${err.stack}`);
+      ctx.status = 500;
+      ctx.body = err.message;
+      logRoute(ctx.request, err);
     }
-  });
+  }
 
-  router.delete(prefix+'/assets/:id', async (ctx) => {
+  async function deleteAsset(ctx) {
     try {
       let which = ctx.params.id;
       let ext = path.extname(which);
       which = path.basename(which, ext);
 
       if (ext !== '') {
-        ctx.code = 400;
+        ctx.status = 400;
         ctx.body = 'Asset UUID cannot have an extension.';
         logRoute(ctx.request);
         return;
       }
 
-      let user = auth.getAuth(ctx.request, store.secret);
-      if (!user) {
-        ctx.code = 401;
-        ctx.body = 'Not authorized.';
+      let who = sharing.ownerFor(store, ctx, 'assets', which, 'owner');
+      if (!who) {
+        logRoute(ctx.request);
         return;
       }
-      let who = user.uid;
 
-      if (ext !== '.json') {
-        let meta = await store.userDocGet(who, 'assets', which+'.json');
-        ext = path.extname(meta.originalname);
+      let meta = await store.userDocGet(who, 'assets', which+'.json');
+      if (!meta) {
+        ctx.status = 404;
+        ctx.body = 'Asset not found.';
+        logRoute(ctx.request);
+        return;
+      }
+      let tag = etag.etagOf(meta);
+      if (etag.preconditionFailed(ctx, tag)) {
+        etag.replyPreconditionFailed(ctx, tag);
+        logRoute(ctx.request);
+        return;
       }
+      ext = path.extname(meta.originalname);
       let folder = store.userFolder(who, 'assets');
-      await io.fileDelete(folder, which+ext);
-      await io.fileDelete(folder, which+'.json');
-      ctx.code = 200;
+      let fn = meta.filename || which+ext;
+      let files = (!meta.sha256 && await io.fileExists(folder, fn)) ? [ fn ] : [ ];
+      await store.userDocDelete(who, 'assets', which, ctx.state.user.uid, files);  // the metadata, with any asset file
+      ctx.status = 200;
       ctx.body = 'DELETED';
       logRoute(ctx.request);
     } catch (err) {
@@ -170,7 +426,174 @@ function initRoutes(router, store) {
       ctx.body = JSON.stringify(err);
       logRoute(ctx.request);
     }
-  });
+  }
+
+  // The metadata of the assets of a space, filtered, sorted and paged as in query.js, with the filters of assetQuery.
+  async function listAssets(ctx) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    try {
+      let { test, rest } = assetQuery(ctx.query);
+      let q = query.parse(rest);
+      let result = query.run((await store.userDocsGet(who, 'assets')).filter(test), q);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ total: result.total, limit: q.limit, next: result.next, docs: result.docs });
+      logRoute(ctx.request);
+    } catch (err) {
+      if (err.code === 'EQUERY') {
+        ctx.status = 400;
+        ctx.body = err.message;
+        logRoute(ctx.request, err);
+        return;
+      }
+      log.error(`/asset: ${err.message}\n${err.stack}`);
+      ctx.status = 500;
+      ctx.body = err.message;
+      logRoute(ctx.request, err);
+    }
+  }
+
+  // Changes the originalname, description or tags of an asset. The data is not changed. Supports If-Match.
+  async function patchAsset(ctx) {
+    let which = ctx.params.id;
+    if (path.extname(which) !== '') {
+      ctx.status = 400;
+      ctx.body = 'Asset UUID cannot have an extension.';
+      logRoute(ctx.request);
+      return;
+    }
+    let body = ctx.request.body;
+    let problem = invalidChanges(body);
+    if (problem) {
+      ctx.status = 400;
+      ctx.body = problem;
+      logRoute(ctx.request);
+      return;
+    }
+    let who = sharing.ownerFor(store, ctx, 'assets', which, 'write');
+    if (!who) {
+      logRoute(ctx.request);
+      return;
+    }
+    try {
+      let meta = await store.userDocUpdate(who, 'assets', which, (current) => {
+        let tag = etag.etagOf(current);
+        if (etag.preconditionFailed(ctx, tag)) {
+          let err = new Error('Precondition failed.');
+          err.code = 'EPRECONDITION';
+          err.etag = tag;
+          throw err;
+        }
+        return applyChanges(current, body, which);
+      }, ctx.state.user.uid);
+      if (!meta) {
+        ctx.status = 404;
+        ctx.body = 'Asset not found.';
+        logRoute(ctx.request);
+        return;
+      }
+      ctx.set('ETag', etag.etagOf(meta));
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(meta);
+      logRoute(ctx.request);
+    } catch (err) {
+      if (err.code === 'EPRECONDITION') {
+        etag.replyPreconditionFailed(ctx, err.etag);
+        logRoute(ctx.request);
+        return;
+      }
+      log.error(`/asset: ${err.message}\n${err.stack}`);
+      ctx.status = 500;
+      ctx.body = err.message;
+      logRoute(ctx.request, err);
+    }
+  }
+
+  // Whether the server already has data with a SHA-256 (hex), so that a client can skip uploading it.
+  async function checkHash(ctx) {
+    let hash = String(ctx.params.sha256).toLowerCase();
+    if (!Blobs.valid(hash)) {
+      ctx.status = 400;
+      ctx.body = 'Invalid SHA-256 hash.';
+      return;
+    }
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    try {
+      ctx.status = await store.assetHashKnown(who, hash) ? 200 : 404;
+      logRoute(ctx.request);
+    } catch (err) {
+      log.error(`/asset: ${err.message}\n${err.stack}`);
+      ctx.status = 500;
+      ctx.body = err.message;
+      logRoute(ctx.request, err);
+    }
+  }
+
+  // Creates an asset from data the space already has, found with checkHash, with the originalname and
+  // mimetype of the request body.
+  async function createFromHash(ctx) {
+    let hash = String(ctx.params.sha256).toLowerCase();
+    let body = ctx.request.body || { };
+    if (!Blobs.valid(hash)) {
+      ctx.status = 400;
+      ctx.body = 'Invalid SHA-256 hash.';
+      return;
+    }
+    if (typeof body.originalname !== 'string' || !body.originalname) {
+      ctx.status = 400;
+      ctx.body = 'originalname is required.';
+      return;
+    }
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    let which = uuid();
+    try {
+      let blob = await store.assetStoreExisting(who, which, hash);
+      if (!blob) {
+        ctx.status = 404;
+        ctx.body = 'No data with this hash.';
+        logRoute(ctx.request);
+        return;
+      }
+      let ext = path.extname(body.originalname);
+      let meta = {
+        id: which,
+        filename: which+ext,
+        originalname: body.originalname,
+        size: blob.size,
+        mimetype: (typeof body.mimetype === 'string' && body.mimetype) || 'application/octet-stream',
+        uploaded: Date.now(),
+        sha256: hash
+      };
+      try {
+        await store.userDocCreate(who, 'assets', which+'.json', meta, ctx.state.user.uid);
+      } catch (err) {
+        await store.assetRelease(who, which, hash);
+        throw err;
+      }
+      ctx.set('ETag', etag.etagOf(meta));
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(meta);
+      logRoute(ctx.request);
+    } catch (err) {
+      log.error(`/asset: ${err.message}\n${err.stack}`);
+      ctx.status = 500;
+      ctx.body = err.message;
+      logRoute(ctx.request, err);
+    }
+  }
+
+  // The same routes for a team space, under /teams/:team.
+  for (let base of [ '/assets', '/teams/:team/assets' ]) {
+    router.get(prefix + base, auth.permit('assets:read'), listAssets);
+    router.post(prefix + base, auth.permit('assets:write'), receiveUpload, createAsset);
+    router.get(prefix + base + '/:id', auth.permit('assets:read'), getAsset);
+    router.patch(prefix + base + '/:id', auth.permit('assets:write'), patchAsset);
+    router.delete(prefix + base + '/:id', auth.permit('assets:write'), deleteAsset);
+    router.head(prefix + base + '/by-hash/:sha256', auth.permit('assets:write'), checkHash);
+    router.post(prefix + base + '/by-hash/:sha256', auth.permit('assets:write'), createFromHash);
+  }
 }
 
-module.exports = { initRoutes };
+module.exports = { initRoutes, assetQuery, invalidChanges, applyChanges };
@@ -1,5 +1,20 @@
 const jwt = require('jsonwebtoken');
+const ApiKeys = require('./apikeys');
 const log = require('./log');
+const roles = require('./roles');
+
+let storeSecret = null;  // the store secret, for the route middleware
+let sessions = null;     // when set, tokens must belong to a session that has not been ended
+let keys = null;         // when set, personal API keys are accepted in place of tokens
+let suspended = null;    // when set, the UIDs of suspended users, who are refused
+
+function init(store) {
+  storeSecret = store.secret;
+  sessions = store.sessions || null;
+  keys = store.keys || null;
+  suspended = store.suspended || null;
+  roles.init(store.roles);
+}
 
 function verifyToken(token, secret) {
   if (!token) {
@@ -32,19 +47,58 @@ function getAuth(request, secret) {
   if (words[0] !== 'Bearer') {
     return false;
   }
-  let token = verifyToken(words[1], secret);
+  // API keys have no session. Tell them apart by the bearer value itself, never by the claims it carries.
+  let isKey = !!keys && ApiKeys.isKey(words[1]);
+  let token = isKey ? keys.verify(words[1]) : verifyToken(words[1], secret);
   if (!token) {
     return false;
   }
+  if (sessions && !isKey && sessions.isRevoked(token.sid)) {
+    log.warn(`Rejected token for '${token.login}', session has ended.`);
+    return false;
+  }
+  if (suspended && suspended.has(token.uid)) {
+    log.warn(`Rejected token for '${token.login}', account is suspended.`);
+    return false;
+  }
 
   // Update the request for user context.
   request.token = token;
   return token;
 }
 
+// True if the authenticated user (a token payload) has a role granting the permission.
+// Requests made with an API key are also limited to the scope of the key.
+function can(user, permission) {
+  if (!user || !roles.can(user.roles, permission)) return false;
+  return !user.scopes || roles.granted(user.scopes, permission);
+}
+
 function isAdmin(request) {
-  let user = getAuth(request);
-  return user && user.administrator;
+  let user = request.token || getAuth(request, storeSecret);
+  return can(user, '*');
+}
+
+// Route middleware declaring the permission a route needs. Authenticates the request (401 if that fails),
+// checks the permission (403), and leaves the token payload in ctx.state.user for the route handler.
+function permit(permission) {
+  return async (ctx, next) => {
+    let user = getAuth(ctx.request, storeSecret);
+    if (!user) {
+      log.warn(`${ctx.method} ${ctx.path}: not authorized.`);
+      ctx.status = 401;
+      ctx.body = 'Not authorized.';
+      return;
+    }
+    if (!can(user, permission)) {
+      log.warn(`${ctx.method} ${ctx.path}: '${user.login}' lacks '${permission}' permission.`);
+      ctx.status = 403;
+      ctx.body = 'Forbidden: user is not authorized.';
+      return;
+    }
+    ctx.state.user = user;
+    await next();
+  };
 }
 
-module.exports = { verifyToken, getAuth, isAdmin };
+module.exports = { init, verifyToken, getAuth, can, isAdmin, permit };
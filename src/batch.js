@@ -0,0 +1,152 @@
+const uuid = require('uuid-random');
+
+const log = require('./log');
+const auth = require('./auth');
+const etag = require('./etag');
+const patch = require('./patch');
+const spaces = require('./spaces');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+const MAX_OPERATIONS = 100;
+const OPERATIONS = [ 'create', 'replace', 'patch', 'delete' ];
+
+// As in collections.js.
+const DOC_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+// The HTTP status for an operation that failed, by error code.
+const STATUS = { ENOENT: 404, EEXIST: 409, EPRECONDITION: 412, EPATCH: 422, EPATCHTEST: 409, ESCHEMA: 422 };
+
+function opError(message, code) {
+  let err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The document ID an operation names: its uid, or for a create, the uid of its doc. Undefined for a new ID.
+function uidOf(op) {
+  if (op.uid !== undefined) return op.uid;
+  return (op.op === 'create' && isObject(op.doc)) ? op.doc.uid : undefined;
+}
+
+// Changes to several documents that must all be made or none, with POST /batch. See Store.userDocBatch.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+
+  // Checks the form of an operation. Returns the error message, or null.
+  function invalid(op) {
+    if (!isObject(op)) return 'An operation must be an object.';
+    if (!OPERATIONS.includes(op.op)) return `op must be one of: ${OPERATIONS.join(', ')}.`;
+    if (!store.collectionAllowed(op.collection)) return `Unknown collection '${op.collection}'.`;
+    let uid = uidOf(op);
+    if (uid !== undefined && (typeof uid !== 'string' || !DOC_ID.test(uid))) return 'Invalid document ID.';
+    if (op.op !== 'create' && op.uid === undefined) return `A ${op.op} operation needs a uid.`;
+    if ((op.op === 'create' || op.op === 'replace') && !isObject(op.doc)) return `A ${op.op} operation needs a doc object.`;
+    if (op.op === 'patch' && !isObject(op.patch) && !Array.isArray(op.patch)) {
+      return 'A patch operation needs a patch: an object for a JSON Merge Patch, or an array for a JSON Patch.';
+    }
+    if (op.ifMatch !== undefined && typeof op.ifMatch !== 'string') return 'ifMatch must be an ETag string.';
+    return null;
+  }
+
+  // The change an operation makes, as a function of the current document for Store.userDocBatch.
+  function applier(op, uid) {
+    return (current) => {
+      if (op.op === 'create') {
+        if (current) throw opError('A document with this uid already exists.', 'EEXIST');
+      } else if (!current) {
+        throw opError('Document not found.', 'ENOENT');
+      }
+      if (op.ifMatch !== undefined && op.ifMatch !== '*' && op.ifMatch !== etag.etagOf(current)) {
+        throw opError('Precondition failed: the document has changed.', 'EPRECONDITION');
+      }
+      if (op.op === 'delete') {
+        return null;
+      }
+      let doc;
+      if (op.op === 'patch') {
+        doc = Array.isArray(op.patch) ? patch.jsonPatch(current, op.patch) : patch.mergePatch(current, op.patch);
+        if (!isObject(doc)) throw opError('A patched document must still be an object.', 'EPATCH');
+      } else {
+        doc = Object.assign({ }, op.doc);
+      }
+      return Object.assign(doc, { uid });
+    };
+  }
+
+  function describe(op, uid) {
+    return { op: op && op.op, collection: op && op.collection, uid: uid || null };
+  }
+
+  async function runBatch(ctx) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    let body = ctx.request.body;
+    let list = Array.isArray(body) ? body : (isObject(body) ? body.operations : undefined);
+    if (!Array.isArray(list) || !list.length || list.length > MAX_OPERATIONS) {
+      ctx.status = 400;
+      ctx.body = `A batch needs a list of 1 to ${MAX_OPERATIONS} operations.`;
+      return;
+    }
+    list = list.map(op => isObject(op) ? Object.assign({ collection: 'projects' }, op) : op);
+
+    // the form of every operation is checked before any document is read
+    let problems = list.map(invalid);
+    if (problems.some(message => message)) {
+      ctx.status = 400;
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({
+        message: 'The batch is invalid. No changes were made.',
+        results: list.map((op, i) => Object.assign(describe(op, isObject(op) ? uidOf(op) : null), problems[i] ?
+          { status: 400, message: problems[i] } : { status: 424, message: 'Not applied.' }))
+      });
+      return;
+    }
+
+    let uids = list.map(op => uidOf(op) || uuid());
+    let ops = list.map((op, i) => ({
+      where: op.collection,
+      which: uids[i],
+      action: { create: 'create', replace: 'replace', patch: 'update', delete: 'delete' }[op.op],
+      apply: applier(op, uids[i])
+    }));
+    try {
+      let docs = await store.userDocBatch(who, ops, ctx.state.user.uid);
+      log.info(`Batch of ${list.length} operation(s) applied for ${who}.`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({
+        results: list.map((op, i) => Object.assign(describe(op, uids[i]), {
+          status: (op.op === 'create') ? 201 : 200,
+          etag: docs[i] ? etag.etagOf(docs[i]) : null,
+          doc: docs[i]
+        }))
+      });
+    } catch (err) {
+      if (err.code !== 'EBATCH') {
+        log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+        ctx.status = 500;
+        ctx.body = err.message;
+        return;
+      }
+      let results = list.map((op, i) => {
+        let opErr = err.errors[i];
+        if (!opErr) return Object.assign(describe(op, uids[i]), { status: 424, message: 'Not applied.' });
+        let result = Object.assign(describe(op, uids[i]), { status: STATUS[opErr.code] || 500, message: opErr.message });
+        if (opErr.errors) result.errors = opErr.errors;
+        return result;
+      });
+      ctx.status = results.find(result => result.status !== 424).status;
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ message: 'An operation failed. No changes were made.', results });
+    }
+  }
+
+  router.post(prefix + '/batch', auth.permit('docs:write'), runBatch);
+  router.post(prefix + '/teams/:team/batch', auth.permit('docs:write'), runBatch);
+}
+
+module.exports = { initRoutes };
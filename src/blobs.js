@@ -0,0 +1,116 @@
+const path = require('path');
+
+const io = require('./io');
+
+// Blobs are named by the SHA-256 of their bytes, in lowercase hex.
+const SHA256 = /^[0-9a-f]{64}$/;
+
+// The data of assets, stored once by content no matter how many assets have the same bytes. Each blob is a
+// file named by its SHA-256 under data/blobs/<first two hex digits>, beside a record <hash>.json of
+// { sha256, size, created, refs }, where refs lists the assets using it as '<space>/<asset id>'. A blob is
+// deleted when the last of them releases it. Changes to one blob are serialized, like documents in store.js.
+class Blobs {
+  constructor(folder) {
+    this.folder = folder;
+    this.queues = new Map();  // hash -> the last pending change
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+  }
+
+  static valid(hash) {
+    return (typeof hash === 'string') && SHA256.test(hash);
+  }
+
+  // True if an asset of the space (a uid or team ID) uses the blob of the record.
+  static usedBy(rec, space) {
+    return rec.refs.some(ref => ref.startsWith(space + '/'));
+  }
+
+  folderOf(hash) {
+    return path.join(this.folder, hash.slice(0, 2));
+  }
+
+  async get(hash) {
+    return Blobs.valid(hash) ? await io.jsonGet(this.folderOf(hash), hash + '.json') : null;
+  }
+
+  async save(rec) {
+    await io.filePut(this.folderOf(rec.sha256), rec.sha256 + '.json', JSON.stringify(rec, null, 2));
+  }
+
+  // Makes a file the blob of its hash, or deletes it if that blob is already stored, and adds a reference
+  // to the blob. Returns the blob record.
+  async put(file, hash, ref) {
+    return await this.serialize(hash, async () => {
+      let rec = await this.get(hash);
+      if (rec) {
+        await io.pathDelete(file);
+      } else {
+        await io.folderCreate(this.folderOf(hash));
+        await io.pathMove(file, path.join(this.folderOf(hash), hash));
+        let stat = await io.pathStat(this.folderOf(hash), hash);
+        rec = { sha256: hash, size: stat.size, created: Date.now(), refs: [ ] };
+      }
+      if (!rec.refs.includes(ref)) {
+        rec.refs.push(ref);
+        await this.save(rec);
+      }
+      return rec;
+    });
+  }
+
+  // Adds a reference to a blob that is already stored. With a space, only if an asset of that space already uses
+  // the blob. Returns the blob record, or null if there is no such blob (or none the space uses).
+  async addRef(hash, ref, space) {
+    return await this.serialize(hash, async () => {
+      let rec = await this.get(hash);
+      if (rec && space && !Blobs.usedBy(rec, space)) {
+        return null;
+      }
+      if (rec && !rec.refs.includes(ref)) {
+        rec.refs.push(ref);
+        await this.save(rec);
+      }
+      return rec;
+    });
+  }
+
+  // Removes a reference to a blob, and deletes the blob if it was the last one. A reference the blob does not
+  // have changes nothing. Returns the number of references left.
+  async release(hash, ref) {
+    return await this.serialize(hash, async () => {
+      let rec = await this.get(hash);
+      if (!rec) return 0;
+      if (!rec.refs.includes(ref)) return rec.refs.length;
+      rec.refs = rec.refs.filter(item => item !== ref);
+      if (rec.refs.length) {
+        await this.save(rec);
+        return rec.refs.length;
+      }
+      for (let fn of [ hash, hash + '.json' ]) {
+        if (await io.fileExists(this.folderOf(hash), fn)) {
+          await io.fileDelete(this.folderOf(hash), fn);
+        }
+      }
+      return 0;
+    });
+  }
+
+  async serialize(hash, fn) {
+    let previous = this.queues.get(hash) || Promise.resolve();
+    let result = previous.then(fn, fn);
+    let done = result.catch(() => { });
+    this.queues.set(hash, done);
+    try {
+      return await result;
+    } finally {
+      if (this.queues.get(hash) === done) {
+        this.queues.delete(hash);
+      }
+    }
+  }
+}
+
+module.exports = Blobs;
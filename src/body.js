@@ -0,0 +1,56 @@
+// Reads JSON request bodies into ctx.request.body, for the routes. This covers application/json and the
+// other +json types. Other bodies are left unread, for the routes that stream them (e.g. multipart uploads).
+
+const MAX_BODY = 10 * 1048576;  // largest JSON body, in bytes
+
+function bodyError(message, status) {
+  let err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function readText(stream, limit) {
+  let chunks = [ ];
+  let size = 0;
+  for await (let chunk of stream) {
+    size += chunk.length;
+    if (size > limit) {
+      throw bodyError(`The request body is larger than ${limit} bytes.`, 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// The middleware. An empty body leaves ctx.request.body undefined. Replies 413 for a body over the limit
+// (options.limit, in bytes), and 400 if it is not valid JSON.
+function json(options) {
+  let limit = (options && options.limit) || MAX_BODY;
+  return async function jsonBody(ctx, next) {
+    if (ctx.request.body === undefined && ctx.request.is('json', '+json')) {
+      let text;
+      try {
+        if (ctx.request.length > limit) {
+          throw bodyError(`The request body is larger than ${limit} bytes.`, 413);
+        }
+        text = await readText(ctx.req, limit);
+      } catch (err) {
+        ctx.status = err.status || 400;
+        ctx.body = err.message;
+        return;
+      }
+      if (text.trim()) {
+        try {
+          ctx.request.body = JSON.parse(text);
+        } catch (err) {
+          ctx.status = 400;
+          ctx.body = `Invalid JSON body: ${err.message}`;
+          return;
+        }
+      }
+    }
+    await next();
+  };
+}
+
+module.exports = { MAX_BODY, json };
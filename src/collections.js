@@ -0,0 +1,489 @@
+const uuid = require('uuid-random');
+
+const log = require('./log');
+const auth = require('./auth');
+const etag = require('./etag');
+const patch = require('./patch');
+const query = require('./query');
+const sharing = require('./sharing');
+const spaces = require('./spaces');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+const ACCEPT_PATCH = [ patch.MERGE_PATCH_TYPE, patch.JSON_PATCH_TYPE ].join(', ');
+
+// Document IDs are file names, so keep them to safe characters. UUIDs fit.
+const DOC_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function logRoute(req, err) {
+  log.debug(`${req.method} ${req.url}` + (err ? `: ${err.message}` : ''));
+}
+
+function handleError(err, ctx) {
+  logRoute(ctx.request, err);
+  if (err.code === 'ENOENT') {
+    ctx.status = 404;
+    ctx.body = 'Not found.';
+    return;
+  }
+  if (err.code === 'EBADSCHEMA') {
+    ctx.status = 400;
+    ctx.body = `Invalid schema: ${err.message}`;
+    return;
+  }
+  if (err.code === 'ESCHEMA') {
+    ctx.status = 422;
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: err.message, errors: err.errors });
+    return;
+  }
+  log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+  ctx.status = 500;
+  ctx.body = err.message;
+}
+
+// Generic JSON document collections, under /collections/:name, with /projects kept as an alias for /collections/projects.
+// Each collection is a subfolder of the user folder, holding one <id>.json file per document.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+
+  // Checks the collection name (404) and document ID (400) of the route. Returns the collection name, or null after replying.
+  function collectionOf(ctx) {
+    let where = ctx.params.name || 'projects';
+    if (!store.collectionAllowed(where)) {
+      ctx.status = 404;
+      ctx.body = `Unknown collection '${where}'.`;
+      return null;
+    }
+    if (ctx.params.id !== undefined && !DOC_ID.test(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = 'Invalid document ID.';
+      return null;
+    }
+    return where;
+  }
+
+  async function listCollections(ctx) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    try {
+      let names = await store.userCollections(who);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(names.filter(name => store.collectionAllowed(name)));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Lists the documents of a collection, filtered, sorted and a page at a time, as described in query.js.
+  async function listDocs(ctx) {
+    let where = collectionOf(ctx);
+    let who = where && spaces.spaceFor(store, ctx);
+    if (!who) return;
+    try {
+      let q = query.parse(ctx.query);
+      let result = query.run(await store.userDocsGet(who, where), q);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ total: result.total, limit: q.limit, next: result.next, docs: result.docs });
+    } catch (err) {
+      if (err.code === 'EQUERY') {
+        ctx.status = 400;
+        ctx.body = err.message;
+        return;
+      }
+      handleError(err, ctx);
+    }
+  }
+
+  // Replies with a document and its ETag.
+  function replyDoc(ctx, doc) {
+    ctx.set('ETag', etag.etagOf(doc));
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(doc);
+  }
+
+  function replyNotFound(ctx) {
+    ctx.status = 404;
+    ctx.body = 'Document not found.';
+  }
+
+  // Supports If-None-Match, for a 304 reply when the client's copy is current.
+  async function getDoc(ctx) {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let who = sharing.ownerFor(store, ctx, where, ctx.params.id, 'read');
+    if (!who) return;
+    try {
+      let response = await store.userDocGet(who, where, ctx.params.id);
+      if (!response) {
+        replyNotFound(ctx);
+        return;
+      }
+      if (etag.conditionalGet(ctx, etag.etagOf(response))) {
+        return;
+      }
+      replyDoc(ctx, response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Creates a document, with the uid from the body if it has one, otherwise a new one.
+  // As /projects always has, this replaces any existing document with that uid, unless the request has 'If-None-Match: *'.
+  async function createDoc(ctx) {
+    let where = collectionOf(ctx);
+    let who = where && spaces.spaceFor(store, ctx);
+    if (!who) return;
+    let body = ctx.request.body || { };
+    if (!isObject(body)) {
+      ctx.status = 400;
+      ctx.body = 'The document must be a JSON object.';
+      return;
+    }
+    if (body.uid !== undefined && !(typeof body.uid === 'string' && DOC_ID.test(body.uid))) {
+      ctx.status = 400;
+      ctx.body = 'Invalid document ID.';
+      return;
+    }
+    let uid = body.uid || uuid();
+    let doc = Object.assign({ uid }, body);
+    try {
+      await store.userDocLocked(who, where, uid, async () => {
+        let current = await store.userDocGet(who, where, uid);
+        let tag = current ? etag.etagOf(current) : null;
+        if (etag.preconditionFailed(ctx, tag)) {
+          etag.replyPreconditionFailed(ctx, tag);
+          return;
+        }
+        await store.userDocCreate(who, where, uid, doc, ctx.state.user.uid);
+        replyDoc(ctx, doc);
+      });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Replaces an existing document with the body. With If-Match, only if it has not changed since the client read it.
+  async function replaceDoc(ctx) {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let uid = ctx.params.id;
+    let who = sharing.ownerFor(store, ctx, where, uid, 'write');
+    if (!who) return;
+    if (!isObject(ctx.request.body)) {
+      ctx.status = 400;
+      ctx.body = 'The document must be a JSON object.';
+      return;
+    }
+    try {
+      await store.userDocLocked(who, where, uid, async () => {
+        let current = await store.userDocGet(who, where, uid);
+        if (!current) {
+          replyNotFound(ctx);
+          return;
+        }
+        let tag = etag.etagOf(current);
+        if (etag.preconditionFailed(ctx, tag)) {
+          etag.replyPreconditionFailed(ctx, tag);
+          return;
+        }
+        let doc = Object.assign({ }, ctx.request.body, { uid });
+        await store.userDocReplace(who, where, uid, doc, ctx.state.user.uid);
+        replyDoc(ctx, doc);
+      });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Updates part of a document, with a JSON Merge Patch or a JSON Patch body, depending on the Content-Type.
+  async function patchDoc(ctx) {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let uid = ctx.params.id;
+    let who = sharing.ownerFor(store, ctx, where, uid, 'write');
+    if (!who) return;
+    let body = ctx.request.body;
+    let apply;
+    if (ctx.is(patch.MERGE_PATCH_TYPE)) {
+      apply = doc => patch.mergePatch(doc, body);
+    } else if (ctx.is(patch.JSON_PATCH_TYPE)) {
+      apply = doc => patch.jsonPatch(doc, body);
+    } else {
+      ctx.set('Accept-Patch', ACCEPT_PATCH);
+      ctx.status = 415;
+      ctx.body = `PATCH requires a Content-Type of ${ACCEPT_PATCH}.`;
+      return;
+    }
+    try {
+      let doc = await store.userDocUpdate(who, where, uid, (current) => {
+        let tag = etag.etagOf(current);
+        if (etag.preconditionFailed(ctx, tag)) {
+          let err = new Error('Precondition failed.');
+          err.code = 'EPRECONDITION';
+          err.etag = tag;
+          throw err;
+        }
+        let result = apply(current);
+        if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+          let err = new Error('A patched document must still be an object.');
+          err.code = 'EPATCH';
+          throw err;
+        }
+        return Object.assign(result, { uid });
+      }, ctx.state.user.uid);
+      if (!doc) {
+        replyNotFound(ctx);
+        return;
+      }
+      replyDoc(ctx, doc);
+    } catch (err) {
+      if (err.code === 'EPRECONDITION') {
+        etag.replyPreconditionFailed(ctx, err.etag);
+      } else if (err.code === 'EPATCHTEST') {
+        ctx.status = 409;
+        ctx.body = err.message;
+      } else if (err.code === 'EPATCH') {
+        ctx.status = 422;
+        ctx.body = err.message;
+      } else {
+        handleError(err, ctx);
+      }
+    }
+  }
+
+  // Deletes a document, replying with what it was.
+  async function deleteDoc(ctx) {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let uid = ctx.params.id;
+    let who = sharing.ownerFor(store, ctx, where, uid, 'owner');
+    if (!who) return;
+    try {
+      await store.userDocLocked(who, where, uid, async () => {
+        let response = await store.userDocGet(who, where, uid);
+        if (!response) {
+          replyNotFound(ctx);
+          return;
+        }
+        let tag = etag.etagOf(response);
+        if (etag.preconditionFailed(ctx, tag)) {
+          etag.replyPreconditionFailed(ctx, tag);
+          return;
+        }
+        await store.userDocDelete(who, where, uid, ctx.state.user.uid);
+        log.info(`Document deleted: ${where}/${uid}`);
+        ctx.type = JSON_TYPE;
+        ctx.body = JSON.stringify(response);
+      });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // The revision number of the route, or null after a 400 reply.
+  function revisionOf(ctx, value) {
+    let rev = Number(value);
+    if (!Number.isInteger(rev) || rev < 1) {
+      ctx.status = 400;
+      ctx.body = 'Invalid revision number.';
+      return null;
+    }
+    return rev;
+  }
+
+  // Lists the revisions of a document, oldest first, with the time, author uid and kind of each change.
+  async function listRevisions(ctx) {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let who = sharing.ownerFor(store, ctx, where, ctx.params.id, 'read');
+    if (!who) return;
+    try {
+      let response = await store.userRevisionList(who, where, ctx.params.id);
+      if (!response.length && !await store.userDocGet(who, where, ctx.params.id)) {
+        replyNotFound(ctx);
+        return;
+      }
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  async function getRevision(ctx) {
+    let where = collectionOf(ctx);
+    let rev = where && revisionOf(ctx, ctx.params.rev);
+    let who = rev && sharing.ownerFor(store, ctx, where, ctx.params.id, 'read');
+    if (!who) return;
+    try {
+      let response = await store.userRevisionGet(who, where, ctx.params.id, rev);
+      if (!response) {
+        ctx.status = 404;
+        ctx.body = 'Revision not found.';
+        return;
+      }
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Replies with the JSON Patch that turns a revision into the current document, or into revision ?to=n.
+  async function diffRevision(ctx) {
+    let where = collectionOf(ctx);
+    let rev = where && revisionOf(ctx, ctx.params.rev);
+    let to = rev && ((ctx.query.to === undefined) ? 'current' : revisionOf(ctx, ctx.query.to));
+    let uid = ctx.params.id;
+    let who = to && sharing.ownerFor(store, ctx, where, uid, 'read');
+    if (!who) return;
+    try {
+      let from = await store.userRevisionGet(who, where, uid, rev);
+      let target = (to === 'current') ? { doc: await store.userDocGet(who, where, uid) } : await store.userRevisionGet(who, where, uid, to);
+      if (!from || !target) {
+        ctx.status = 404;
+        ctx.body = 'Revision not found.';
+        return;
+      }
+      ctx.type = patch.JSON_PATCH_TYPE;
+      ctx.body = JSON.stringify(patch.diff(from.doc, target.doc));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Makes the content of a revision the current document, as a new revision. This can also undo a delete.
+  async function restoreRevision(ctx) {
+    let where = collectionOf(ctx);
+    let rev = where && revisionOf(ctx, ctx.params.rev);
+    let uid = ctx.params.id;
+    let who = rev && sharing.ownerFor(store, ctx, where, uid, 'write');
+    if (!who) return;
+    try {
+      await store.userDocLocked(who, where, uid, async () => {
+        let rec = await store.userRevisionGet(who, where, uid, rev);
+        if (!rec) {
+          ctx.status = 404;
+          ctx.body = 'Revision not found.';
+          return;
+        }
+        if (!rec.doc) {
+          ctx.status = 409;
+          ctx.body = `Revision ${rev} is a delete, which has no content to restore.`;
+          return;
+        }
+        let current = await store.userDocGet(who, where, uid);
+        let tag = current ? etag.etagOf(current) : null;
+        if (etag.preconditionFailed(ctx, tag)) {
+          etag.replyPreconditionFailed(ctx, tag);
+          return;
+        }
+        let doc = Object.assign({ }, rec.doc, { uid });
+        await store.userDocRestore(who, where, uid, doc, ctx.state.user.uid);
+        log.info(`Document restored: ${where}/${uid} revision ${rev}`);
+        replyDoc(ctx, doc);
+      });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // JSON Schemas for collections, which documents must match when they are written (see schema.js).
+  router.get(prefix + '/schemas', auth.permit('schemas:write'), async (ctx) => {
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(store.schemaList());
+  });
+
+  router.get(prefix + '/schemas/:name', auth.permit('schemas:write'), async (ctx) => {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let response = store.schemaGet(where);
+    if (response === null) {
+      ctx.status = 404;
+      ctx.body = `There is no schema for '${where}'.`;
+      return;
+    }
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
+  });
+
+  // Registers the body as the schema of the collection. With ?report=true, the reply also lists the
+  // existing documents that do not match it, which will fail to save until they are fixed.
+  router.put(prefix + '/schemas/:name', auth.permit('schemas:write'), async (ctx) => {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let rules = ctx.request.body;
+    try {
+      await store.schemaPut(where, rules);
+      log.info(`Schema for '${where}' registered by '${ctx.state.user.login}'.`);
+      let response = { schema: rules };
+      if (ctx.query.report === 'true' || ctx.query.report === '1') {
+        response.report = await store.schemaReport(where, rules);
+      }
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  router.delete(prefix + '/schemas/:name', auth.permit('schemas:write'), async (ctx) => {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    try {
+      if (!await store.schemaDelete(where)) {
+        ctx.status = 404;
+        ctx.body = `No schema for '${where}' was registered through the API.`;
+        return;
+      }
+      log.info(`Schema for '${where}' removed by '${ctx.state.user.login}'.`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ schema: store.schemaGet(where) });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Reports the existing documents that do not match the schema in the body, or the current schema of the collection.
+  router.post(prefix + '/schemas/:name/report', auth.permit('schemas:write'), async (ctx) => {
+    let where = collectionOf(ctx);
+    if (!where) return;
+    let body = ctx.request.body;
+    let rules = (body === undefined || (body && typeof body === 'object' && !Array.isArray(body) && !Object.keys(body).length)) ? store.schemaGet(where) : body;
+    if (rules === null) {
+      ctx.status = 404;
+      ctx.body = `There is no schema for '${where}'.`;
+      return;
+    }
+    try {
+      let response = await store.schemaReport(where, rules);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // The same routes for a team space, under /teams/:team.
+  for (let space of [ '', '/teams/:team' ]) {
+    router.get(prefix + space + '/collections', auth.permit('docs:read'), listCollections);
+  }
+  for (let base of [ '/collections/:name', '/projects', '/teams/:team/collections/:name', '/teams/:team/projects' ]) {
+    router.get(prefix + base, auth.permit('docs:read'), listDocs);
+    router.post(prefix + base, auth.permit('docs:write'), createDoc);
+    router.get(prefix + base + '/:id', auth.permit('docs:read'), getDoc);
+    router.put(prefix + base + '/:id', auth.permit('docs:write'), replaceDoc);
+    router.patch(prefix + base + '/:id', auth.permit('docs:write'), patchDoc);
+    router.delete(prefix + base + '/:id', auth.permit('docs:write'), deleteDoc);
+    router.get(prefix + base + '/:id/revisions', auth.permit('docs:read'), listRevisions);
+    router.get(prefix + base + '/:id/revisions/:rev', auth.permit('docs:read'), getRevision);
+    router.get(prefix + base + '/:id/revisions/:rev/diff', auth.permit('docs:read'), diffRevision);
+    router.post(prefix + base + '/:id/revisions/:rev/restore', auth.permit('docs:write'), restoreRevision);
+  }
+}
+
+module.exports = { initRoutes };
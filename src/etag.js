@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Strong entity tags (ETags) for JSON documents, from a hash of their content, and the HTTP conditional
+// request checks that use them (RFC 9110 section 13), so clients can avoid overwriting each other's changes.
+
+// The ETag of a document (an object, or its text).
+function etagOf(doc) {
+  let text = (typeof doc === 'string' || Buffer.isBuffer(doc)) ? doc : JSON.stringify(doc);
+  return '"' + crypto.createHash('sha256').update(text).digest('base64url').slice(0, 27) + '"';
+}
+
+// The tags of an If-Match or If-None-Match header: '*', a list of { tag, weak }, or null if there is no header.
+function parseTags(header) {
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+  let result = [ ];
+  let pattern = /(W\/)?("[^"]*")/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    result.push({ tag: match[2], weak: !!match[1] });
+  }
+  return result;
+}
+
+// True if the request's preconditions fail for a write to a resource with the current ETag, or null if it does
+// not exist yet. If-Match uses strong comparison and If-None-Match weak comparison, as the RFC requires.
+function preconditionFailed(ctx, current) {
+  let ifMatch = parseTags(ctx.get('If-Match'));
+  if (ifMatch) {
+    if (!current) return true;
+    if (ifMatch !== '*' && !ifMatch.some(item => !item.weak && item.tag === current)) return true;
+  }
+  let ifNoneMatch = parseTags(ctx.get('If-None-Match'));
+  if (ifNoneMatch && current) {
+    if (ifNoneMatch === '*' || ifNoneMatch.some(item => item.tag === current)) return true;
+  }
+  return false;
+}
+
+// Replies 412 Precondition Failed.
+function replyPreconditionFailed(ctx, current) {
+  if (current) {
+    ctx.set('ETag', current);
+  }
+  ctx.status = 412;
+  ctx.body = 'The resource has changed, or does not match the request preconditions.';
+}
+
+// Sets the ETag of a GET response. Returns true after replying 304 Not Modified if the client already has
+// this version, or 412 if If-Match does not match it, otherwise false to send the document as usual.
+function conditionalGet(ctx, current) {
+  ctx.set('ETag', current);
+  let ifNoneMatch = parseTags(ctx.get('If-None-Match'));
+  if (ifNoneMatch) {
+    if (ifNoneMatch === '*' || ifNoneMatch.some(item => item.tag === current)) {
+      ctx.status = 304;
+      return true;
+    }
+    return false;
+  }
+  let ifMatch = parseTags(ctx.get('If-Match'));
+  if (ifMatch && ifMatch !== '*' && !ifMatch.some(item => !item.weak && item.tag === current)) {
+    replyPreconditionFailed(ctx, current);
+    return true;
+  }
+  return false;
+}
+
+module.exports = { etagOf, preconditionFailed, replyPreconditionFailed, conditionalGet };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const io = require('./io');
+const log = require('./log');
+
+// Sharing grants: an owner lets another user (the grantee) read, or read and write, one of their documents
+// or assets. Each grant is stored as <id>.json under data/grants, and all are kept in memory for access checks.
+// A grant is { id, owner, where, item, grantee, access, created }, where 'where' is a collection name or 'assets'.
+const ACCESS = [ 'read', 'write' ];
+
+class Grants {
+  constructor(folder) {
+    this.folder = folder;
+    this.grants = new Map();  // id -> grant
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+    for (let fn of await io.folderGet(this.folder)) {
+      if (path.extname(fn) !== '.json') continue;
+      try {
+        let rec = JSON.parse(await io.fileGet(this.folder, fn));
+        this.grants.set(rec.id, rec);
+      } catch (err) {
+        log.warn(`Ignoring unreadable grant file ${fn}: ${err.message}`);
+      }
+    }
+    log.info(`Sharing grants: ${this.grants.size} loaded.`);
+  }
+
+  find(owner, where, item, grantee) {
+    for (let rec of this.grants.values()) {
+      if (rec.owner === owner && rec.where === where && rec.item === item && rec.grantee === grantee) {
+        return rec;
+      }
+    }
+    return null;
+  }
+
+  // Shares an item with a user, or changes the access of an existing grant. Returns the grant, or null for an unknown access.
+  async grant(owner, where, item, grantee, access) {
+    if (!ACCESS.includes(access)) {
+      return null;
+    }
+    let rec = this.find(owner, where, item, grantee) || {
+      id: crypto.randomBytes(8).toString('hex'),
+      owner,
+      where,
+      item,
+      grantee,
+      created: Date.now()
+    };
+    rec.access = access;
+    await io.filePut(this.folder, rec.id + '.json', JSON.stringify(rec, null, 2));
+    this.grants.set(rec.id, rec);
+    return rec;
+  }
+
+  // Returns false if there was no such grant.
+  async revoke(owner, where, item, grantee) {
+    let rec = this.find(owner, where, item, grantee);
+    if (!rec) return false;
+    await this.remove(rec);
+    return true;
+  }
+
+  async remove(rec) {
+    this.grants.delete(rec.id);
+    await io.fileDelete(this.folder, rec.id + '.json');
+  }
+
+  // The access ('read' or 'write') a user has to an item of another user, or null.
+  access(owner, where, item, grantee) {
+    let rec = this.find(owner, where, item, grantee);
+    return rec ? rec.access : null;
+  }
+
+  // Grants matching the fields of the filter, e.g. { owner } or { grantee } or { owner, where, item }.
+  list(filter) {
+    let result = [ ];
+    for (let rec of this.grants.values()) {
+      if (Object.keys(filter).every(key => rec[key] === filter[key])) {
+        result.push(rec);
+      }
+    }
+    return result.sort((a, b) => a.created - b.created);
+  }
+
+  // Removes the grants of an item that no longer exists, or (with only owner or grantee) of a deleted user.
+  async removeAll(filter) {
+    let matching = this.list(filter);
+    for (let rec of matching) {
+      await this.remove(rec);
+    }
+    return matching.length;
+  }
+}
+
+Grants.ACCESS = ACCESS;
+
+module.exports = Grants;
@@ -1,13 +1,16 @@
+const crypto = require('crypto');
 const path = require('path');
 //const fsPromises = require("fs/promises");  // requires Node 14.0.0 or later
-const fsPromises = require("fs").promises;
+const fs = require("fs");
+const fsPromises = fs.promises;
 const log = require('./log');
 
 let debug_level = 0;
 
 /* Summary of io interface required:
-folderExists, folderCreate, folderGet, folderDelete,
-fileExists, fileCreate, filePut, fileGet, fileDelete, pathDelete
+folderExists, folderCreate, folderGet, folderDelete, folderSize,
+fileExists, fileCreate, filePut, fileGet, fileStream, fileWriteStream, fileTruncate, fileHash, fileDelete, pathDelete, pathMove
+fileStage, fileCommit, fileRollback, fileCleanup
 jsonGet, symLink, symUnlink
 */
 
@@ -78,6 +81,22 @@ async function folderGet(folder) {
   return result;
 }
 
+// Returns the total size in bytes of the files in a folder and all its subfolders. Links are not followed.
+async function folderSize(folder) {
+  if (debug_level) log.info(`folderSize: ${folder}`);
+  let total = 0;
+  let entries = await fsPromises.readdir(path.resolve(folder), { withFileTypes: true });
+  for (let entry of entries) {
+    let pn = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      total += await folderSize(pn);
+    } else if (entry.isFile()) {
+      total += (await fsPromises.stat(pn)).size;
+    }
+  }
+  return total;
+}
+
 async function fileGet(folder, fn, encoding) {
   if (debug_level) log.info(`readFile: ${folder} ${fn}`);
   if (!fn) {
@@ -94,6 +113,41 @@ async function fileGet(folder, fn, encoding) {
   return result;
 }
 
+// A stream of the bytes of a file, or of the bytes from start to end (inclusive) if given, for large files.
+function fileStream(folder, fn, start, end) {
+  if (debug_level) log.info(`stream: ${folder} ${fn}`);
+  let pn = path.resolve(folder, fn);
+  return fs.createReadStream(pn, (start === undefined) ? { } : { start, end });
+}
+
+// A stream that writes a file from the byte position start on, over any bytes already there. The file must exist.
+function fileWriteStream(folder, fn, start) {
+  if (debug_level) log.info(`writeStream: ${folder} ${fn}`);
+  let pn = path.resolve(folder, fn);
+  return fs.createWriteStream(pn, { flags: 'r+', start: start || 0, mode: 0o660 });
+}
+
+// Cuts a file to size bytes, or creates it with that many zero bytes if it does not exist.
+async function fileTruncate(folder, fn, size) {
+  if (debug_level) log.info(`truncate: ${folder} ${fn} ${size}`);
+  let handle = await fsPromises.open(path.resolve(folder, fn), 'a', 0o660);
+  try {
+    await handle.truncate(size);
+  } finally {
+    await handle.close();
+  }
+}
+
+// The hex digest of the bytes of a file, e.g. with 'sha256', read as a stream for large files.
+async function fileHash(folder, fn, algorithm) {
+  if (debug_level) log.info(`hash: ${folder} ${fn}`);
+  let hash = crypto.createHash(algorithm);
+  for await (let chunk of fs.createReadStream(path.resolve(folder, fn))) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
 // file
 async function filePut(folder, fn, payload) {
   if (debug_level) log.info(`writeFile: ${folder} ${fn}`);
@@ -143,6 +197,57 @@ async function pathDelete(pn) {
   return await fsPromises.unlink(pn);
 }
 
+// Moves a file or folder, e.g. into or out of the trash. The destination folder must exist.
+async function pathMove(from, to) {
+  if (debug_level) log.info(`rename: ${from} ${to}`);
+  if (!(from && to)) {
+    log.error('Error (rename): Invalid move.')
+    return false;
+  }
+  return await fsPromises.rename(path.resolve(from), path.resolve(to));
+}
+
+/////////////////// Staged writes ///////////////////////
+// For changes to several files that must all happen or none (see Store.userDocBatch). fileStage writes the new
+// content to a hidden file beside the target, and fileCommit moves it into place, keeping any file it replaces
+// as a hidden backup. fileRollback undoes either step. After every file has been committed, fileCleanup
+// removes the backup. tag tells the files of one batch apart from those of another.
+async function fileStage(folder, fn, payload, tag) {
+  if (debug_level) log.info(`stage: ${folder} ${fn}`);
+  let stage = { folder, fn, staged: `.${fn}.${tag}.staged`, backup: `.${fn}.${tag}.backup`, replaced: false, committed: false };
+  await fsPromises.writeFile(path.resolve(folder, stage.staged), payload, { mode: 0o660 });
+  return stage;
+}
+
+async function fileCommit(stage) {
+  let target = path.resolve(stage.folder, stage.fn);
+  if (await fileExists(stage.folder, stage.fn)) {
+    await fsPromises.rename(target, path.resolve(stage.folder, stage.backup));
+    stage.replaced = true;
+  }
+  await fsPromises.rename(path.resolve(stage.folder, stage.staged), target);
+  stage.committed = true;
+}
+
+async function fileRollback(stage) {
+  let target = path.resolve(stage.folder, stage.fn);
+  if (stage.committed && !stage.replaced) {
+    await fsPromises.unlink(target);
+  }
+  if (stage.replaced) {
+    await fsPromises.rename(path.resolve(stage.folder, stage.backup), target);
+  }
+  if (!stage.committed && await fileExists(stage.folder, stage.staged)) {
+    await fsPromises.unlink(path.resolve(stage.folder, stage.staged));
+  }
+}
+
+async function fileCleanup(stage) {
+  if (stage.replaced) {
+    await fsPromises.unlink(path.resolve(stage.folder, stage.backup));
+  }
+}
+
 //////////////////////////////
 
 // This function returns the position of the first '#' AFTER any '"' characters,
@@ -162,6 +267,8 @@ function findComment(line) {
 }
 
 // This is just a JSON read and parse except it supports '#' as a line-based comment.
+// Returns null if there is no such file, or if it is not valid JSON (which is logged): one bad file among the
+// user data must not stop the server. Other read errors are thrown.
 async function jsonGet(pn, fn) {
   let jsonLines = [];
   try {
@@ -180,7 +287,7 @@ async function jsonGet(pn, fn) {
       return null;
     }
     log.error(`${fn}: ${err.message} for ${pn}`);
-    process.exit(1);
+    throw err;
   }
 
   try {
@@ -189,9 +296,8 @@ async function jsonGet(pn, fn) {
     return cfg;
   } catch (err) {
     log.error(`${fn}: ${err.message} for ${pn}`);
-    process.exit(2);
+    return null;
   }
-  return null;
 }
 
 // this method uses a file system link to associate an existing src folder/file with a new dest folder/file.
@@ -220,7 +326,8 @@ async function symUnlink(name) {
 }
 
 module.exports = {
-  fileExists, filePut, fileGet, fileDelete,
-  folderExists, folderCreate, folderGet, folderDelete,
-  pathDelete, pathStat, symLink, symUnlink, jsonGet
+  fileExists, filePut, fileGet, fileStream, fileWriteStream, fileTruncate, fileHash, fileDelete,
+  folderExists, folderCreate, folderGet, folderDelete, folderSize,
+  fileStage, fileCommit, fileRollback, fileCleanup,
+  pathDelete, pathMove, pathStat, symLink, symUnlink, jsonGet
  };
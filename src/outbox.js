@@ -0,0 +1,50 @@
+const path = require('path');
+const uuid = require('uuid-random');
+
+const io = require('./io');
+const log = require('./log');
+
+// The outbox delivers messages meant for users, such as password reset tokens.
+// Select a sink with the 'outbox' setting in sossdata.cfg, either by name ("log" or "file")
+// or as an object with a type and sink-specific options, e.g. { "type": "file", "folder": "outbox" }.
+// Other sinks (e.g. a mail server) can be added with register(), before the routes are initialized.
+// A message is: { to, login, uid, subject, text, ...any extra fields such as token and expires }
+
+const sinks = {
+  // Writes the message to the server log. Includes the text, so only for development and testing.
+  log: () => async (message) => {
+    log.force(`Outbox message for '${message.login}' <${message.to || ''}>: ${message.subject}\n${message.text}`);
+    return true;
+  },
+  // Writes each message to a separate JSON file, by default in the 'outbox' subfolder of the data folder.
+  file: (store, options) => {
+    let folder = path.resolve(store.data, options.folder || 'outbox');
+    return async (message) => {
+      await io.folderCreate(folder);
+      let fn = `${Date.now()}-${uuid()}.json`;
+      await io.filePut(folder, fn, JSON.stringify(Object.assign({ sent: Date.now() }, message), null, 2));
+      log.info(`Outbox message for '${message.login}' written to ${fn}`);
+      return true;
+    };
+  }
+};
+
+function register(type, factory) {
+  sinks[type] = factory;
+}
+
+// Returns a send(message) function for the sink configured in the store.
+function create(store) {
+  let options = store.outbox || 'log';
+  if (typeof options === 'string') {
+    options = { type: options };
+  }
+  let factory = sinks[options.type];
+  if (!factory) {
+    log.error(`Unknown outbox type '${options.type}', using 'log' instead.`);
+    factory = sinks.log;
+  }
+  return factory(store, options);
+}
+
+module.exports = { register, create };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const md5 = require('md5');
+
+const scrypt = promisify(crypto.scrypt);
+
+// The current password hashing scheme. Credentials stored with anything else get upgraded on the next successful login.
+const PASSWORD_ALG = 'scrypt';
+const PASSWORD_VERSION = 1;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+// Default scrypt cost parameters, can be tuned with the 'scrypt' setting in sossdata.cfg, e.g. { "N": 32768, "r": 8, "p": 1 }
+const DEFAULT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function kdfParams(tuning) {
+  let params = Object.assign({ }, DEFAULT_PARAMS, tuning || { });
+  return { N: parseInt(params.N), r: parseInt(params.r), p: parseInt(params.p) };
+}
+
+async function derive(password, salt, params) {
+  // scrypt needs roughly 128*N*r bytes, so raise the default 32MB ceiling when tuned higher than that.
+  let maxmem = Math.max(32*1024*1024, 256 * params.N * params.r);
+  return await scrypt(String(password), salt, KEY_BYTES, { N: params.N, r: params.r, p: params.p, maxmem });
+}
+
+// Returns a new credentials object for the meta.json of a user: { alg, v, N, r, p, salt, hash }
+async function hashPassword(password, tuning) {
+  let params = kdfParams(tuning);
+  let salt = crypto.randomBytes(SALT_BYTES);
+  let key = await derive(password, salt, params);
+  return {
+    alg: PASSWORD_ALG,
+    v: PASSWORD_VERSION,
+    N: params.N, r: params.r, p: params.p,
+    salt: salt.toString('base64'),
+    hash: key.toString('base64')
+  };
+}
+
+// Credentials without an alg tag are the original unsalted md5 form: { hash }
+async function verifyPassword(password, credentials) {
+  if (!credentials || !credentials.hash || (password === undefined) || (password === null)) {
+    return false;
+  }
+
+  if (!credentials.alg || credentials.alg === 'md5') {
+    let expected = Buffer.from(credentials.hash, 'utf8');
+    let actual = Buffer.from(md5(String(password)), 'utf8');
+    return (expected.length === actual.length) && crypto.timingSafeEqual(expected, actual);
+  }
+
+  if (credentials.alg === PASSWORD_ALG) {
+    let expected = Buffer.from(credentials.hash, 'base64');
+    let key = await derive(password, Buffer.from(credentials.salt, 'base64'), kdfParams(credentials));
+    return (expected.length === key.length) && crypto.timingSafeEqual(expected, key);
+  }
+
+  return false; // unknown algorithm
+}
+
+// True if the credentials were verified but are stored with an older algorithm, version or cost than configured.
+function needsRehash(credentials, tuning) {
+  if (!credentials || credentials.alg !== PASSWORD_ALG || credentials.v !== PASSWORD_VERSION) {
+    return true;
+  }
+  let params = kdfParams(tuning);
+  return (credentials.N !== params.N) || (credentials.r !== params.r) || (credentials.p !== params.p);
+}
+
+module.exports = { PASSWORD_ALG, PASSWORD_VERSION, hashPassword, verifyPassword, needsRehash };
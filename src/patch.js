@@ -0,0 +1,221 @@
+// Partial document updates: JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902).
+// Both return a new document and leave the original alone, so a failed patch changes nothing.
+// Errors have code 'EPATCH' for a malformed patch or a path that does not apply, and 'EPATCHTEST' for a failed 'test' op.
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+function patchError(message, code) {
+  let err = new Error(message);
+  err.code = code || 'EPATCH';
+  return err;
+}
+
+function isObject(value) {
+  return (value !== null) && (typeof value === 'object') && !Array.isArray(value);
+}
+
+function clone(value) {
+  return (value === undefined) ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && (a.length === b.length) && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    let keys = Object.keys(a);
+    return (keys.length === Object.keys(b).length) && keys.every(key => has(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+function has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Keys that would reach the object prototype instead of a property are refused.
+function checkKey(key) {
+  if (key === '__proto__') {
+    throw patchError(`Invalid key '${key}'.`);
+  }
+  return key;
+}
+
+// RFC 7396: objects are merged recursively, null removes a member, anything else replaces the target.
+function mergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  let result = isObject(target) ? clone(target) : { };
+  for (let key of Object.keys(patch)) {
+    checkKey(key);
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], patch[key]);
+    }
+  }
+  return result;
+}
+
+// RFC 6901 JSON Pointer, as a list of unescaped reference tokens.
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw patchError(`Invalid JSON pointer '${pointer}'.`);
+  }
+  if (pointer === '') return [ ];
+  return pointer.slice(1).split('/').map(token => checkKey(token.replace(/~1/g, '/').replace(/~0/g, '~')));
+}
+
+// The array index a token refers to. For 'add', one past the end (or '-') appends.
+function arrayIndex(arr, token, adding) {
+  if (adding && token === '-') return arr.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw patchError(`Invalid array index '${token}'.`);
+  }
+  let index = Number(token);
+  if (index > arr.length || (!adding && index === arr.length)) {
+    throw patchError(`Array index ${index} is out of range.`);
+  }
+  return index;
+}
+
+// Returns the container and final token of a pointer, for operations on the value it refers to.
+function locate(doc, tokens, pointer) {
+  let parent = doc;
+  for (let token of tokens.slice(0, -1)) {
+    if (Array.isArray(parent)) {
+      parent = parent[arrayIndex(parent, token, false)];
+    } else if (isObject(parent) && has(parent, token)) {
+      parent = parent[token];
+    } else {
+      throw patchError(`Path '${pointer}' does not exist.`);
+    }
+  }
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw patchError(`Path '${pointer}' does not exist.`);
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, pointer) {
+  let tokens = parsePointer(pointer);
+  if (tokens.length === 0) return doc;
+  let { parent, key } = locate(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, false)];
+  }
+  if (!has(parent, key)) {
+    throw patchError(`Path '${pointer}' does not exist.`);
+  }
+  return parent[key];
+}
+
+// These return the new document, which is only a different value when the pointer is the whole document ('').
+function addValue(doc, pointer, value) {
+  let tokens = parsePointer(pointer);
+  if (tokens.length === 0) return value;
+  let { parent, key } = locate(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, pointer) {
+  let tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw patchError('Cannot remove the whole document.');
+  }
+  let { parent, key } = locate(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false), 1);
+  } else if (has(parent, key)) {
+    delete parent[key];
+  } else {
+    throw patchError(`Path '${pointer}' does not exist.`);
+  }
+  return doc;
+}
+
+function applyOperation(doc, op) {
+  if (!isObject(op) || typeof op.op !== 'string') {
+    throw patchError('Each JSON Patch operation must be an object with an \'op\'.');
+  }
+  if ([ 'add', 'replace', 'test' ].includes(op.op) && !has(op, 'value')) {
+    throw patchError(`The '${op.op}' operation requires a 'value'.`);
+  }
+  switch (op.op) {
+    case 'add':
+      return addValue(doc, op.path, clone(op.value));
+    case 'remove':
+      return removeValue(doc, op.path);
+    case 'replace':
+      if (op.path === '') return clone(op.value);
+      getValue(doc, op.path);  // must exist
+      return addValue(removeValue(doc, op.path), op.path, clone(op.value));
+    case 'move': {
+      parsePointer(op.path);
+      if (op.path.startsWith(op.from + '/')) {
+        throw patchError(`Cannot move '${op.from}' into itself.`);
+      }
+      let value = getValue(doc, op.from);
+      return addValue(removeValue(doc, op.from), op.path, value);
+    }
+    case 'copy':
+      return addValue(doc, op.path, clone(getValue(doc, op.from)));
+    case 'test':
+      if (!deepEqual(getValue(doc, op.path), op.value)) {
+        throw patchError(`Test failed at '${op.path}'.`, 'EPATCHTEST');
+      }
+      return doc;
+    default:
+      throw patchError(`Unknown JSON Patch operation '${op.op}'.`);
+  }
+}
+
+// RFC 6902: applies the operations in order. If any fails, none apply.
+function jsonPatch(doc, ops) {
+  if (!Array.isArray(ops)) {
+    throw patchError('A JSON Patch must be an array of operations.');
+  }
+  let result = clone(doc);
+  for (let op of ops) {
+    result = applyOperation(result, op);
+  }
+  return result;
+}
+
+function escapeToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// The JSON Patch that turns one document into another. Objects are compared member by member,
+// and anything else that differs, including arrays, is replaced whole.
+function diff(from, to, pointer) {
+  pointer = pointer || '';
+  if (deepEqual(from, to)) return [ ];
+  if (!isObject(from) || !isObject(to)) {
+    return [ { op: 'replace', path: pointer, value: clone(to) } ];
+  }
+  let ops = [ ];
+  for (let key of Object.keys(from)) {
+    if (!has(to, key)) {
+      ops.push({ op: 'remove', path: pointer + '/' + escapeToken(key) });
+    }
+  }
+  for (let key of Object.keys(to)) {
+    let child = pointer + '/' + escapeToken(key);
+    if (!has(from, key)) {
+      ops.push({ op: 'add', path: child, value: clone(to[key]) });
+    } else {
+      ops.push(...diff(from[key], to[key], child));
+    }
+  }
+  return ops;
+}
+
+module.exports = { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, mergePatch, jsonPatch, diff };
@@ -0,0 +1,183 @@
+// Filtering, sorting, field selection and cursor pagination of document listings, from URL query parameters:
+//   fields=a,b        only these top-level fields (and uid) of each document
+//   status=draft      equality on a top-level field, or field[op]=value with op one of eq, ne, gt, gte, lt, lte, in
+//   size[in]=1,2,3    (comma-separated values for 'in')
+//   sort=-modified,name   sort keys, '-' for descending. Ties are broken by uid.
+//   limit=50          page size
+//   next=<token>      the 'next' token of the previous page
+// space and owner are not filters either: they choose whose documents the route reads (see spaces.js and sharing.js).
+// Errors have code 'EQUERY'.
+const RESERVED = [ 'fields', 'sort', 'limit', 'next', 'space', 'owner' ];
+const OPERATORS = [ 'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in' ];
+const FIELD = /^([A-Za-z_$][\w$-]*)(?:\[(\w+)\])?$/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function queryError(message) {
+  let err = new Error(message);
+  err.code = 'EQUERY';
+  return err;
+}
+
+function list(value) {
+  return String(value).split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+// Parses the query parameters. Throws for malformed ones.
+function parse(query) {
+  let result = { fields: null, filters: [ ], sort: [ ], limit: DEFAULT_LIMIT, after: null };
+  for (let key of Object.keys(query)) {
+    let value = Array.isArray(query[key]) ? query[key][query[key].length - 1] : query[key];
+    if (RESERVED.includes(key)) continue;
+    let match = FIELD.exec(key);
+    if (!match || (match[2] && !OPERATORS.includes(match[2]))) {
+      throw queryError(`Invalid filter '${key}'.`);
+    }
+    let op = match[2] || 'eq';
+    result.filters.push({ field: match[1], op, value: (op === 'in') ? list(value) : value });
+  }
+  if (query.fields) {
+    result.fields = list(query.fields);
+  }
+  for (let key of list(query.sort || '')) {
+    let desc = key.startsWith('-');
+    let field = desc ? key.slice(1) : key;
+    if (!FIELD.test(field) || field.includes('[')) {
+      throw queryError(`Invalid sort field '${field}'.`);
+    }
+    result.sort.push({ field, desc });
+  }
+  if (query.limit !== undefined) {
+    let limit = parseInt(query.limit);
+    if (!(limit > 0)) {
+      throw queryError('The limit must be a positive number.');
+    }
+    result.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (query.next) {
+    result.after = decodeCursor(query.next, result.sort);
+  }
+  return result;
+}
+
+// A query value as the type of the document value it is compared with.
+function coerce(text, like) {
+  if (typeof like === 'number') {
+    let num = Number(text);
+    return Number.isNaN(num) ? text : num;
+  }
+  if (typeof like === 'boolean') {
+    return (text === 'true') ? true : (text === 'false') ? false : text;
+  }
+  if (like === null || like === undefined) {
+    return (text === 'null') ? null : text;
+  }
+  return text;
+}
+
+// Orders values of any type: missing and null first, then booleans, numbers, strings, and anything else.
+function typeRank(value) {
+  if (value === undefined || value === null) return 0;
+  switch (typeof value) {
+    case 'boolean': return 1;
+    case 'number': return 2;
+    case 'string': return 3;
+    default: return 4;
+  }
+}
+
+function compareValues(a, b) {
+  let rankA = typeRank(a);
+  let rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+  if (rankA === 3) return a.localeCompare(b);
+  if (rankA === 4) return JSON.stringify(a).localeCompare(JSON.stringify(b));
+  return (a < b) ? -1 : (a > b) ? 1 : 0;
+}
+
+// Ranges only match values of the same type, so that e.g. a missing field is not less than everything.
+function matches(doc, filter) {
+  let actual = doc[filter.field];
+  if (filter.op === 'in') {
+    return filter.value.some(text => compareValues(actual, coerce(text, actual)) === 0);
+  }
+  let expected = coerce(filter.value, actual);
+  let order = compareValues(actual, expected);
+  let comparable = typeRank(actual) === typeRank(expected);
+  switch (filter.op) {
+    case 'eq': return order === 0;
+    case 'ne': return order !== 0;
+    case 'gt': return comparable && order > 0;
+    case 'gte': return comparable && order >= 0;
+    case 'lt': return comparable && order < 0;
+    case 'lte': return comparable && order <= 0;
+  }
+  return false;
+}
+
+// The sort key of a document: its sort field values, then its uid.
+function sortKey(doc, sort) {
+  return sort.map(key => (doc[key.field] === undefined) ? null : doc[key.field]).concat(String(doc.uid));
+}
+
+function compareKeys(a, b, sort) {
+  for (let i = 0; i < a.length; i++) {
+    let order = compareValues(a[i], b[i]);
+    if (order !== 0) {
+      return (i < sort.length && sort[i].desc) ? -order : order;
+    }
+  }
+  return 0;
+}
+
+// Cursors hold the sort key of the last document of a page, so the next page starts after it even if
+// documents are added or removed in between. They only apply to the same sort order.
+function encodeCursor(key, sort) {
+  return Buffer.from(JSON.stringify({ s: sort.map(k => (k.desc ? '-' : '') + k.field).join(','), k: key })).toString('base64url');
+}
+
+function decodeCursor(token, sort) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+  } catch (err) {
+    throw queryError('Invalid next token.');
+  }
+  let order = sort.map(k => (k.desc ? '-' : '') + k.field).join(',');
+  if (!cursor || cursor.s !== order || !Array.isArray(cursor.k) || cursor.k.length !== sort.length + 1) {
+    throw queryError('The next token does not match this query.');
+  }
+  return cursor.k;
+}
+
+function select(doc, fields) {
+  if (!fields) return doc;
+  let result = { uid: doc.uid };
+  for (let field of fields) {
+    if (Object.prototype.hasOwnProperty.call(doc, field)) {
+      result[field] = doc[field];
+    }
+  }
+  return result;
+}
+
+// Runs a parsed query over a list of documents. Returns { total, next, docs }, where total counts all
+// the documents that match the filters and next is the token for the following page, or null on the last one.
+function run(docs, q) {
+  let found = docs.filter(doc => q.filters.every(filter => matches(doc, filter)));
+  let keyed = found.map(doc => ({ doc, key: sortKey(doc, q.sort) }));
+  keyed.sort((a, b) => compareKeys(a.key, b.key, q.sort));
+  if (q.after) {
+    keyed = keyed.filter(item => compareKeys(item.key, q.after, q.sort) > 0);
+  }
+  let page = keyed.slice(0, q.limit);
+  let more = keyed.length > page.length;
+  return {
+    total: found.length,
+    next: more ? encodeCursor(page[page.length - 1].key, q.sort) : null,
+    docs: page.map(item => select(item.doc, q.fields))
+  };
+}
+
+module.exports = { parse, run };
@@ -0,0 +1,57 @@
+// HTTP Range requests (RFC 9110, section 14) for byte ranges of a file, e.g. to seek in a video.
+const MAX_RANGES = 16;  // more than this in one request is treated as no Range header at all
+
+// Parses a Range header for a file of size bytes. Returns null if the header should be ignored (missing,
+// not for bytes, malformed or with too many ranges), so that the whole file is sent, or an empty list if none
+// of the ranges can be satisfied (416). Otherwise returns the ranges as [ { start, end } ], with inclusive ends,
+// in order and with overlapping or adjacent ranges merged.
+function parse(header, size) {
+  if (typeof header !== 'string') return null;
+  let match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+  let specs = match[1].split(',').map(spec => spec.trim()).filter(spec => spec);
+  if (!specs.length || specs.length > MAX_RANGES) return null;
+
+  let ranges = [ ];
+  for (let spec of specs) {
+    let parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+    if (parts[1] === '') {
+      let suffix = Number(parts[2]);  // the last suffix bytes
+      if (suffix > 0 && size > 0) {
+        ranges.push({ start: Math.max(size - suffix, 0), end: size - 1 });
+      }
+      continue;
+    }
+    let start = Number(parts[1]);
+    let end = (parts[2] === '') ? Infinity : Number(parts[2]);
+    if (end < start) return null;
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  let merged = [ ];
+  for (let range of ranges) {
+    let last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(Object.assign({ }, range));
+    }
+  }
+  return merged;
+}
+
+// The parts of a multipart/byteranges body around the file data: the header before each range, and the end.
+function multipart(ranges, size, type, boundary) {
+  let heads = ranges.map((range, i) => (i ? '\r\n' : '') +
+    `--${boundary}\r\nContent-Type: ${type}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`);
+  let tail = `\r\n--${boundary}--\r\n`;
+  let length = heads.reduce((total, head) => total + Buffer.byteLength(head), Buffer.byteLength(tail)) +
+    ranges.reduce((total, range) => total + range.end - range.start + 1, 0);
+  return { heads, tail, length };
+}
+
+module.exports = { parse, multipart };
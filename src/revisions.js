@@ -0,0 +1,105 @@
+const path = require('path');
+
+const io = require('./io');
+const log = require('./log');
+
+// Default revision history policy, overridden by the 'revisions' setting in sossdata.cfg.
+const DEFAULTS = {
+  keep: 20,    // prior revisions kept per document, besides the current one. 0 turns history off.
+  maxage: 0    // seconds after which prior revisions are pruned, or 0 to keep them until there are too many
+};
+
+// Revision history of one document, kept as <rev>.json files in a folder of its own. Each revision is
+// { rev, time, author, action, doc }: the content the document had after a change ('create', 'replace',
+// 'update' or 'restore') by the author uid at that time, or a null doc for 'delete'. The latest revision
+// is the current content, so history survives a delete and a deleted document can be restored.
+class Revisions {
+  constructor(options) {
+    this.options = Object.assign({ }, DEFAULTS, options || { });
+  }
+
+  get enabled() {
+    return this.options.keep > 0;
+  }
+
+  async revs(folder) {
+    if (!await io.folderExists(folder)) return [ ];
+    let result = [ ];
+    for (let fn of await io.folderGet(folder)) {
+      let rev = Number(path.basename(fn, '.json'));
+      if (path.extname(fn) === '.json' && Number.isInteger(rev)) {
+        result.push(rev);
+      }
+    }
+    return result.sort((a, b) => a - b);
+  }
+
+  // The revisions of the document, oldest first, without their content.
+  async list(folder) {
+    let result = [ ];
+    for (let rev of await this.revs(folder)) {
+      let rec = await this.get(folder, rev);
+      if (rec) {
+        result.push({ rev: rec.rev, time: rec.time, author: rec.author, action: rec.action });
+      }
+    }
+    return result;
+  }
+
+  // A revision with its content, or null.
+  async get(folder, rev) {
+    return await io.jsonGet(folder, rev + '.json');
+  }
+
+  async latest(folder) {
+    let revs = await this.revs(folder);
+    return revs.length ? await this.get(folder, revs[revs.length - 1]) : null;
+  }
+
+  // Records a new revision and prunes old ones. time defaults to now.
+  async add(folder, action, doc, author, time) {
+    let revs = await this.revs(folder);
+    let rec = {
+      rev: revs.length ? revs[revs.length - 1] + 1 : 1,
+      time: time || Date.now(),
+      author: author || null,
+      action,
+      doc: (doc === undefined) ? null : doc
+    };
+    await io.folderCreate(folder);
+    await io.filePut(folder, rec.rev + '.json', JSON.stringify(rec, null, 2));
+    await this.prune(folder, revs.concat(rec.rev));
+    return rec;
+  }
+
+  // Removes prior revisions beyond the count to keep, or older than maxage. The current revision is always kept,
+  // unless it records a delete older than maxage, and then the whole history goes.
+  async prune(folder, revs) {
+    revs = revs || await this.revs(folder);
+    if (!revs.length) return 0;
+    let current = revs[revs.length - 1];
+    let prior = revs.slice(0, -1);
+    let remove = prior.slice(0, Math.max(0, prior.length - this.options.keep));
+    if (this.options.maxage) {
+      let cutoff = Date.now() - this.options.maxage * 1000;
+      for (let rev of prior.slice(remove.length)) {
+        let rec = await this.get(folder, rev);
+        if (rec && rec.time < cutoff) {
+          remove.push(rev);
+        }
+      }
+      let latest = await this.get(folder, current);
+      if (latest && latest.action === 'delete' && latest.time < cutoff) {
+        await io.folderDelete(folder);
+        log.info(`Pruned the history of deleted document: ${folder}`);
+        return revs.length;
+      }
+    }
+    for (let rev of remove) {
+      await io.fileDelete(folder, rev + '.json');
+    }
+    return remove.length;
+  }
+}
+
+module.exports = Revisions;
@@ -0,0 +1,60 @@
+// Role-based access control.
+// Permissions are 'area:action' strings. A role grants a list of them, where 'area:*' grants every action
+// in an area and '*' grants everything. 'account' covers the user's own login session, password and login ID.
+const ROLES = {
+  admin: [ '*' ],
+  moderator: [ 'account', 'profile:*', 'docs:*', 'assets:*', 'users:read', 'users:sessions', 'users:suspend' ],
+  user: [ 'account', 'profile:*', 'docs:*', 'assets:*' ],
+  readonly: [ 'account', 'profile:read', 'docs:read', 'assets:read' ]
+};
+const DEFAULT_ROLE = 'user';
+
+let roles = Object.assign({ }, ROLES);
+
+// Additional roles, or replacement permissions for the built-in ones, can come from the 'roles' setting in sossdata.cfg.
+function init(custom) {
+  roles = Object.assign({ }, ROLES, custom || { });
+}
+
+function list() {
+  return roles;
+}
+
+function exists(name) {
+  return Object.prototype.hasOwnProperty.call(roles, name);
+}
+
+function grants(perm, permission) {
+  if (perm === '*' || perm === permission) return true;
+  let [area] = permission.split(':');
+  return perm === area + ':*';
+}
+
+// True if any permission in the list grants the permission.
+function granted(perms, permission) {
+  return perms.some(perm => grants(perm, permission));
+}
+
+// True if any of the named roles grants the permission.
+function can(roleNames, permission) {
+  if (!Array.isArray(roleNames)) return false;
+  for (let name of roleNames) {
+    let perms = exists(name) ? roles[name] : [ ];
+    if (granted(perms, permission)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The roles of a user record. Users without stored roles get the default role, and the login or uid
+// named by the 'admin' setting is always an admin, so that a new server can be bootstrapped.
+function userRoles(user, adminName) {
+  let result = Array.isArray(user.roles) ? user.roles.slice() : [ DEFAULT_ROLE ];
+  if (adminName && ((user.login === adminName) || (user.uid === adminName)) && !result.includes('admin')) {
+    result.push('admin');
+  }
+  return result;
+}
+
+module.exports = { DEFAULT_ROLE, init, list, exists, granted, can, userRoles };
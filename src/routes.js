@@ -1,69 +1,122 @@
+const crypto = require('crypto');
 const uuid = require('uuid-random');
 const jwt = require('jsonwebtoken');
-const md5 = require('md5');
 
+const ApiKeys = require('./apikeys');
 const assets = require('./assets');
 const auth = require('./auth');
+const batch = require('./batch');
+const collections = require('./collections');
+const etag = require('./etag');
 const log = require('./log');
+const outbox = require('./outbox');
+const passwords = require('./passwords');
+const roles = require('./roles');
+const search = require('./search');
+const sharing = require('./sharing');
+const spaces = require('./spaces');
+const totp = require('./totp');
+const trash = require('./trash');
+const tus = require('./tus');
 
 const JSON_TYPE = 'application/json; charset=utf-8';
 
+const MFA_CHALLENGE_LIFE = 300;  // seconds to complete a 2FA login challenge
+const MFA_RECOVERY_CODES = 10;
+
 function logRoute(req, err) {
-  req.log.info({req, err}, 'route handler');
+  log.debug(`${req.method} ${req.url}` + (err ? `: ${err.message}` : ''));
 }
 
-// pass null for reply if it should not send the reply automatically
-let first = true;
-function handleError(err, request, reply) {
-  if (!err.requestResult) {
-    log.error(err.message);
-    logRoute(request, err);
-    if (reply) {
-      reply.code(500).send(err.message);
-    }
+// Replies to a failed route with a 404 for a missing file, otherwise logs it and replies with a 500.
+function handleError(err, ctx) {
+  logRoute(ctx.request, err);
+  if (err.code === 'ENOENT') {
+    ctx.status = 404;
+    ctx.body = 'Not found.';
     return;
   }
-
-  let result = err.requestResult;
-  if (result.responseContent.errors.length === 1) {
-    let details = result.responseContent.errors[0];
-    let msg = `error ${result.statusCode} on ${result.method}, ${details.code}: ${details.description}`;
-    log.error(msg);
-    if (reply) reply.code(result.statusCode).send(details.description);
-  } else {
-    let msg = `error ${result.statusCode} on ${result.method}:`;
-    log.error(msg);
-    let firstCode = null;
-    let firstText = null;
-    for (let details of result.responseContent.errors) {
-      log.warn(`  ${details.code}: ${details.description}`);
-      if (!first) {
-        firstCode = details.code;
-        firstText = details.description;
-      }
-    }
-    firstCode = firstCode || result.statusCode || 500;
-    firstText = firstText || err.message || `unknown error on ${request.method}`;
-    console.error(`Error ${firstCode}: ${firstText}`);
-    if (reply) {
-      // reply.code(firstCode).send(firstText);
-      throw err;
-    }
-  }
+  log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+  ctx.status = 500;
+  ctx.body = err.message;
 }
 
 let packageVersion = require('../package.json').version;
 log.force('SOSSData '+packageVersion);
 // log.info('Node.js '+process.version);
 
+// Fields of a user definition that users cannot set on themselves, including the claim names of access tokens.
+const TOKEN_CLAIMS = [ 'sid', 'kid', 'scopes', 'iss', 'sub', 'aud', 'exp', 'nbf', 'iat', 'jti' ];
+const PROTECTED_FIELDS = [ 'uid', 'roles', 'administrator', 'password', 'status', 'invite', 'created', 'lastLogin' ].concat(TOKEN_CLAIMS);
+
+function withoutProtected(fields) {
+  let result = Object.assign({ }, fields);
+  for (let field of PROTECTED_FIELDS) {
+    delete result[field];
+  }
+  return result;
+}
+
+// The 'registration' setting: true or 'open' for anyone, false or 'closed' for nobody, 'invite' to require an
+// invitation code from an admin, or 'approval' to create new accounts pending until an admin approves them.
+function registrationMode(setting) {
+  if (setting === true || setting === 'open' || setting === 'true') return 'open';
+  if (setting === 'invite' || setting === 'approval') return setting;
+  return 'closed';
+}
+
+// Replies 429 with a Retry-After header, in seconds.
+function tooManyAttempts(ctx, seconds) {
+  ctx.status = 429;
+  ctx.set('Retry-After', String(seconds));
+  ctx.body = `Too many attempts. Please try again in ${seconds} seconds.`;
+}
+
+function hashRecoveryCode(code) {
+  let normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Login IDs name links in the logins folder, so keep them to safe file name characters.
+function loginValid(name) {
+  return (typeof name === 'string') && /^[A-Za-z0-9_@-][A-Za-z0-9._@-]{0,63}$/.test(name);
+}
+
+function passwordValid(password) {
+  return (typeof password === 'string') && password.length > 0;
+}
+
 // This initializes the SOSS routes, and optionally user registration if store.registration is set.
 function initRoutes(router, store) {
   function makeUserResponse(user) {
     let response = Object.assign({ }, user)
-    response.administrator = (response.login === store.admin) || (response.uid === store.admin);
+    response.roles = roles.userRoles(user, store.admin);
+    response.administrator = response.roles.includes('admin');
     return response;
   }
 
+  // Signs a short-lived access token for the user response, tied to a login session.
+  // Only these claims are signed, so no field of the user definition can stand in for one the server sets.
+  function signToken(response, sid) {
+    let payload = { uid: response.uid, login: response.login, roles: response.roles, sid };
+    return jwt.sign(payload, store.secret, { issuer: store.id, expiresIn: store.tokenlife, jwtid: uuid() });
+  }
+
+  // Starts a new session and returns the user response with its access and refresh tokens.
+  // The token does not include more than basic user.
+  // e.g. The token does not include itself, or the MOTD message.
+  async function makeLoginResponse(user) {
+    let response = makeUserResponse(user);
+    let session = await store.sessions.create(user);
+    response.token = signToken(response, session.sid);
+    response.refresh = session.refresh;
+    response.expires = store.tokenlife;
+    return response;
+  }
+
+  auth.init(store);
+  const sendMessage = outbox.create(store);
+
   // Declare a route
   let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
   // log.info(`${store.id}: Enabling storage API ...`)
@@ -78,7 +131,7 @@ function initRoutes(router, store) {
       id: store.id,
       name: store.name,
       domain: store.domain,
-      registration: store.registration,
+      registration: registrationMode(store.registration),
       motd: ''
     };
     ctx.body = JSON.stringify(response);
@@ -89,7 +142,7 @@ function initRoutes(router, store) {
       id: store.id,
       name: store.name,
       domain: store.domain,
-      registration: store.registration,
+      registration: registrationMode(store.registration),
       motd: ''
     };
     try {
@@ -134,311 +187,899 @@ function initRoutes(router, store) {
   //   })
   // })
 
-  router.get(prefix+'/users', (ctx) => {
-    if (!auth.isAdmin(ctx.request)) {
-      logRoute(ctx.request);
-      ctx.code = 403;
-      ctx.body = JSON.stringify('Forbidden: user is not authorized.');
+  // The user list for admins, sorted by login ID. Filter with ?prefix= (login ID prefix) and ?status=, page with ?offset= and ?limit=.
+  router.get(prefix+'/users', auth.permit('users:read'), async (ctx) => {
+    let query = ctx.query;
+    let limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 500);
+    let offset = Math.max(parseInt(query.offset) || 0, 0);
+    try {
+      let users = await store.userList();
+      if (query.prefix) {
+        let loginPrefix = String(query.prefix).toLowerCase();
+        users = users.filter(user => String(user.login).toLowerCase().startsWith(loginPrefix));
+      }
+      if (query.status) {
+        users = users.filter(user => (user.status || 'active') === query.status);
+      }
+      users.sort((a, b) => String(a.login).localeCompare(String(b.login)));
+
+      let page = [ ];
+      for (let user of users.slice(offset, offset + limit)) {
+        let response = makeUserResponse(user);
+        page.push({
+          uid: user.uid,
+          login: user.login,
+          display: user.display,
+          email: user.email,
+          roles: response.roles,
+          status: user.status || 'active',
+          created: await store.userCreated(user),
+          lastLogin: user.lastLogin || null,
+          storage: await store.userStorageUsed(user.uid)
+        });
+      }
+      log.info(`/users request, ${page.length} of ${users.length}`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ total: users.length, offset, limit, users: page });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  })
+
+  // Suspends an account without deleting its data. Its sessions end, and its tokens and API keys are refused.
+  router.post(prefix+'/users/:uid/suspend', auth.permit('users:suspend'), async (ctx) => {
+    let user = ctx.state.user;
+    let userRec = await store.userByUID(ctx.params.uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
       return;
     }
-    store.folderGet('users').then((response) => {
-      if (response) {
-        log.warn('/users request');
-        ctx.type = JSON_TYPE;
-        ctx.body = JSON.stringify(response);
-      } else {
-        log.warn('/users request, none found.');
-        ctx.code = 404;
-        ctx.body = 'users folder not found';
+    let target = makeUserResponse(userRec.user);
+    if (target.uid === user.uid || (target.administrator && !auth.isAdmin(ctx.request))) {
+      ctx.status = 403;
+      ctx.body = 'Forbidden: user is not authorized to suspend that account.';
+      return;
+    }
+    let meta = await store.userStatusSet(target.uid, 'suspended');
+    log.warn(`User '${user.login}' suspended the account of '${meta.user.login}'.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(makeUserResponse(meta.user));
+  })
+
+  router.post(prefix+'/users/:uid/reactivate', auth.permit('users:suspend'), async (ctx) => {
+    let userRec = await store.userByUID(ctx.params.uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    if (userRec.user.status !== 'suspended') {
+      ctx.status = 409;
+      ctx.body = 'That account is not suspended.';
+      return;
+    }
+    let meta = await store.userStatusSet(userRec.user.uid, 'active');
+    log.warn(`User '${ctx.state.user.login}' reactivated the account of '${meta.user.login}'.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(makeUserResponse(meta.user));
+  })
+
+  // Same as /users/:myID but with an implicit ID
+  // Supports If-None-Match, for a 304 reply when the client's copy is current.
+  router.get(prefix+'/profile', auth.permit('profile:read'), async (ctx) => {
+    let user = ctx.state.user;
+    let userRec = await store.userByUID(user.uid);
+    logRoute(ctx.request);
+    let response = makeUserResponse(userRec.user);
+    if (etag.conditionalGet(ctx, etag.etagOf(response))) {
+      return;
+    }
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
+  })
+
+  // Same as /users/:myID but with an implicit ID. With If-Match, only if the profile has not changed since the client read it.
+  router.put(prefix+'/profile', auth.permit('profile:write'), async (ctx) => {
+    let user = ctx.state.user;
+    await store.userMetaLocked(user.uid, async () => {
+      let meta = await store.userByUID(user.uid);
+      let tag = etag.etagOf(makeUserResponse(meta.user));
+      if (etag.preconditionFailed(ctx, tag)) {
+        etag.replyPreconditionFailed(ctx, tag);
+        return;
+      }
+      let updates = withoutProtected(ctx.request.body);
+      if (updates.login !== undefined && updates.login !== meta.user.login) {
+        ctx.status = 400;
+        ctx.body = `Use PUT ${prefix}/users/${user.uid}/login to change the login ID.`;
+        return;
       }
-    }).catch((err) => {
-      handleError(err, ctx.request, ctx.reply);
+      meta.user = Object.assign({}, meta.user, updates);
+      await store.userMetaPut(user.uid, meta);
+      log.info('/profile PUT');
+      let response = makeUserResponse(meta.user);
+      ctx.set('ETag', etag.etagOf(response));
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
     });
   })
 
-  // Same as /users/:myID but with an implicit ID
-  router.get(prefix+'/profile', async (ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      log.warn({req: ctx.request}, '/profile request, not authorized.');
-      ctx.code = 401;
-      ctx.body = JSON.stringify('Not authorized.');
+  // Changes the password of the current user. This ends all their sessions, so the reply includes new tokens.
+  router.put(prefix+'/profile/password', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let body = ctx.request.body || { };
+    if (!passwordValid(body.password)) {
+      ctx.status = 400;
+      ctx.body = 'A new password is required.';
       return;
     }
-    let userRec = await store.userByUID(user.uid, "meta");
-    log.info({req: ctx.request}, 'route handler');
-    let response = makeUserResponse(userRec.user);
+    let userRec = await store.userByUID(user.uid);
+    if (!userRec || !await passwords.verifyPassword(body.current, userRec.credentials)) {
+      log.warn(`Password change for '${user.login}' failed, invalid current password.`);
+      ctx.status = 403;
+      ctx.body = 'The current password is not correct.';
+      return;
+    }
+    let credentials = await passwords.hashPassword(body.password, store.scrypt);
+    await store.userPasswordChange(user.uid, credentials);
+    log.info(`User '${user.login}' has changed their password.`);
+    let response = await makeLoginResponse(userRec.user);
     ctx.type = JSON_TYPE;
     ctx.body = JSON.stringify(response);
   })
 
-  // Same as /users/:myID but with an implicit ID
-  router.put(prefix+'/profile', async (ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      log.warn('/profile request, not authorized');
-      ctx.code = 401;
-      ctx.body = 'Not authorized.';
+  // TOTP two-factor authentication for the current user.
+  router.get(prefix+'/profile/2fa', auth.permit('account'), async (ctx) => {
+    let meta = await store.userByUID(ctx.state.user.uid);
+    let mfa = meta.mfa || { };
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ enabled: !!mfa.secret, since: mfa.enabled || null, recovery: (mfa.recovery || [ ]).length });
+  })
+
+  // Starts enrollment with a new secret. It is not required for login until confirmed with a first code.
+  router.post(prefix+'/profile/2fa', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let meta = await store.userByUID(user.uid);
+    if (user.kid) {
+      ctx.status = 403;
+      ctx.body = 'API keys cannot be used to change two-factor authentication.';
       return;
     }
-    // TODO: This needs to merge the payload with the current profile data.
-    let meta = store.userByUID(user.uid, "meta");
-    meta.user = Object.assign({}, meta.user, ctx.request.body);
-    await store.userDocReplace(user, '', "meta", meta);
-    log.info('/profile PUT');
+    if (meta.mfa && meta.mfa.secret) {
+      ctx.status = 409;
+      ctx.body = 'Two-factor authentication is already enabled. Disable it first to enroll again.';
+      return;
+    }
+    let secret = totp.generateSecret();
+    await store.userMfaPut(user.uid, { pending: secret });
     ctx.type = JSON_TYPE;
-    ctx.body = JSON.stringify(meta.user);
+    ctx.body = JSON.stringify({ secret, uri: totp.keyUri(secret, meta.user.login, store.name) });
+  })
+
+  // Confirms enrollment with a code from the authenticator app. Replies with the recovery codes, shown only this once.
+  router.post(prefix+'/profile/2fa/confirm', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let meta = await store.userByUID(user.uid);
+    let mfa = meta.mfa || { };
+    if (!mfa.pending) {
+      ctx.status = 409;
+      ctx.body = 'There is no two-factor enrollment to confirm.';
+      return;
+    }
+    let counter = totp.verify(mfa.pending, (ctx.request.body || { }).code);
+    if (counter === null) {
+      ctx.status = 400;
+      ctx.body = 'Invalid code.';
+      return;
+    }
+    let recovery = [ ];
+    for (let i = 0; i < MFA_RECOVERY_CODES; i++) {
+      let hex = crypto.randomBytes(5).toString('hex');
+      recovery.push(hex.slice(0, 5) + '-' + hex.slice(5));
+    }
+    await store.userMfaPut(user.uid, {
+      secret: mfa.pending,
+      enabled: Date.now(),
+      last: counter,
+      recovery: recovery.map(hashRecoveryCode)
+    });
+    log.info(`User '${user.login}' has enabled two-factor authentication.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ enabled: true, recovery });
+  })
+
+  // Turns two-factor authentication off, after checking the current password.
+  router.delete(prefix+'/profile/2fa', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let meta = await store.userByUID(user.uid);
+    if (user.kid || !await passwords.verifyPassword((ctx.request.body || { }).password, meta.credentials)) {
+      ctx.status = 403;
+      ctx.body = 'The current password is required to disable two-factor authentication.';
+      return;
+    }
+    await store.userMfaPut(user.uid, null);
+    log.warn(`User '${user.login}' has disabled two-factor authentication.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ enabled: false });
+  })
+
+  // Personal API keys. These can only be managed with a login token, not with another API key.
+  router.get(prefix+'/profile/keys', auth.permit('account'), async (ctx) => {
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(store.keys.list(ctx.state.user.uid));
+  })
+
+  router.post(prefix+'/profile/keys', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    if (user.kid) {
+      ctx.status = 403;
+      ctx.body = 'API keys cannot be used to create API keys.';
+      return;
+    }
+    let body = ctx.request.body || { };
+    let scope = body.scope || 'read';
+    if (!ApiKeys.SCOPES[scope]) {
+      ctx.status = 400;
+      ctx.body = `Unknown scope. Valid scopes are: ${Object.keys(ApiKeys.SCOPES).join(', ')}`;
+      return;
+    }
+    let expires = null;
+    if (body.expires) {
+      expires = new Date(body.expires).getTime();
+      if (!(expires > Date.now())) {
+        ctx.status = 400;
+        ctx.body = 'The expiry must be a future date or time (ms).';
+        return;
+      }
+    }
+    let created = await store.keys.create(user, body.name, scope, expires);
+    log.info(`User '${user.login}' created API key '${created.rec.name}' (${scope}).`);
+    // This is the only time the full key is available.
+    let response = Object.assign({ key: created.key }, created.rec);
+    ctx.status = 201;
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
+  })
+
+  router.delete(prefix+'/profile/keys/:kid', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    if (!await store.keys.revoke(user.uid, ctx.params.kid)) {
+      ctx.status = 404;
+      ctx.body = 'API key not found.';
+      return;
+    }
+    log.info(`User '${user.login}' revoked API key ${ctx.params.kid}.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: 'The API key has been revoked.', result: 'OK' });
+  })
+
+  // Admin only: issues a single-use, expiring password reset token for a user, and delivers it through the outbox.
+  router.post(prefix+'/users/:uid/reset', auth.permit('users:write'), async (ctx) => {
+    let user = ctx.state.user;
+    let userRec = await store.userByUID(ctx.params.uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    let reset = await store.userResetCreate(userRec.user.uid);
+    await sendMessage({
+      to: userRec.user.email,
+      login: userRec.user.login,
+      uid: userRec.user.uid,
+      subject: `Password reset for ${store.name}`,
+      text: `A password reset was requested for your '${userRec.user.login}' account. Use this reset token to set a new password before ${new Date(reset.expires).toISOString()}:\n${reset.token}`,
+      token: reset.token,
+      expires: reset.expires
+    });
+    log.info(`Password reset for '${userRec.user.login}' issued by '${user.login}'.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: 'A password reset token has been sent.', result: 'OK', expires: reset.expires });
+  })
+
+  // Sets a new password using a reset token issued above. The token can only be used once.
+  router.post(prefix+'/reset', async (ctx) => {
+    let body = ctx.request.body || { };
+    if (!(body.token && passwordValid(body.password))) {
+      ctx.status = 400;
+      ctx.body = 'A reset token and a new password are required.';
+      return;
+    }
+    let uid = await store.userResetRedeem(body.token);
+    if (!uid) {
+      log.warn('Password reset failed, invalid or expired reset token.');
+      ctx.status = 401;
+      ctx.body = 'Invalid or expired reset token.';
+      return;
+    }
+    let credentials = await passwords.hashPassword(body.password, store.scrypt);
+    let meta = await store.userPasswordChange(uid, credentials);
+    if (!meta) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    log.info(`User '${meta.user.login}' has reset their password.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: 'Your password has been reset. Please log in.', result: 'OK' });
+  })
+
+  // Changes the login ID of a user, for the user themselves or an admin. This ends all sessions of the user,
+  // since tokens carry the login, so if it was the caller's own login the reply includes new tokens.
+  router.put(prefix+'/users/:uid/login', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let uid = ctx.params.uid;
+    if ((uid !== user.uid) && !auth.can(user, 'users:write')) {
+      log.warn('Login change, user not authorized.');
+      ctx.status = 403;
+      ctx.body = 'Forbidden: user is not authorized.';
+      return;
+    }
+    let name = (ctx.request.body || { }).login;
+    if (!loginValid(name)) {
+      ctx.status = 400;
+      ctx.body = 'Invalid login ID. Use letters, digits and . _ @ - only.';
+      return;
+    }
+    let meta = await store.userRename(uid, name);
+    if (meta === null) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    if (meta === false) {
+      ctx.status = 409;
+      ctx.body = `That login ID ('${name}') is not available. Please choose another.`;
+      return;
+    }
+    log.info(`User ${uid} login changed to '${name}' by '${user.login}'.`);
+    let response = (uid === user.uid) ? await makeLoginResponse(meta.user) : makeUserResponse(meta.user);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
   })
 
   // This is for a pre-check on the user registration form, to verify that the proposed login ID is available.
-  router.head(prefix+'/users/:loginName', (ctx) => {
+  router.head(prefix+'/users/:loginName', async (ctx) => {
     let name = ctx.params.loginName;
-    store.loginExists(name).then((response) => {
-      if (response) {
-        ctx.code = 409;
+    let probeKey = 'ip:' + ctx.ip;
+    let wait = store.probeThrottle.retryAfter(probeKey);
+    if (wait) {
+      tooManyAttempts(ctx, wait);
+      return;
+    }
+    store.probeThrottle.fail(probeKey);  // every check counts
+    try {
+      if (await store.loginExists(name)) {
+        ctx.status = 409;
         ctx.body = `That login ID ('${name}') is not available. Please choose another.`;
       } else {
-        ctx.code = 200;
+        ctx.status = 200;
         ctx.body = `That login ID ('${name}') is available.`;
       }
       logRoute(ctx.request);
-    }).catch((err) => {
-      handleError(err, ctx.request, ctx.reply);
-    });
+    } catch (err) {
+      handleError(err, ctx);
+    }
   })
 
-  router.get(prefix + '/users/:loginName', (ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      ctx.code = 401;
-      ctx.body = 'Not authorized.';
-      logRoute(ctx.request);
-      return;
-    }
+  router.get(prefix + '/users/:loginName', auth.permit('profile:read'), async (ctx) => {
+    let user = ctx.state.user;
     let login = ctx.params.loginName;
-    if ((login !== user.login) && !auth.isAdmin(ctx.request)) {
-      ctx.code = 403;
+    if ((login !== user.login) && !auth.can(user, 'users:read')) {
+      ctx.status = 403;
       ctx.body = 'Forbidden: user is not authorized.';
       logRoute(ctx.request);
       return;
     }
-    store.userByLogin(login).then((userRec) => {
+    try {
+      let userRec = await store.userByLogin(login);
+      if (!userRec) {
+        ctx.status = 404;
+        ctx.body = 'User not found.';
+        return;
+      }
       let response = makeUserResponse(userRec.user);
       ctx.type = JSON_TYPE;
       ctx.body = JSON.stringify(response);
       logRoute(ctx.request);
-    }).catch((err) => {
-      handleError(err, ctx.request, ctx.reply);
-    });
+    } catch (err) {
+      handleError(err, ctx);
+    }
   })
 
   // This is user add (a.k.a. signup or registration)
-  router.post(prefix + '/users', (ctx) => {
-    if (!store.registration) {
-      if (!store.registration) {
-        log.warn('User registration is disabled.');
-        ctx.code = 405;
-        ctx.body = 'New user registration is disabled.';
-        return false;
-      }
+  router.post(prefix + '/users', async (ctx) => {
+    let mode = registrationMode(store.registration);
+    if (mode === 'closed') {
+      log.warn('User registration is disabled.');
+      ctx.status = 405;
+      ctx.body = 'New user registration is disabled.';
+      return;
     }
 
+    let body = ctx.request.body || { };
     let uid = uuid();
-    let credentials = { hash: md5(ctx.request.body.password) };
-    let user = Object.assign({ uid }, ctx.request.body);
-    delete user.password; // don't store the original password. especially not in plain text
+    // don't store the original password. especially not in plain text
+    let user = Object.assign({ uid }, withoutProtected(body));
+    user.roles = [ roles.DEFAULT_ROLE ];
+    user.created = Date.now();
 
     let name = user.login;
-    store.loginExists(name).then((response) => {
-      if (response) {
+    if (!loginValid(name)) {
+      ctx.status = 400;
+      ctx.body = 'Invalid login ID. Use letters, digits and . _ @ - only.';
+      return;
+    }
+    if (!passwordValid(body.password)) {
+      ctx.status = 400;
+      ctx.body = 'A password is required.';
+      return;
+    }
+    let invite = null;  // the redeemed invite, given back if the account is not created
+    try {
+      if (await store.loginExists(name)) {
         log.warn('User registration: duplicate user.');
-        ctx.code = 409;
+        ctx.status = 409;
         ctx.body = `That login ID ('${name}') is not available. Please choose another.`;
-        return false;
-      } else {
-        // Next, create user with key from tenant storage.
-        // Returns the server key (.secret member is the storage token).
-        store.userCreate(credentials, user)
-        .then(data => {
-          let userRec = data.user;
-          let response = makeUserResponse(userRec.user);
-          response.token = jwt.sign(userRec, store.secret, { issuer: store.id})
-          // The token does not include more than basic user.
-          // e.g. The token does not include itself, or the MOTD message.
-          store.fileGet('.', 'motd.md').then(motd => {
-            response.motd = motd;
-            log.info('User registration: successful.');
-            ctx.type = JSON_TYPE;
-            ctx.body = JSON.stringify(response);
-          })
-          .catch(()=> {
-            // This shouldn't be factored in a fall-thru with the above since the above is async, needs to work like an else
-            log.error('User registration: failed.');
-            ctx.type = JSON_TYPE;
-            ctx.body = JSON.stringify(response);
-          });
-        }).catch((err) => {
-          log.error(`User registration failed: ${err.message}`);
-          ctx.code = 401;
-          ctx.body = 'Registration failed.';
-        });
+        return;
       }
-    }).catch(err => {
-      handleError(err, ctx.request, ctx.reply);
-      return false
-    });
-  })
 
-  router.delete(prefix+'/users/:uid', (ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      log.warn('User delete, not authorized.');
-      ctx.code = 401;
-      ctx.body = 'Not authorized.';
-      return;
+      if (mode === 'invite') {
+        invite = await store.inviteRedeem(body.invite);
+        if (!invite) {
+          log.warn(`User registration for '${name}': missing or invalid invitation code.`);
+          ctx.status = 403;
+          ctx.body = 'A valid invitation code is required to register.';
+          return;
+        }
+        if (invite.role) {
+          user.roles = [ invite.role ];
+        }
+      }
+      if (mode === 'approval') {
+        user.status = 'pending';
+      }
+
+      let credentials = await passwords.hashPassword(body.password, store.scrypt);
+      let data = await store.userCreate(credentials, user);
+      if (!data) {
+        ctx.status = 409;
+        ctx.body = `That login ID ('${name}') is not available. Please choose another.`;
+        return;
+      }
+      invite = null;  // used up by the new account
+      if (user.status === 'pending') {
+        log.info(`User registration for '${name}': awaiting approval.`);
+        ctx.status = 202;
+        ctx.type = JSON_TYPE;
+        ctx.body = JSON.stringify({ message: 'Your account has been created and is awaiting approval.', uid, login: name, status: 'pending' });
+        return;
+      }
+      let response = await makeLoginResponse(data.user);
+      try {
+        response.motd = await store.fileGet('.', 'motd.md');
+      } catch (err) {
+        // no motd, that's fine
+      }
+      log.info('User registration: successful.');
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      log.error(`User registration failed: ${err.message}`);
+      ctx.status = 401;
+      ctx.body = 'Registration failed.';
+    } finally {
+      if (invite) {
+        await store.inviteReturn(body.invite, invite).catch(err => log.error(`Invitation not given back: ${err.message}`));
+      }
     }
+  })
+
+  router.delete(prefix+'/users/:uid', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
     let uid = ctx.params.uid;
-    if ((uid !== user.uid) && !auth.isAdmin(ctx.request)) {
+    if ((uid !== user.uid) && !auth.can(user, 'users:write')) {
       log.warn('User delete, user not authorized.');
-      ctx.code = 403;
+      ctx.status = 403;
       ctx.body = 'Forbidden: user is not authorized.';
       return;
     }
-    store.userDelete(uid).then((response) => {
+    try {
+      // this also ends all sessions of the user, and keeps the account in the trash until it is purged
+      let rec = await store.userDelete(uid, user.uid);
+      if (!rec) {
+        ctx.status = 404;
+        ctx.body = 'User not found.';
+        return;
+      }
       log.info('User delete complete.');
       ctx.type = JSON_TYPE;
-      ctx.body = JSON.stringify(response);
+      ctx.body = JSON.stringify({ message: 'The user has been deleted.', result: 'OK', expires: store.trashExpires(rec) });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Lists the login sessions of the current user.
+  router.get(prefix + '/sessions', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let sessions = await store.sessions.list(user.uid);
+    for (let session of sessions) {
+      session.current = (session.sid === user.sid);
+    }
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(sessions);
+  });
+
+  // Ends every session of a user (the current user, or any user for an admin), including the one making the request.
+  async function endAllSessions(ctx, uid) {
+    let user = ctx.state.user;
+    uid = uid || user.uid;
+    if ((uid !== user.uid) && !auth.can(user, 'users:sessions')) {
+      log.warn('Session revoke, user not authorized.');
+      ctx.status = 403;
+      ctx.body = 'Forbidden: user is not authorized.';
       return;
-    }).catch((err) => {
-      handleError(err, ctx.request, ctx.reply);
-    });
+    }
+    let count = await store.sessions.endAll(uid);
+    log.info(`User '${user.login}' ended all ${count} session(s) of user ${uid}.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: `Ended ${count} session(s).`, result: 'OK', count });
+  }
+  router.delete(prefix + '/sessions', auth.permit('account'), async (ctx) => {
+    await endAllSessions(ctx, null);
+  });
+  router.delete(prefix + '/users/:uid/sessions', auth.permit('account'), async (ctx) => {
+    await endAllSessions(ctx, ctx.params.uid);
+  });
+
+  // Unlocks an account that was locked after repeated login failures.
+  router.delete(prefix + '/users/:uid/lock', auth.permit('users:write'), async (ctx) => {
+    let userRec = await store.userByUID(ctx.params.uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    let wasLocked = await store.loginThrottle.unlock(userRec.user.uid, userRec.user.login);
+    log.info(`User '${ctx.state.user.login}' unlocked the account of '${userRec.user.login}'.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: wasLocked ? 'The account has been unlocked.' : 'The account was not locked.', result: 'OK' });
   });
 
-  router.post(prefix + '/login', (ctx) => {
+  // Invitation codes, for the 'invite' registration mode.
+  router.get(prefix + '/invites', auth.permit('users:write'), async (ctx) => {
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(await store.inviteList());
+  });
+
+  router.post(prefix + '/invites', auth.permit('users:write'), async (ctx) => {
+    let body = ctx.request.body || { };
+    let uses = parseInt(body.uses || 1);
+    if (!(uses > 0)) {
+      ctx.status = 400;
+      ctx.body = 'The number of uses must be 1 or more.';
+      return;
+    }
+    if (body.role && !roles.exists(body.role)) {
+      ctx.status = 400;
+      ctx.body = `Unknown role. Valid roles are: ${Object.keys(roles.list()).join(', ')}`;
+      return;
+    }
+    let expires = body.expires ? new Date(body.expires).getTime() : null;
+    if (body.expires && !(expires > Date.now())) {
+      ctx.status = 400;
+      ctx.body = 'The expiry must be a future date or time (ms).';
+      return;
+    }
+    let created = await store.inviteCreate(ctx.state.user.uid, uses, body.role, expires);
+    log.info(`User '${ctx.state.user.login}' created invite ${created.invite.id} for ${uses} signup(s).`);
+    // This is the only time the code is available.
+    ctx.status = 201;
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(Object.assign({ code: created.code }, created.invite));
+  });
+
+  router.delete(prefix + '/invites/:id', auth.permit('users:write'), async (ctx) => {
+    if (!await store.inviteDelete(ctx.params.id)) {
+      ctx.status = 404;
+      ctx.body = 'Invite not found.';
+      return;
+    }
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ message: 'The invite has been deleted.', result: 'OK' });
+  });
+
+  // Accounts awaiting approval, for the 'approval' registration mode. Use DELETE /users/:uid to reject one.
+  router.get(prefix + '/approvals', auth.permit('users:read'), async (ctx) => {
+    let pending = (await store.userList()).filter(user => user.status === 'pending');
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(pending.map(makeUserResponse));
+  });
+
+  router.post(prefix + '/users/:uid/approve', auth.permit('users:write'), async (ctx) => {
+    let userRec = await store.userByUID(ctx.params.uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    if (userRec.user.status !== 'pending') {
+      ctx.status = 409;
+      ctx.body = 'That account is not awaiting approval.';
+      return;
+    }
+    let meta = await store.userStatusSet(userRec.user.uid, 'active');
+    log.info(`User '${ctx.state.user.login}' approved the account of '${meta.user.login}'.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(makeUserResponse(meta.user));
+  });
+
+  // The available roles and the permissions each one grants.
+  router.get(prefix + '/roles', auth.permit('users:read'), async (ctx) => {
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(roles.list());
+  });
+
+  router.get(prefix + '/users/:uid/roles', auth.permit('users:read'), async (ctx) => {
+    let userRec = await store.userByUID(ctx.params.uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    let response = makeUserResponse(userRec.user);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ uid: response.uid, login: response.login, roles: response.roles });
+  });
+
+  // Replaces the stored roles of a user with the result of update(currentRoles), replying 400 for unknown roles.
+  // Admins cannot take the admin role away from themselves, so there is always someone left to give it back.
+  async function changeRoles(ctx, update) {
+    let user = ctx.state.user;
+    let uid = ctx.params.uid;
+    let userRec = await store.userByUID(uid);
+    if (!userRec) {
+      ctx.status = 404;
+      ctx.body = 'User not found.';
+      return;
+    }
+    let current = Array.isArray(userRec.user.roles) ? userRec.user.roles : [ roles.DEFAULT_ROLE ];
+    let next = update(current);
+    if (!Array.isArray(next) || next.some(name => !roles.exists(name))) {
+      ctx.status = 400;
+      ctx.body = `Unknown role. Valid roles are: ${Object.keys(roles.list()).join(', ')}`;
+      return;
+    }
+    let stillAdmin = roles.userRoles(Object.assign({ }, userRec.user, { roles: next }), store.admin).includes('admin');
+    if ((uid === user.uid) && !stillAdmin) {
+      ctx.status = 409;
+      ctx.body = 'Administrators cannot remove their own admin role.';
+      return;
+    }
+    let meta = await store.userRolesSet(uid, [...new Set(next)]);
+    log.info(`User '${user.login}' set the roles of '${meta.user.login}' to: ${meta.user.roles.join(', ')}`);
+    let response = makeUserResponse(meta.user);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify({ uid: response.uid, login: response.login, roles: response.roles });
+  }
+  router.put(prefix + '/users/:uid/roles', auth.permit('roles:write'), async (ctx) => {
+    await changeRoles(ctx, () => (ctx.request.body || { }).roles);
+  });
+  router.post(prefix + '/users/:uid/roles/:role', auth.permit('roles:write'), async (ctx) => {
+    await changeRoles(ctx, (current) => current.concat(ctx.params.role));
+  });
+  router.delete(prefix + '/users/:uid/roles/:role', auth.permit('roles:write'), async (ctx) => {
+    await changeRoles(ctx, (current) => current.filter(name => name !== ctx.params.role));
+  });
+
+  // Replies 429 and returns true if the client IP or the login ID has to wait before trying again.
+  function loginThrottled(ctx, login) {
+    let throttle = store.loginThrottle;
+    let wait = Math.max(throttle.retryAfter('ip:' + ctx.ip), throttle.retryAfter('login:' + login));
+    if (wait) {
+      log.warn(`Login for '${login}' from ${ctx.ip} throttled for ${wait} seconds.`);
+      tooManyAttempts(ctx, wait);
+      return true;
+    }
+    return false;
+  }
+
+  // Records a failed password or 2FA code for the client IP and login ID, locking the account after too many.
+  async function loginFailed(ctx, login, userRec) {
+    let throttle = store.loginThrottle;
+    throttle.fail('ip:' + ctx.ip);
+    let failures = throttle.fail('login:' + login);
+    if (userRec && failures >= throttle.options.lockafter) {
+      await throttle.lock(userRec.user.uid, login);
+    }
+  }
+
+  // Replies with the user response, new tokens and the motd.
+  async function loginComplete(ctx, user) {
+    store.loginThrottle.succeed('ip:' + ctx.ip);
+    store.loginThrottle.succeed('login:' + user.login);
+    await store.userLoggedIn(user.uid);
+    let response = await makeLoginResponse(user);
+    try {
+      response.motd = await store.fileGet('.', 'motd.md');
+    } catch (err) {
+      // no motd, that's fine
+    }
+    log.info(`User '${user.login}' has logged in.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
+  }
+
+  router.post(prefix + '/login', async (ctx) => {
     if (!store.secret) {
       log.error('Login failed, secret is not set.');
       log.error(`${store.id}: secret is not set.`);
       return false;
     }
 
-    store.userByLogin(ctx.request.body.login)
-    .then(userRec => {
-      let testhash = md5(ctx.request.body.password);
-      if (testhash !== userRec.credentials.hash) {
+    let body = ctx.request.body || { };
+    let login = String(body.login);
+    if (loginThrottled(ctx, login)) {
+      return;
+    }
+
+    try {
+      let password = body.password;
+      let userRec = await store.userByLogin(login);
+      let locked = userRec ? store.loginThrottle.lockedFor(userRec.user.uid) : 0;
+      if (locked) {
+        log.warn(`Login for locked account '${login}' from ${ctx.ip} refused.`);
+        tooManyAttempts(ctx, locked);
+        return;
+      }
+      if (!userRec || !await passwords.verifyPassword(password, userRec.credentials)) {
+        await loginFailed(ctx, login, userRec);
         log.warn('Authentication failed, invalid password.');
-        ctx.code = 401;
+        ctx.status = 401;
         ctx.body = 'Authentication failed, invalid password.';
         return;
       }
-      let response = makeUserResponse(userRec.user);
-      response.token = jwt.sign(response, store.secret, { issuer: store.id})
-      // The token does not include more than basic user.
-      // e.g. The token does not include itself, or the MOTD message.
-      store.fileGet('.', 'motd.md').then(motd => {
-        response.motd = motd;
-      }).catch(()=> {});
-      log.info(`User '${userRec.user.login}' has logged in.`);
-      ctx.type = JSON_TYPE;
-      ctx.body = JSON.stringify(response);
-    }).catch((err) => {
-      log.warn('Authentication failed:',err);
-      ctx.code = 401;
+      if (userRec.user.status === 'pending') {
+        log.warn(`Login for '${login}' refused, account awaiting approval.`);
+        ctx.status = 403;
+        ctx.body = 'This account is awaiting approval.';
+        return;
+      }
+      if (userRec.user.status === 'suspended') {
+        log.warn(`Login for '${login}' refused, account suspended.`);
+        ctx.status = 403;
+        ctx.body = 'This account is suspended.';
+        return;
+      }
+
+      // Upgrade md5 or outdated scrypt hashes now that we have the verified plain text.
+      if (passwords.needsRehash(userRec.credentials, store.scrypt)) {
+        let credentials = await passwords.hashPassword(password, store.scrypt);
+        await store.userCredentialsPut(userRec.user.uid, credentials);
+        log.info(`User '${userRec.user.login}' password hash upgraded to ${credentials.alg} v${credentials.v}.`);
+      }
+
+      // With two-factor authentication, the password only earns a challenge to complete at /login/2fa.
+      if (userRec.mfa && userRec.mfa.secret) {
+        let challenge = jwt.sign({ uid: userRec.user.uid, purpose: '2fa' }, store.secret, { issuer: store.id, expiresIn: MFA_CHALLENGE_LIFE });
+        log.info(`User '${login}' passed the password check, awaiting a 2FA code.`);
+        ctx.type = JSON_TYPE;
+        ctx.body = JSON.stringify({ uid: userRec.user.uid, login: userRec.user.login, mfa: 'totp', challenge, expires: MFA_CHALLENGE_LIFE });
+        return;
+      }
+
+      await loginComplete(ctx, userRec.user);
+    } catch (err) {
+      log.warn(`Authentication failed: ${err.message}`);
+      ctx.status = 401;
       ctx.body = 'Authentication failed.';
-    });
+    }
   });
 
-  router.post(prefix + '/logout', (ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      log.warn("Authorization error during logout.");
-      ctx.code(401).send('Not authorized.');
+  // Completes a login challenge with a TOTP code, or one of the recovery codes.
+  router.post(prefix + '/login/2fa', async (ctx) => {
+    let body = ctx.request.body || { };
+    let challenge = null;
+    try {
+      challenge = jwt.verify(String(body.challenge), store.secret, { issuer: store.id });
+    } catch (err) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== '2fa') {
+      ctx.status = 401;
+      ctx.body = 'Invalid or expired login challenge. Please log in again.';
       return;
     }
 
-    let response = { message: 'You have been logged out.', result: 'OK' };
-    log.info(`User '${user.login}' has logged out.`);
-    ctx.type = JSON_TYPE;
-    ctx.body = JSON.stringify(response);
-  });
-
-  router.get(prefix + '/projects', async(ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      log.warn("Projects list: Not authorized.");
-      ctx.code = 401;
-      ctx.body = 'Not authorized.';
+    let userRec = await store.userByUID(challenge.uid);
+    if (!(userRec && userRec.mfa && userRec.mfa.secret)) {
+      ctx.status = 401;
+      ctx.body = 'Invalid or expired login challenge. Please log in again.';
       return;
     }
-
-    store.userListDocs(user.uid, 'projects').then((response) => {
-      if (response) {
-        ctx.type = JSON_TYPE;
-        ctx.body = JSON.stringify(response);
-      } else {
-        log.warn("Projects list: unauthorized path.");
-        ctx.code = 401;
-        ctx.body = 'Unauthorized path.';
-      }
-    });
-  })
-
-  router.get(prefix + '/projects/:id', async(ctx) => {
-    let user = auth.getAuth(ctx.request, store.secret);
-    if (!user) {
-      log.warn("Project info: Not authorized.");
-      ctx.code = 401;
-      ctx.body = 'Not authorized.';
+    let login = userRec.user.login;
+    if (loginThrottled(ctx, login)) {
       return;
     }
-
-    let id = ctx.request.params.id;
-    store.userDocGet(user.uid, 'projects', id).then(response => {
-      ctx.type = JSON_TYPE
-      ctx.body = JSON.stringify(response);
-    }).catch((err) => {
-      handleError(err, ctx.request, ctx.reply);
-    });
-  })
-
-  router.post(prefix+'/projects', async (request, reply) => {
-    let user = auth.getAuth(request, store.secret);
-    if (!user) {
-      log.warn("Project POST: not authorized.");
-      reply.code(401).send('Not authorized.');
+    let locked = store.loginThrottle.lockedFor(userRec.user.uid);
+    if (locked) {
+      tooManyAttempts(ctx, locked);
       return;
     }
 
-    let uid = request.body.uid || uuid();
-    let proj = Object.assign({ uid }, request.body);
-
-    // Next, create user with key from tenant storage.
-    // Returns the server key (.secret member is the storage token).
-    store.userDocCreate(user.uid, 'projects', uid, proj)
-    .then(response => {
-      reply.type(JSON_TYPE).send(JSON.stringify(response));
-    }).catch(err => {
-      handleError(err, request, reply);
-    });
-  })
+    let mfa = userRec.mfa;
+    if (body.recovery) {
+      let hash = hashRecoveryCode(body.recovery);
+      if (!mfa.recovery.includes(hash)) {
+        await loginFailed(ctx, login, userRec);
+        log.warn(`2FA for '${login}' failed, invalid recovery code.`);
+        ctx.status = 401;
+        ctx.body = 'Authentication failed, invalid recovery code.';
+        return;
+      }
+      mfa.recovery = mfa.recovery.filter(h => h !== hash);
+      log.warn(`User '${login}' used a recovery code, ${mfa.recovery.length} left.`);
+    } else {
+      let counter = totp.verify(mfa.secret, body.code, { after: mfa.last });
+      if (counter === null) {
+        await loginFailed(ctx, login, userRec);
+        log.warn(`2FA for '${login}' failed, invalid code.`);
+        ctx.status = 401;
+        ctx.body = 'Authentication failed, invalid code.';
+        return;
+      }
+      mfa.last = counter;  // each code only works once
+    }
+    await store.userMfaPut(userRec.user.uid, mfa);
+    await loginComplete(ctx, userRec.user);
+  });
 
-  router.delete(prefix+'/projects/:uid', async (request, reply) => {
-    let user = auth.getAuth(request, store.secret);
-    if (!user) {
-      log.warn("Project delete: not authorized.");
-      reply.code(401).send('Not authorized.');
+  // Exchanges a refresh token for a new access token and a new refresh token. The old refresh token is used up.
+  router.post(prefix + '/refresh', async (ctx) => {
+    let body = ctx.request.body || { };
+    let rotated = await store.sessions.rotate(body.refresh);
+    if (!rotated) {
+      log.warn('Token refresh failed, invalid or expired refresh token.');
+      ctx.status = 401;
+      ctx.body = 'Invalid or expired refresh token.';
       return;
     }
 
-    let uid = request.params.uid;
-    store.userDocDelete(user.uid, 'projects', uid).then((response) => {
-      log.info("Project deleted.");
-      reply.type(JSON_TYPE).send(JSON.stringify(response));
+    let sid = rotated.session.sid;
+    let userRec = await store.userByUID(rotated.session.uid);
+    if (!userRec || store.suspended.has(userRec.user.uid)) {
+      await store.sessions.end(sid);
+      ctx.status = 401;
+      ctx.body = 'Not authorized.';
       return;
-    }).catch((err) => {
-      handleError(err, request, reply);
-    });
+    }
+    let response = makeUserResponse(userRec.user);
+    response.token = signToken(response, sid);
+    response.refresh = rotated.refresh;
+    response.expires = store.tokenlife;
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
+  });
+
+  router.post(prefix + '/logout', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+
+    await store.sessions.end(user.sid);
+    let response = { message: 'You have been logged out.', result: 'OK' };
+    log.info(`User '${user.login}' has logged out.`);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
   });
 
+  sharing.initRoutes(router, store);
+  spaces.initRoutes(router, store);
+  collections.initRoutes(router, store);
+  batch.initRoutes(router, store);
+  search.initRoutes(router, store);
+  trash.initRoutes(router, store);
+  tus.initRoutes(router, store);
   assets.initRoutes(router, store);
 }
 
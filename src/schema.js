@@ -0,0 +1,203 @@
+// JSON Schema validation of documents, for the common keywords of draft 2020-12 (and draft 7):
+// type, enum, const, the numeric, string, array and object constraints, allOf/anyOf/oneOf/not,
+// if/then/else, and local $ref ('#', '#/$defs/...', '#/definitions/...'). Other keywords, such as format, are ignored.
+// validate() returns every violation as { path, message }, where path is a JSON Pointer into the document.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  let actual = typeOf(value);
+  return (actual === type) || (type === 'number' && actual === 'integer');
+}
+
+function equal(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+// Objects with sorted keys, so that equal() does not depend on key order.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    let result = { };
+    for (let key of Object.keys(value).sort()) {
+      result[key] = canonical(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+function pointerToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveRef(root, ref) {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref '${ref}': only references within the schema are supported.`);
+  }
+  let target = root;
+  for (let token of ref.slice(2).split('/')) {
+    token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, token)) {
+      throw new Error(`Unresolved $ref '${ref}'.`);
+    }
+    target = target[token];
+  }
+  return target;
+}
+
+// True if the value matches a subschema, as for anyOf, without reporting why not.
+function passes(schema, value, root, depth) {
+  let errors = [ ];
+  check(schema, value, '', root, errors, depth + 1);
+  return errors.length === 0;
+}
+
+function check(schema, value, path, root, errors, depth) {
+  if (depth > 100) {
+    throw new Error('Schema $ref recursion is too deep.');
+  }
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'No value is allowed here.' });
+    return;
+  }
+  let fail = (message, at) => errors.push({ path: (at === undefined) ? path : at, message });
+
+  if (schema.$ref !== undefined) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors, depth + 1);
+  }
+  if (schema.type !== undefined) {
+    let types = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+    if (!types.some(type => hasType(value, type))) {
+      fail(`Expected ${types.join(' or ')}, not ${typeOf(value)}.`);
+      return;  // the other keywords would only repeat the problem
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some(item => equal(item, value))) {
+    fail(`Must be one of ${JSON.stringify(schema.enum)}.`);
+  }
+  if (schema.const !== undefined && !equal(schema.const, value)) {
+    fail(`Must be ${JSON.stringify(schema.const)}.`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`Must be at least ${schema.minimum}.`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`Must be at most ${schema.maximum}.`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`Must be more than ${schema.exclusiveMinimum}.`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail(`Must be less than ${schema.exclusiveMaximum}.`);
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail(`Must be a multiple of ${schema.multipleOf}.`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    let length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`Must be at least ${schema.minLength} characters.`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`Must be at most ${schema.maxLength} characters.`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail(`Must match the pattern ${schema.pattern}.`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`Must have at least ${schema.minItems} items.`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`Must have at most ${schema.maxItems} items.`);
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => equal(other, item)) !== i)) fail('Items must be unique.');
+    let prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : (Array.isArray(schema.items) ? schema.items : [ ]);
+    let rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    value.forEach((item, i) => {
+      check((i < prefix.length) ? prefix[i] : rest, item, path + '/' + i, root, errors, depth + 1);
+    });
+    if (schema.contains !== undefined && !value.some(item => passes(schema.contains, item, root, depth))) {
+      fail('Must contain a matching item.');
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    let keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail(`Must have at least ${schema.minProperties} properties.`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail(`Must have at most ${schema.maxProperties} properties.`);
+    for (let key of schema.required || [ ]) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        fail('Is required.', path + '/' + pointerToken(key));
+      }
+    }
+    let properties = schema.properties || { };
+    let patterns = Object.keys(schema.patternProperties || { }).map(pattern => [ new RegExp(pattern, 'u'), schema.patternProperties[pattern] ]);
+    for (let key of keys) {
+      let at = path + '/' + pointerToken(key);
+      let known = false;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        known = true;
+        check(properties[key], value[key], at, root, errors, depth + 1);
+      }
+      for (let [regex, sub] of patterns) {
+        if (regex.test(key)) {
+          known = true;
+          check(sub, value[key], at, root, errors, depth + 1);
+        }
+      }
+      if (!known && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('Is not an allowed property.', at);
+        } else {
+          check(schema.additionalProperties, value[key], at, root, errors, depth + 1);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(sub => check(sub, value, path, root, errors, depth + 1));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => passes(sub, value, root, depth))) {
+    fail('Must match at least one of the anyOf schemas.');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    let count = schema.oneOf.filter(sub => passes(sub, value, root, depth)).length;
+    if (count !== 1) fail(`Must match exactly one of the oneOf schemas, not ${count}.`);
+  }
+  if (schema.not !== undefined && passes(schema.not, value, root, depth)) {
+    fail('Must not match the not schema.');
+  }
+  if (schema.if !== undefined) {
+    let branch = passes(schema.if, value, root, depth) ? schema.then : schema.else;
+    check(branch, value, path, root, errors, depth + 1);
+  }
+}
+
+// Returns the list of violations, empty if the value is valid. root is for $ref, the schema itself by default.
+function validate(schema, value, root) {
+  let errors = [ ];
+  check(schema, value, '', root || schema, errors, 0);
+  return errors;
+}
+
+// Throws an error with code 'EBADSCHEMA' if the schema cannot be used, e.g. for a bad pattern or an unresolvable $ref.
+function compile(schema) {
+  try {
+    if (schema !== true && schema !== false && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+      throw new Error('A schema must be an object or a boolean.');
+    }
+    let found = [ ];
+    (function walk(node) {
+      if (!node || typeof node !== 'object') return;
+      if (typeof node.$ref === 'string') found.push(node.$ref);
+      if (typeof node.pattern === 'string') new RegExp(node.pattern, 'u');
+      for (let pattern of Object.keys(node.patternProperties || { })) new RegExp(pattern, 'u');
+      Object.values(node).forEach(walk);
+    })(schema);
+    found.forEach(ref => resolveRef(schema, ref));
+  } catch (err) {
+    err.code = 'EBADSCHEMA';
+    throw err;
+  }
+  return schema;
+}
+
+module.exports = { validate, compile };
@@ -0,0 +1,84 @@
+const log = require('./log');
+const auth = require('./auth');
+const spaces = require('./spaces');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function handleError(err, ctx) {
+  log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+  ctx.status = 500;
+  ctx.body = err.message;
+}
+
+// Full-text search of the user's documents and asset metadata, using the index in searchindex.js.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+
+  // Query parameters: q (the words to find), collection (only this one, or 'assets'), limit and offset.
+  async function search(ctx) {
+    let user = ctx.state.user;
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    let q = String(ctx.query.q || '').trim();
+    if (!q) {
+      ctx.status = 400;
+      ctx.body = 'A search query (q) is required.';
+      return;
+    }
+    let limit = Math.min(Math.max(parseInt(ctx.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    let offset = Math.max(parseInt(ctx.query.offset) || 0, 0);
+    let assetsVisible = auth.can(user, 'assets:read');
+    try {
+      let found = (await store.search.search(who, q)).filter(item => {
+        if (ctx.query.collection && item.where !== ctx.query.collection) return false;
+        return (item.where === 'assets') ? assetsVisible : store.collectionAllowed(item.where);
+      });
+      let results = [ ];
+      for (let item of found.slice(offset, offset + limit)) {
+        let doc = await store.userDocGet(who, item.where, item.id);
+        if (doc) {
+          results.push({ collection: item.where, uid: item.id, score: item.score, doc });
+        }
+      }
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ total: found.length, offset, limit, results });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  router.get(prefix + '/search', auth.permit('docs:read'), search);
+  router.get(prefix + '/teams/:team/search', auth.permit('docs:read'), search);
+
+  // Rebuilds the search index of one user or team ({ uid } in the body), or of every user and team, from what is on disk.
+  router.post(prefix + '/search/rebuild', auth.permit('search:rebuild'), async (ctx) => {
+    let body = ctx.request.body || { };
+    try {
+      let uids;
+      if (body.uid) {
+        if (!await store.userByUID(body.uid) && !store.teams.get(body.uid)) {
+          ctx.status = 404;
+          ctx.body = 'User not found.';
+          return;
+        }
+        uids = [ body.uid ];
+      } else {
+        uids = (await store.userList()).map(user => user.uid).concat(store.teams.all().map(team => team.id));
+      }
+      let indexed = 0;
+      for (let uid of uids) {
+        indexed += await store.userSearchRebuild(uid);
+      }
+      log.info(`Search index rebuilt by '${ctx.state.user.login}': ${uids.length} users, ${indexed} documents.`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ users: uids.length, documents: indexed });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+}
+
+module.exports = { initRoutes };
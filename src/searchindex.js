@@ -0,0 +1,191 @@
+const path = require('path');
+
+const io = require('./io');
+const log = require('./log');
+
+// Full-text search of users' documents and asset metadata, with an inverted index per user, saved as
+// <uid>.json under data/search. An index is { docs: { key: [terms] }, terms: { term: { key: count } } },
+// where a key is '<collection>/<id>', so a document's entries can be replaced or removed without a rebuild.
+const MIN_TERM = 2;
+const MAX_TERM = 64;
+const MAX_TERMS_PER_DOC = 5000;
+const ASSET_FIELDS = [ 'originalname', 'mimetype', 'tags', 'description' ];
+const CACHED_INDEXES = 100;
+
+// Lowercase words (runs of letters and digits) of a text, without accents.
+function tokenize(text) {
+  return String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_TERM && word.length <= MAX_TERM);
+}
+
+// The strings and numbers in a value, at any depth.
+function collectText(value, out) {
+  if (value === null || value === undefined) return out;
+  if (typeof value === 'string' || typeof value === 'number') {
+    out.push(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectText(item, out));
+  } else if (typeof value === 'object') {
+    for (let key of Object.keys(value)) {
+      if (key !== 'uid') collectText(value[key], out);
+    }
+  }
+  return out;
+}
+
+// Term counts of a document. Only some fields of asset metadata are searchable, everything in other documents.
+function termsOf(where, doc) {
+  let source = doc;
+  if (where === 'assets') {
+    source = { };
+    for (let field of ASSET_FIELDS) {
+      source[field] = doc[field];
+    }
+  }
+  let counts = Object.create(null);
+  let unique = 0;
+  for (let text of collectText(source, [ ])) {
+    for (let term of tokenize(text)) {
+      if (!counts[term]) {
+        if (unique >= MAX_TERMS_PER_DOC) continue;
+        unique++;
+      }
+      counts[term] = (counts[term] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+class SearchIndex {
+  constructor(folder) {
+    this.folder = folder;
+    this.cache = new Map();   // uid -> index, most recently used last
+    this.writes = new Map();  // uid -> the last pending save
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+  }
+
+  async load(uid) {
+    let index = this.cache.get(uid);
+    if (index) {
+      this.cache.delete(uid);
+    } else {
+      await this.writes.get(uid);  // a save still pending from before it left the cache
+      index = this.cache.get(uid) || await io.jsonGet(this.folder, uid + '.json') || { docs: { }, terms: { } };
+      this.cache.delete(uid);
+    }
+    this.cache.set(uid, index);
+    if (this.cache.size > CACHED_INDEXES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return index;
+  }
+
+  // Saves are queued per user, so that the file is always written whole and the last change wins.
+  async save(uid, index) {
+    let previous = this.writes.get(uid) || Promise.resolve();
+    let write = previous.then(() => io.filePut(this.folder, uid + '.json', JSON.stringify(index)));
+    this.writes.set(uid, write.catch(err => log.error(`Search index of ${uid} not saved: ${err.message}`)));
+    await write;
+  }
+
+  unindex(index, key) {
+    for (let term of index.docs[key] || [ ]) {
+      let postings = index.terms[term];
+      if (postings) {
+        delete postings[key];
+        if (Object.keys(postings).length === 0) {
+          delete index.terms[term];
+        }
+      }
+    }
+    delete index.docs[key];
+  }
+
+  addTerms(index, key, counts) {
+    index.docs[key] = Object.keys(counts);
+    for (let term of index.docs[key]) {
+      if (!Object.prototype.hasOwnProperty.call(index.terms, term)) {
+        index.terms[term] = { };
+      }
+      index.terms[term][key] = counts[term];
+    }
+  }
+
+  // Indexes a document of a user, replacing any earlier entries for it.
+  async update(uid, where, id, doc) {
+    let key = where + '/' + id;
+    let index = await this.load(uid);
+    this.unindex(index, key);
+    this.addTerms(index, key, termsOf(where, doc));
+    await this.save(uid, index);
+  }
+
+  async remove(uid, where, id) {
+    let index = await this.load(uid);
+    if (!index.docs[where + '/' + id]) return;
+    this.unindex(index, where + '/' + id);
+    await this.save(uid, index);
+  }
+
+  // Replaces the index of a user with one of the listed { where, id, doc } entries.
+  async rebuild(uid, entries) {
+    let index = { docs: { }, terms: { } };
+    for (let entry of entries) {
+      this.addTerms(index, entry.where + '/' + entry.id, termsOf(entry.where, entry.doc));
+    }
+    this.cache.delete(uid);
+    await this.save(uid, index);
+    this.cache.set(uid, index);
+    return Object.keys(index.docs).length;
+  }
+
+  async drop(uid) {
+    this.cache.delete(uid);
+    if (await io.fileExists(this.folder, uid + '.json')) {
+      await io.fileDelete(this.folder, uid + '.json');
+    }
+  }
+
+  // Finds the documents of a user containing every word of the query, where the last word may also be
+  // the start of a longer one. Returns [ { where, id, score } ], best matches first.
+  async search(uid, q) {
+    let words = [...new Set(tokenize(q))];
+    if (!words.length) return [ ];
+    let index = await this.load(uid);
+    let scores = null;
+    words.forEach((word, i) => {
+      let found = { };
+      let prefix = (i === words.length - 1);
+      for (let term of Object.keys(index.terms)) {
+        if (term === word || (prefix && term.startsWith(word))) {
+          let weight = (term === word) ? 1 : 0.5;
+          for (let [key, count] of Object.entries(index.terms[term])) {
+            found[key] = (found[key] || 0) + count * weight;
+          }
+        }
+      }
+      if (scores === null) {
+        scores = found;
+      } else {
+        for (let key of Object.keys(scores)) {
+          if (found[key] === undefined) {
+            delete scores[key];
+          } else {
+            scores[key] += found[key];
+          }
+        }
+      }
+    });
+    return Object.entries(scores)
+      .map(([key, score]) => ({ where: path.dirname(key), id: path.basename(key), score }))
+      .sort((a, b) => (b.score - a.score) || a.id.localeCompare(b.id));
+  }
+}
+
+SearchIndex.tokenize = tokenize;
+
+module.exports = SearchIndex;
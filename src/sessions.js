@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const path = require('path');
+const uuid = require('uuid-random');
+
+const io = require('./io');
+const log = require('./log');
+
+const REVOKED_FILE = 'revoked.json';
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Login sessions, one per successful login, kept as <sid>.json files under data/sessions.
+// Each session holds the hash of its current refresh token, which is replaced every time it is used.
+// Access tokens carry the sid, so ending a session puts the sid on the revocation list until any
+// access token issued for it would have expired anyway.
+class Sessions {
+  constructor(folder, tokenLife, refreshLife) {
+    this.folder = folder;
+    this.tokenLife = tokenLife;     // access token lifetime, in seconds
+    this.refreshLife = refreshLife; // refresh token lifetime, in seconds
+    this.revoked = { };             // sid -> time (ms) after which it can be forgotten
+    this.active = new Map();        // sid -> uid
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+    if (await io.fileExists(this.folder, REVOKED_FILE)) {
+      this.revoked = JSON.parse(await io.fileGet(this.folder, REVOKED_FILE));
+    }
+
+    let now = Date.now();
+    for (let fn of await io.folderGet(this.folder)) {
+      if (fn === REVOKED_FILE || path.extname(fn) !== '.json') continue;
+      try {
+        let session = JSON.parse(await io.fileGet(this.folder, fn));
+        if (session.expires < now) {
+          await io.fileDelete(this.folder, fn);
+        } else {
+          this.active.set(session.sid, session.uid);
+        }
+      } catch (err) {
+        log.warn(`Ignoring unreadable session file ${fn}: ${err.message}`);
+      }
+    }
+    await this.saveRevoked();
+    log.info(`Sessions: ${this.active.size} active, ${Object.keys(this.revoked).length} revoked.`);
+  }
+
+  async saveRevoked() {
+    let now = Date.now();
+    for (let sid in this.revoked) {
+      if (this.revoked[sid] < now) {
+        delete this.revoked[sid];
+      }
+    }
+    await io.filePut(this.folder, REVOKED_FILE, JSON.stringify(this.revoked, null, 2));
+  }
+
+  isRevoked(sid) {
+    return !sid || !!this.revoked[sid];
+  }
+
+  async sessionGet(sid) {
+    try {
+      return JSON.parse(await io.fileGet(this.folder, sid + '.json'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async sessionPut(session) {
+    await io.filePut(this.folder, session.sid + '.json', JSON.stringify(session, null, 2));
+    this.active.set(session.sid, session.uid);
+  }
+
+  // Starts a new session for the user. Returns { sid, refresh }, where refresh is the only copy of the refresh token.
+  async create(user) {
+    let sid = uuid();
+    let secret = crypto.randomBytes(32).toString('base64url');
+    let now = Date.now();
+    await this.sessionPut({
+      sid,
+      uid: user.uid,
+      login: user.login,
+      hash: hashToken(secret),
+      created: now,
+      refreshed: now,
+      expires: now + this.refreshLife * 1000
+    });
+    return { sid, refresh: sid + '.' + secret };
+  }
+
+  // Exchanges a refresh token for a new one in the same session. Returns { session, refresh } or null.
+  // Presenting an already-used refresh token ends the session, since it means the token was copied.
+  async rotate(refreshToken) {
+    let [sid, secret] = String(refreshToken || '').split('.');
+    if (!(sid && secret) || this.isRevoked(sid)) {
+      return null;
+    }
+    let session = await this.sessionGet(sid);
+    if (!session) {
+      return null;
+    }
+    if (session.expires < Date.now()) {
+      await this.end(sid);
+      return null;
+    }
+    if (session.hash !== hashToken(secret)) {
+      log.warn(`Refresh token reuse detected for user '${session.login}', ending session ${sid}.`);
+      await this.end(sid);
+      return null;
+    }
+
+    let next = crypto.randomBytes(32).toString('base64url');
+    session.hash = hashToken(next);
+    session.refreshed = Date.now();
+    await this.sessionPut(session);
+    return { session, refresh: sid + '.' + next };
+  }
+
+  // Returns the session records of a user, without the refresh token hashes.
+  async list(uid) {
+    let result = [ ];
+    for (let [sid, owner] of this.active) {
+      if (owner !== uid) continue;
+      let session = await this.sessionGet(sid);
+      if (session) {
+        delete session.hash;
+        result.push(session);
+      }
+    }
+    return result;
+  }
+
+  // Ends a single session, e.g. on logout.
+  async end(sid) {
+    if (!sid) return false;
+    this.active.delete(sid);
+    this.revoked[sid] = Date.now() + this.tokenLife * 1000;
+    try {
+      await io.fileDelete(this.folder, sid + '.json');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    await this.saveRevoked();
+    return true;
+  }
+
+  // Ends every session of a user, e.g. on user delete or password change. Returns the number ended.
+  async endAll(uid) {
+    let count = 0;
+    for (let [sid, owner] of [...this.active]) {
+      if (owner === uid) {
+        await this.end(sid);
+        count++;
+      }
+    }
+    if (count) {
+      log.info(`Ended ${count} session(s) for user ${uid}.`);
+    }
+    return count;
+  }
+}
+
+module.exports = Sessions;
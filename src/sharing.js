@@ -0,0 +1,197 @@
+const log = require('./log');
+const auth = require('./auth');
+const Grants = require('./grants');
+const spaces = require('./spaces');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+// Item IDs, as for documents in collections.js. Asset IDs are UUIDs.
+const ITEM_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+function handleError(err, ctx) {
+  log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+  ctx.status = 500;
+  ctx.body = err.message;
+}
+
+// The owner of the item a request is for: the user or their team space (see spaces.js), or with ?owner=<uid>,
+// another user who has shared it with them. need is 'read', 'write', or 'owner' for what only the owner may do,
+// such as deleting the item or sharing it. Returns null after replying 404 if the item is not shared with the user
+// (as if it did not exist), or 403.
+function ownerFor(store, ctx, where, item, need) {
+  let user = ctx.state.user;
+  let owner = ctx.query.owner;
+  if (!owner || owner === user.uid) {
+    return spaces.spaceFor(store, ctx);
+  }
+  let access = store.grants.access(owner, where, item, user.uid);
+  if (!access) {
+    ctx.status = 404;
+    ctx.body = 'Not found.';
+    return null;
+  }
+  if ((need === 'owner') || (need === 'write' && access !== 'write')) {
+    ctx.status = 403;
+    ctx.body = (need === 'owner') ? 'Only the owner can do this.' : 'This item is shared with you read-only.';
+    return null;
+  }
+  return owner;
+}
+
+// A grant as shown to its owner or grantee.
+function describe(rec, users) {
+  return {
+    collection: rec.where,
+    uid: rec.item,
+    owner: rec.owner,
+    ownerLogin: users[rec.owner] || null,
+    grantee: rec.grantee,
+    granteeLogin: users[rec.grantee] || null,
+    access: rec.access,
+    created: rec.created
+  };
+}
+
+// Sharing of documents and assets with other users, who then use ?owner=<uid> on the routes of the item.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+
+  async function loginsOf(grants) {
+    let users = { };
+    for (let rec of grants) {
+      for (let uid of [ rec.owner, rec.grantee ]) {
+        if (users[uid] === undefined) {
+          let meta = await store.userByUID(uid);
+          users[uid] = meta ? meta.user.login : null;
+        }
+      }
+    }
+    return users;
+  }
+
+  async function replyGrants(ctx, grants) {
+    let users = await loginsOf(grants);
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(grants.map(rec => describe(rec, users)));
+  }
+
+  // The collection (or 'assets') and item of a grants route, or null after replying 404 if the user has no such item.
+  async function itemOf(ctx, fixed) {
+    let where = fixed || ctx.params.name;
+    let item = ctx.params.id;
+    if (where !== 'assets' && !store.collectionAllowed(where)) {
+      ctx.status = 404;
+      ctx.body = `Unknown collection '${where}'.`;
+      return null;
+    }
+    if (!ITEM_ID.test(item) || !await store.userDocGet(ctx.state.user.uid, where, item)) {
+      ctx.status = 404;
+      ctx.body = 'Not found.';
+      return null;
+    }
+    return { where, item };
+  }
+
+  async function listItemGrants(ctx, fixed) {
+    try {
+      let target = await itemOf(ctx, fixed);
+      if (!target) return;
+      await replyGrants(ctx, store.grants.list({ owner: ctx.state.user.uid, where: target.where, item: target.item }));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Shares the item with the user named by login or uid in the body, with 'read' (the default) or 'write' access.
+  async function grantItem(ctx, fixed) {
+    let user = ctx.state.user;
+    let body = ctx.request.body || { };
+    try {
+      let target = await itemOf(ctx, fixed);
+      if (!target) return;
+      let grantee = body.uid ? await store.userByUID(body.uid) : (body.login ? await store.userByLogin(body.login) : null);
+      if (!grantee) {
+        ctx.status = 404;
+        ctx.body = 'User not found.';
+        return;
+      }
+      if (grantee.user.uid === user.uid) {
+        ctx.status = 400;
+        ctx.body = 'Items cannot be shared with their owner.';
+        return;
+      }
+      let rec = await store.grants.grant(user.uid, target.where, target.item, grantee.user.uid, body.access || 'read');
+      if (!rec) {
+        ctx.status = 400;
+        ctx.body = `Access must be one of: ${Grants.ACCESS.join(', ')}.`;
+        return;
+      }
+      log.info(`'${user.login}' shared ${target.where}/${target.item} with '${grantee.user.login}' (${rec.access}).`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(describe(rec, await loginsOf([ rec ])));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  async function revokeItem(ctx, fixed) {
+    let user = ctx.state.user;
+    try {
+      let target = await itemOf(ctx, fixed);
+      if (!target) return;
+      if (!await store.grants.revoke(user.uid, target.where, target.item, ctx.params.grantee)) {
+        ctx.status = 404;
+        ctx.body = 'The item is not shared with that user.';
+        return;
+      }
+      log.info(`'${user.login}' stopped sharing ${target.where}/${target.item} with ${ctx.params.grantee}.`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // The grants of one item: /collections/:name/:id/grants, and the same for /projects/:id and /assets/:id.
+  for (let [base, fixed, area] of [ [ '/collections/:name', null, 'docs' ], [ '/projects', 'projects', 'docs' ], [ '/assets', 'assets', 'assets' ] ]) {
+    let route = prefix + base + '/:id/grants';
+    router.get(route, auth.permit(area + ':write'), ctx => listItemGrants(ctx, fixed));
+    router.post(route, auth.permit(area + ':write'), ctx => grantItem(ctx, fixed));
+    router.delete(route + '/:grantee', auth.permit(area + ':write'), ctx => revokeItem(ctx, fixed));
+  }
+
+  // Everything the user has shared with others.
+  router.get(prefix + '/grants', auth.permit('docs:read'), async (ctx) => {
+    try {
+      await replyGrants(ctx, store.grants.list({ owner: ctx.state.user.uid }));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Everything others have shared with the user, with the documents (or asset metadata) themselves.
+  router.get(prefix + '/shared', auth.permit('docs:read'), async (ctx) => {
+    let user = ctx.state.user;
+    let assetsVisible = auth.can(user, 'assets:read');
+    try {
+      let grants = store.grants.list({ grantee: user.uid }).filter(rec => {
+        if (ctx.query.collection && rec.where !== ctx.query.collection) return false;
+        return (rec.where !== 'assets') || assetsVisible;
+      });
+      let users = await loginsOf(grants);
+      let response = [ ];
+      for (let rec of grants) {
+        let doc = await store.userDocGet(rec.owner, rec.where, rec.item);
+        if (doc) {
+          response.push(Object.assign(describe(rec, users), { doc }));
+        }
+      }
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+}
+
+module.exports = { ownerFor, initRoutes };
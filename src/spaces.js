@@ -0,0 +1,332 @@
+const log = require('./log');
+const auth = require('./auth');
+const outbox = require('./outbox');
+const Teams = require('./teams');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+const MAX_NAME = 100;
+
+function handleError(err, ctx) {
+  log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+  ctx.status = 500;
+  ctx.body = err.message;
+}
+
+// The space that the documents and assets of a request are in: the user's own, or with a /teams/:team/... route
+// or ?space=<team id>, a team the user is a member of. Returns the uid or team ID for the store's user* methods,
+// or null after replying 404 if the user is not a member of the team (as if it did not exist).
+function spaceFor(store, ctx) {
+  let user = ctx.state.user;
+  let team = ctx.params.team || ctx.query.space;
+  if (!team || team === user.uid) {
+    return user.uid;
+  }
+  if (!store.teams.role(team, user.uid)) {
+    ctx.status = 404;
+    ctx.body = 'Team not found.';
+    return null;
+  }
+  return team;
+}
+
+function validName(name) {
+  return (typeof name === 'string') && name.trim().length > 0 && name.length <= MAX_NAME;
+}
+
+// Teams (organizations) with shared spaces, see teams.js. The document, search and asset routes are also
+// available under /teams/:team, or with ?space=<team id>, for the team's collections and assets.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+  const sendMessage = outbox.create(store);
+
+  async function loginOf(uid) {
+    let meta = await store.userByUID(uid);
+    return meta ? meta.user.login : null;
+  }
+
+  // A team as shown to one of its members. Pending invitations are only shown to admins and owners.
+  async function describe(team, uid) {
+    let role = team.members[uid].role;
+    let members = [ ];
+    for (let [member, info] of Object.entries(team.members)) {
+      members.push({ uid: member, login: await loginOf(member), role: info.role, joined: info.joined });
+    }
+    let response = { id: team.id, name: team.name, created: team.created, role, members };
+    if (Teams.rank(role) >= Teams.rank('admin')) {
+      response.invitations = [ ];
+      for (let inv of team.invitations) {
+        response.invitations.push(Object.assign({ login: await loginOf(inv.uid) }, inv));
+      }
+    }
+    return response;
+  }
+
+  // The team of the route and the role of the user in it, or null after replying 404 (not a member) or 403.
+  function teamOf(ctx, minRole) {
+    let team = store.teams.get(ctx.params.team);
+    let role = team && store.teams.role(team.id, ctx.state.user.uid);
+    if (!role) {
+      ctx.status = 404;
+      ctx.body = 'Team not found.';
+      return null;
+    }
+    if (Teams.rank(role) < Teams.rank(minRole)) {
+      ctx.status = 403;
+      ctx.body = `Only a team ${minRole} can do this.`;
+      return null;
+    }
+    return { team, role };
+  }
+
+  function owners(team) {
+    return Object.values(team.members).filter(member => member.role === 'owner').length;
+  }
+
+  function replyTeam(ctx, response) {
+    ctx.type = JSON_TYPE;
+    ctx.body = JSON.stringify(response);
+  }
+
+  router.get(prefix + '/teams', auth.permit('docs:read'), async (ctx) => {
+    let uid = ctx.state.user.uid;
+    replyTeam(ctx, store.teams.list(uid).map(team => ({ id: team.id, name: team.name, created: team.created, role: team.members[uid].role })));
+  });
+
+  router.post(prefix + '/teams', auth.permit('docs:write'), async (ctx) => {
+    let user = ctx.state.user;
+    let body = ctx.request.body || { };
+    if (!validName(body.name)) {
+      ctx.status = 400;
+      ctx.body = `A team name of up to ${MAX_NAME} characters is required.`;
+      return;
+    }
+    try {
+      let team = await store.teams.create(body.name.trim(), user.uid);
+      log.info(`User '${user.login}' created team '${team.name}' (${team.id}).`);
+      replyTeam(ctx, await describe(team, user.uid));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  router.get(prefix + '/teams/:team', auth.permit('docs:read'), async (ctx) => {
+    let found = teamOf(ctx, 'member');
+    if (!found) return;
+    try {
+      replyTeam(ctx, await describe(found.team, ctx.state.user.uid));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  router.put(prefix + '/teams/:team', auth.permit('docs:write'), async (ctx) => {
+    let body = ctx.request.body || { };
+    let found = teamOf(ctx, 'admin');
+    if (!found) return;
+    if (!validName(body.name)) {
+      ctx.status = 400;
+      ctx.body = `A team name of up to ${MAX_NAME} characters is required.`;
+      return;
+    }
+    try {
+      await store.teams.rename(found.team, body.name.trim());
+      replyTeam(ctx, await describe(found.team, ctx.state.user.uid));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Deletes the team with all of its documents and assets.
+  router.delete(prefix + '/teams/:team', auth.permit('docs:write'), async (ctx) => {
+    let found = teamOf(ctx, 'owner');
+    if (!found) return;
+    try {
+      await store.teamDelete(found.team.id);
+      log.info(`User '${ctx.state.user.login}' deleted team '${found.team.name}' (${found.team.id}).`);
+      replyTeam(ctx, { message: 'The team has been deleted.', result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Changes the role of a member. Admins can make members admins and the reverse; only owners can add or change owners.
+  router.put(prefix + '/teams/:team/members/:uid', auth.permit('docs:write'), async (ctx) => {
+    let body = ctx.request.body || { };
+    let found = teamOf(ctx, 'admin');
+    if (!found) return;
+    let { team, role } = found;
+    let target = store.teams.role(team.id, ctx.params.uid);
+    if (!target) {
+      ctx.status = 404;
+      ctx.body = 'Not a member of the team.';
+      return;
+    }
+    if (!Teams.ROLES.includes(body.role)) {
+      ctx.status = 400;
+      ctx.body = `Role must be one of: ${Teams.ROLES.join(', ')}.`;
+      return;
+    }
+    if (Teams.rank(role) < Teams.rank(target) || Teams.rank(role) < Teams.rank(body.role)) {
+      ctx.status = 403;
+      ctx.body = 'Only a team owner can do this.';
+      return;
+    }
+    if (target === 'owner' && body.role !== 'owner' && owners(team) === 1) {
+      ctx.status = 409;
+      ctx.body = 'A team needs an owner. Make another member an owner first.';
+      return;
+    }
+    try {
+      await store.teams.setRole(team, ctx.params.uid, body.role);
+      replyTeam(ctx, await describe(team, ctx.state.user.uid));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Removes a member, or with the user's own uid, leaves the team.
+  router.delete(prefix + '/teams/:team/members/:uid', auth.permit('account'), async (ctx) => {
+    let user = ctx.state.user;
+    let leaving = (ctx.params.uid === user.uid);
+    let found = teamOf(ctx, leaving ? 'member' : 'admin');
+    if (!found) return;
+    let { team, role } = found;
+    let target = store.teams.role(team.id, ctx.params.uid);
+    if (!target) {
+      ctx.status = 404;
+      ctx.body = 'Not a member of the team.';
+      return;
+    }
+    if (Teams.rank(role) < Teams.rank(target)) {
+      ctx.status = 403;
+      ctx.body = 'Only a team owner can do this.';
+      return;
+    }
+    if (target === 'owner' && owners(team) === 1) {
+      ctx.status = 409;
+      ctx.body = 'A team needs an owner. Make another member an owner first, or delete the team.';
+      return;
+    }
+    try {
+      await store.teams.removeMember(team, ctx.params.uid);
+      log.info(leaving ? `User '${user.login}' left team ${team.id}.` : `User '${user.login}' removed ${ctx.params.uid} from team ${team.id}.`);
+      replyTeam(ctx, { message: leaving ? 'You have left the team.' : 'The member has been removed.', result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Invites a user, by login or uid, to join with a role no higher than the inviter's. They accept with POST /invitations/:id.
+  router.post(prefix + '/teams/:team/invitations', auth.permit('docs:write'), async (ctx) => {
+    let user = ctx.state.user;
+    let body = ctx.request.body || { };
+    let found = teamOf(ctx, 'admin');
+    if (!found) return;
+    let { team, role } = found;
+    let newRole = body.role || 'member';
+    if (!Teams.ROLES.includes(newRole)) {
+      ctx.status = 400;
+      ctx.body = `Role must be one of: ${Teams.ROLES.join(', ')}.`;
+      return;
+    }
+    if (Teams.rank(role) < Teams.rank(newRole)) {
+      ctx.status = 403;
+      ctx.body = 'Only a team owner can do this.';
+      return;
+    }
+    try {
+      let invitee = body.uid ? await store.userByUID(body.uid) : (body.login ? await store.userByLogin(body.login) : null);
+      if (!invitee) {
+        ctx.status = 404;
+        ctx.body = 'User not found.';
+        return;
+      }
+      if (store.teams.role(team.id, invitee.user.uid)) {
+        ctx.status = 409;
+        ctx.body = 'The user is already a member of the team.';
+        return;
+      }
+      let invitation = await store.teams.invite(team, invitee.user.uid, newRole, user.uid);
+      await sendMessage({
+        to: invitee.user.email,
+        login: invitee.user.login,
+        uid: invitee.user.uid,
+        subject: `Invitation to the team '${team.name}'`,
+        text: `'${user.login}' has invited you to join the team '${team.name}' on ${store.name} as ${newRole === 'admin' ? 'an' : 'a'} ${newRole}. Accept or decline the invitation from your list of invitations.`,
+        team: team.id,
+        invitation: invitation.id
+      });
+      log.info(`User '${user.login}' invited '${invitee.user.login}' to team ${team.id} as ${newRole}.`);
+      replyTeam(ctx, Object.assign({ login: invitee.user.login }, invitation));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  router.delete(prefix + '/teams/:team/invitations/:id', auth.permit('docs:write'), async (ctx) => {
+    let found = teamOf(ctx, 'admin');
+    if (!found) return;
+    try {
+      if (!await store.teams.uninvite(found.team, ctx.params.id)) {
+        ctx.status = 404;
+        ctx.body = 'Invitation not found.';
+        return;
+      }
+      replyTeam(ctx, { message: 'The invitation has been withdrawn.', result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // The user's pending invitations to teams.
+  router.get(prefix + '/invitations', auth.permit('account'), async (ctx) => {
+    let response = [ ];
+    try {
+      for (let { team, invitation } of store.teams.invitationsFor(ctx.state.user.uid)) {
+        response.push({ id: invitation.id, team: team.id, name: team.name, role: invitation.role, by: invitation.by, byLogin: await loginOf(invitation.by), created: invitation.created });
+      }
+      replyTeam(ctx, response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // The invitation of the route, if it is for the user, or null after replying 404.
+  function invitationOf(ctx) {
+    let mine = store.teams.invitationsFor(ctx.state.user.uid).find(item => item.invitation.id === ctx.params.id);
+    if (!mine) {
+      ctx.status = 404;
+      ctx.body = 'Invitation not found.';
+      return null;
+    }
+    return mine;
+  }
+
+  // Accepts an invitation, joining the team.
+  router.post(prefix + '/invitations/:id', auth.permit('account'), async (ctx) => {
+    let mine = invitationOf(ctx);
+    if (!mine) return;
+    try {
+      await store.teams.accept(mine.team, mine.invitation);
+      log.info(`User '${ctx.state.user.login}' joined team ${mine.team.id} as ${mine.invitation.role}.`);
+      replyTeam(ctx, await describe(mine.team, ctx.state.user.uid));
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Declines an invitation.
+  router.delete(prefix + '/invitations/:id', auth.permit('account'), async (ctx) => {
+    let mine = invitationOf(ctx);
+    if (!mine) return;
+    try {
+      await store.teams.uninvite(mine.team, mine.invitation.id);
+      replyTeam(ctx, { message: 'The invitation has been declined.', result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+}
+
+module.exports = { spaceFor, initRoutes };
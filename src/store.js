@@ -1,14 +1,45 @@
 const { envGet } = require('./env');
 
+const crypto = require('crypto');
 const path = require('path');
 const io = require('./io');
 const log = require('./log');
+const ApiKeys = require('./apikeys');
+const Blobs = require('./blobs');
+const Grants = require('./grants');
+const Teams = require('./teams');
+const roles = require('./roles');
+const schema = require('./schema');
+const Sessions = require('./sessions');
+const Revisions = require('./revisions');
+const SearchIndex = require('./searchindex');
+const Throttle = require('./throttle');
+const TrashBin = require('./trashbin');
+const Uploads = require('./uploads');
 
 const {SERVER_CFG, USERMETA, PUBLIC_FOLDER, DATA_FOLDER} = require('./constants')
 
 let debug_level = 0;
 let userClients = [ ];
 
+// Document collections are user subfolders, so their names are limited to safe folder names.
+const COLLECTION_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+const RESERVED_COLLECTIONS = [ 'assets', 'revisions', 'trash' ];
+
+// Documents are stored as <id>.json files in their collection folder.
+function docFile(which) {
+  return (path.extname(which) === '.json') ? which : which + '.json';
+}
+
+function docId(which) {
+  return path.basename(docFile(which), '.json');
+}
+
+// How an asset refers to its blob, see blobs.js.
+function blobRef(who, id) {
+  return `${who}/${id}`;
+}
+
 class Store {
   constructor(base) {
     this.base = base;
@@ -22,6 +53,18 @@ class Store {
     this.registration = envGet('REGISTRATION', true);
     this.secret = envGet('SECRET', 'secret');
     this.admin = envGet('ADMIN', 'admin');
+    this.tokenlife = envGet('TOKENLIFE', 900);  // access token lifetime in seconds
+    this.refreshlife = envGet('REFRESHLIFE', 30*24*60*60);  // refresh token (session) lifetime in seconds
+    this.resetlife = envGet('RESETLIFE', 60*60);  // password reset token lifetime in seconds
+    this.outbox = envGet('OUTBOX', 'log');  // see outbox.js
+    this.throttle = null;  // login throttling and lockout options, see throttle.js
+    this.collections = null;  // optional allowlist of document collection names ('projects' is always allowed)
+    this.revisions = null;  // document revision history options, see revisions.js
+    this.trash = null;  // trash retention and purge options, see trashbin.js
+    this.uploads = null;  // resumable upload size and expiration options, see uploads.js
+    this.schemas = null;  // JSON Schemas for document collections, by collection name, see schema.js
+    this.storedSchemas = { };  // the schemas registered by admins, in data/schemas, which take precedence
+    this.docQueues = new Map();  // document path -> the last pending update, see docSerialize
     this.loglevel = envGet('LOGLEVEL', 'warn');
     this.logfile = envGet('LOGFILE', 'sossdata.log');
     // the default identity
@@ -31,7 +74,11 @@ class Store {
 
   // Separate init function from constructor to separate async calls.
   async init() {
-    let configOverrides = await io.jsonGet(this.base, SERVER_CFG) || {};
+    let configOverrides = await io.jsonGet(this.base, SERVER_CFG);
+    if (!configOverrides && await io.fileExists(this.base, SERVER_CFG)) {
+      process.exit(2);  // not valid JSON, as logged: better not to run with the defaults
+    }
+    configOverrides = configOverrides || {};
 
     // add overrides to defaults from config
     for (let k in configOverrides) {
@@ -60,6 +107,44 @@ class Store {
         // Now make sure the initial folder structure is in place, create initial subfolders if necessary.
         await io.folderCreate(path.join(this.data, 'users'));
         await io.folderCreate(path.join(this.data, 'logins'));
+        await io.folderCreate(path.join(this.data, 'resets'));
+        await io.folderCreate(path.join(this.data, 'invites'));
+        this.sessions = new Sessions(path.join(this.data, 'sessions'), this.tokenlife, this.refreshlife);
+        await this.sessions.init();
+        this.keys = new ApiKeys(path.join(this.data, 'keys'));
+        await this.keys.init();
+        this.loginThrottle = new Throttle(this.throttle, this.data, 'lockouts.json');
+        await this.loginThrottle.init();
+        // login ID availability checks are only limited per IP, and never lock anything
+        this.probeThrottle = new Throttle({ free: 30, delay: 1, maxdelay: 60, window: 60 });
+        this.history = new Revisions(this.revisions);
+        this.search = new SearchIndex(path.join(this.data, 'search'));
+        await this.search.init();
+        await this.schemasInit();
+        this.grants = new Grants(path.join(this.data, 'grants'));
+        await this.grants.init();
+        this.teams = new Teams(path.join(this.data, 'teams'));
+        await this.teams.init();
+        this.trashBin = new TrashBin(this.trash);
+        this.usersTrash = path.join(this.data, 'trash');
+        await io.folderCreate(this.usersTrash);
+        if (this.trashBin.options.interval > 0) {
+          this.trashTimer = setInterval(() => {
+            this.trashPurge().catch(err => log.error(`Trash purge failed: ${err.message}`));
+          }, this.trashBin.options.interval * 60 * 1000);
+          this.trashTimer.unref();
+        }
+        this.blobs = new Blobs(path.join(this.data, 'blobs'));
+        await this.blobs.init();
+        this.resumable = new Uploads(path.join(this.data, 'uploads'), this.uploads);
+        await this.resumable.init();
+        if (this.resumable.options.interval > 0) {
+          this.uploadsTimer = setInterval(() => {
+            this.uploadsPurge().catch(err => log.error(`Upload purge failed: ${err.message}`));
+          }, this.resumable.options.interval * 60 * 1000);
+          this.uploadsTimer.unref();
+        }
+        this.suspended = new Set((await this.userList()).filter(user => user.status === 'suspended').map(user => user.uid));
         log.force(`Storage ready for '${this.name}' ('${this.id}'): ${this.data}`);
       } else {
         this.data = null; // clear it so we know not to try to use data that doesn't exist
@@ -122,63 +207,423 @@ class Store {
   /////////////////// Generic operations that take a user as the first param, or null for system-level operations /////////////////
   // For the rest of this file, who refers to the UID of a user, where refers to a (sub)collection name, which refers to a specific document.
 
+  // who can also be the ID of a team, for the shared space of the team (see teams.js), once membership has been checked.
   userFolder(who, where) {
-    let pn = path.join(this.data, 'users', who);
+    let pn = (this.teams && this.teams.get(who)) ? this.teams.folderOf(who) : path.join(this.data, 'users', who);
     return where ? path.join(pn, where) : pn;
   }
 
+  // The names of the document collections (subfolders) a user has, not including assets or revision history.
   async userCollections(who) {
-    return await io.folderGet(this.userFolder(who, ''));
+    let names = await io.folderGet(this.userFolder(who, ''));
+    let result = [ ];
+    for (let name of names) {
+      if (!RESERVED_COLLECTIONS.includes(name) && await io.folderExists(this.userFolder(who, name))) {
+        result.push(name);
+      }
+    }
+    return result;
+  }
+
+  // True if documents can be stored in a collection of this name: a safe folder name, not one of the
+  // special user subfolders, and in the 'collections' allowlist if the server config has one.
+  collectionAllowed(where) {
+    if (typeof where !== 'string' || !COLLECTION_NAME.test(where) || RESERVED_COLLECTIONS.includes(where)) {
+      return false;
+    }
+    return (where === 'projects') || !Array.isArray(this.collections) || this.collections.includes(where);
   }
 
+  // Returns the document IDs in a collection, or an empty list if the user has never stored any there.
   async userListDocs(who, where) {
-    return await io.folderGet(this.userFolder(who, where));
+    let folder = this.userFolder(who, where);
+    if (!await io.folderExists(folder)) {
+      return [ ];
+    }
+    let ids = new Set();
+    for (let fn of await io.folderGet(folder)) {
+      if (fn.startsWith('.')) continue;  // e.g. the staged writes of a batch, see userDocBatch
+      ids.add(path.basename(fn, '.json'));  // documents are <id>.json, or just <id> in older data folders
+    }
+    return [...ids];
+  }
+
+  // All the documents in a collection, each with its uid.
+  async userDocsGet(who, where) {
+    let result = [ ];
+    for (let id of await this.userListDocs(who, where)) {
+      let doc = await this.userDocGet(who, where, id);
+      if (doc && typeof doc === 'object' && !Array.isArray(doc)) {
+        result.push(Object.assign({ uid: id }, doc));
+      }
+    }
+    return result;
   }
 
   // who, where and which are all UIDs, for user, collection, document
   async userDocGet(who, where, which) {
-    return await io.jsonGet(this.userFolder(who, where), which);
+    let folder = this.userFolder(who, where);
+    let doc = await io.jsonGet(folder, docFile(which));
+    if (!doc && path.extname(which) === '') {
+      doc = await io.jsonGet(folder, which);  // older data folders
+    }
+    return doc;
   }
 
-  async userDocCreate(who, where, which, payload) {
-    let text = (typeof payload === 'string') ? payload : JSON.stringify(payload, null, 2);
-    return await io.filePut(this.userFolder(who, where), which, text);
+  // The optional author of a change is the uid recorded in the revision history, the owner (who) by default.
+  async userDocCreate(who, where, which, payload, author) {
+    await io.folderCreate(this.userFolder(who, where));
+    return await this.docWrite(who, where, which, payload, null, author);
   }
 
-  async userDocReplace(who, where, which, payload) {
+  async userDocReplace(who, where, which, payload, author) {
     // replace doc with payload
+    return await this.docWrite(who, where, which, payload, 'replace', author);
+  }
+
+  // Makes a revision the current content of the document, which need not exist any more.
+  async userDocRestore(who, where, which, payload, author) {
+    await io.folderCreate(this.userFolder(who, where));
+    return await this.docWrite(who, where, which, payload, 'restore', author);
+  }
+
+  // Writes a document and records the change in its history. A null action means 'create', or 'replace' if it exists.
+  async docWrite(who, where, which, payload, action, author) {
     let text = (typeof payload === 'string') ? payload : JSON.stringify(payload, null, 2);
-    return await io.filePut(this.userFolder(who, where), which, text);
+    this.docValidate(where, JSON.parse(text));
+    let existed = await this.docHistoryStart(who, where, which);
+    let result = await io.filePut(this.userFolder(who, where), docFile(which), text);
+    let doc = JSON.parse(text);
+    await this.docHistoryAdd(who, where, which, action || (existed ? 'replace' : 'create'), doc, author || who);
+    await this.searchUpdate(who, where, which, doc);
+    return result;
+  }
+
+  // Updates a document, merging in the updates object, or with a function that is passed the document and
+  // returns the new one (and may throw to leave it unchanged). Updates of the same document are applied one
+  // at a time, so that concurrent ones cannot lose each other's changes. Returns the updated document, or null if not found.
+  async userDocUpdate(who, where, which, updates, author) {
+    return await this.userDocLocked(who, where, which, async () => {
+      let rec = await this.userDocGet(who, where, which);
+      if (!rec) {
+        return null;
+      }
+      let payload = (typeof updates === 'function') ? updates(rec) : Object.assign({ }, rec, updates);
+      await this.docWrite(who, where, which, payload, 'update', author);
+      return payload;
+    });
   }
 
-  async userDocUpdate(who, where, which, updates) {
+  // Runs fn while no other update of the document is in progress, for a read, check and write that must not interleave.
+  async userDocLocked(who, where, which, fn) {
+    return await this.docSerialize(path.join(this.userFolder(who, where), docFile(which)), fn);
+  }
+
+  // The file name of a document: <id>.json, or just <id> in older data folders.
+  async docFileFound(folder, which) {
+    if (!await io.fileExists(folder, docFile(which)) && await io.fileExists(folder, which)) {
+      return which;
+    }
+    return docFile(which);
+  }
+
+  // Applies changes to several documents of a user together: all of them, or if any fails, none. Each op is
+  // { where, which, action, apply }, where apply(current) is passed the document as left by the earlier ops
+  // (null if there is none) and returns the new document, or null to delete it, and may throw to fail the op.
+  // The documents are locked, every op is checked, and then the writes are staged, committed, and on any
+  // error rolled back. Returns the new documents (null for deletes). If any op fails, nothing is written and
+  // an error with code 'EBATCH' is thrown, with errors: the error of each op, or null for the ones that passed.
+  async userDocBatch(who, ops, author) {
+    let keyOf = (op) => path.join(this.userFolder(who, op.where), docFile(op.which));
+    let keys = [...new Set(ops.map(keyOf))].sort();
+    return await this.docSerializeAll(keys, async () => {
+      let docs = new Map();  // key -> { where, which, before, after }
+      let results = [ ];
+      let errors = [ ];
+      for (let op of ops) {
+        let key = keyOf(op);
+        if (!docs.has(key)) {
+          let before = await this.userDocGet(who, op.where, op.which);
+          docs.set(key, { where: op.where, which: op.which, before, after: before });
+        }
+        let entry = docs.get(key);
+        try {
+          let doc = op.apply(entry.after);
+          if (doc) this.docValidate(op.where, doc);
+          entry.after = doc;
+          results.push(doc);
+          errors.push(null);
+        } catch (err) {
+          results.push(null);
+          errors.push(err);
+        }
+      }
+      if (errors.some(err => err)) {
+        let err = new Error('The batch was not applied, because an operation failed.');
+        err.code = 'EBATCH';
+        err.errors = errors;
+        throw err;
+      }
+
+      let tag = crypto.randomBytes(6).toString('hex');
+      let stages = [ ];
+      let trashed = [ ];
+      let changed = [...docs.values()].filter(entry => entry.before || entry.after);
+      try {
+        for (let entry of changed) {
+          await this.docHistoryStart(who, entry.where, entry.which);
+          if (entry.after) {
+            let folder = this.userFolder(who, entry.where);
+            await io.folderCreate(folder);
+            stages.push(await io.fileStage(folder, docFile(entry.which), JSON.stringify(entry.after, null, 2), tag));
+          }
+        }
+        for (let stage of stages) {
+          await io.fileCommit(stage);
+        }
+        for (let entry of changed.filter(item => !item.after)) {
+          let folder = this.userFolder(who, entry.where);
+          let fn = await this.docFileFound(folder, entry.which);
+          let rec = await this.trashBin.put(this.userFolder(who, 'trash'), folder, [ fn ], author || who, { collection: entry.where, uid: docId(entry.which) });
+          trashed.push({ rec, folder });
+        }
+      } catch (err) {
+        log.error(`Batch of ${who} failed, rolling back: ${err.message}`);
+        for (let { rec, folder } of trashed.reverse()) {
+          await this.trashBin.restore(this.userFolder(who, 'trash'), rec, folder).catch(e => log.error(`Batch rollback: ${e.message}`));
+        }
+        for (let stage of stages.reverse()) {
+          await io.fileRollback(stage).catch(e => log.error(`Batch rollback: ${e.message}`));
+        }
+        throw err;
+      }
+      for (let stage of stages) {
+        await io.fileCleanup(stage).catch(e => log.warn(`Batch cleanup: ${e.message}`));
+      }
+
+      for (let [i, op] of ops.entries()) {
+        await this.docHistoryAdd(who, op.where, op.which, results[i] ? op.action : 'delete', results[i], author || who);
+      }
+      for (let entry of changed) {
+        await this.searchUpdate(who, entry.where, entry.which, entry.after);
+        if (!entry.after) {
+          await this.grants.removeAll({ owner: who, where: entry.where, item: docId(entry.which) });
+        }
+      }
+      return results;
+    });
+  }
+
+  // Runs fn while holding the locks of all the keys, taken in the order given (sorted, to avoid deadlocks).
+  async docSerializeAll(keys, fn) {
+    let [first, ...rest] = keys;
+    if (first === undefined) {
+      return await fn();
+    }
+    return await this.docSerialize(first, () => this.docSerializeAll(rest, fn));
+  }
+
+  // Runs fn after any earlier one for the same key (usually a document path) has finished.
+  async docSerialize(key, fn) {
+    let previous = this.docQueues.get(key) || Promise.resolve();
+    let result = previous.then(fn, fn);
+    let done = result.catch(() => { });
+    this.docQueues.set(key, done);
+    try {
+      return await result;
+    } finally {
+      if (this.docQueues.get(key) === done) {
+        this.docQueues.delete(key);
+      }
+    }
+  }
+
+  // Moves a document, with any other files of the same folder that belong to it (e.g. an asset), into the trash.
+  // Returns the trash record.
+  async userDocDelete(who, where, which, author, files) {
     let folder = this.userFolder(who, where);
-    let rec = await io.fileGet(folder, which);
-    // update (merge) doc with payload
-    let payload = Object.assign({ }, rec, updates);
-    let text = (typeof payload === 'string') ? payload : JSON.stringify(payload, null, 2);
-    return await io.filePut(folder, which, text);
+    await this.docHistoryStart(who, where, which);
+    let fn = await this.docFileFound(folder, which);
+    let result = await this.trashBin.put(this.userFolder(who, 'trash'), folder, [ fn ].concat(files || [ ]), author || who, { collection: where, uid: docId(which) });
+    await this.docHistoryAdd(who, where, which, 'delete', null, author || who);
+    await this.searchUpdate(who, where, which, null);
+    await this.grants.removeAll({ owner: who, where, item: docId(which) });
+    return result;
   }
 
-  async userDocDelete(who, where, which) {
-    return await io.fileDelete(this.userFolder(who, where), which);
+  // Loads the schemas registered by admins, and checks the ones in sossdata.cfg.
+  async schemasInit() {
+    this.schemaFolder = path.join(this.data, 'schemas');
+    await io.folderCreate(this.schemaFolder);
+    for (let fn of await io.folderGet(this.schemaFolder)) {
+      if (path.extname(fn) !== '.json') continue;
+      try {
+        this.storedSchemas[path.basename(fn, '.json')] = schema.compile(await io.jsonGet(this.schemaFolder, fn));
+      } catch (err) {
+        log.error(`Ignoring schema file ${fn}: ${err.message}`);
+      }
+    }
+    for (let where of Object.keys(this.schemas || { })) {
+      try {
+        schema.compile(this.schemas[where]);
+      } catch (err) {
+        log.error(`Ignoring the sossdata.cfg schema for '${where}': ${err.message}`);
+        delete this.schemas[where];
+      }
+    }
   }
 
-  // These two know about the important user subfolders.
-  async userCreateTree(who) {
-    let userDataFolders = [ 'assets', 'projects'];
-    let result = true;
-    for (let folder of userDataFolders) {
-      let fresult = await io.folderCreate(this.userFolder(who, folder));
-      result = result && fresult; // continue on error but track overall success/fail
+  // The schema documents in a collection must match, or null if there is none.
+  schemaGet(where) {
+    if (Object.prototype.hasOwnProperty.call(this.storedSchemas, where)) {
+      return this.storedSchemas[where];
+    }
+    let configured = this.schemas || { };
+    return Object.prototype.hasOwnProperty.call(configured, where) ? configured[where] : null;
+  }
+
+  // All the schemas in effect: { name: { source, schema } }, where source is 'config' or 'admin'.
+  schemaList() {
+    let result = { };
+    for (let where of Object.keys(this.schemas || { })) {
+      result[where] = { source: 'config', schema: this.schemas[where] };
+    }
+    for (let where of Object.keys(this.storedSchemas)) {
+      result[where] = { source: 'admin', schema: this.storedSchemas[where] };
     }
     return result;
   }
-  async userDeleteSubfolders(who) {
-    let userDataFolders = [ 'assets', 'projects'];
+
+  // Registers a schema for a collection, in place of any in sossdata.cfg. Throws if the schema cannot be used.
+  async schemaPut(where, payload) {
+    schema.compile(payload);
+    await io.filePut(this.schemaFolder, where + '.json', JSON.stringify(payload, null, 2));
+    this.storedSchemas[where] = payload;
+    return payload;
+  }
+
+  // Removes a schema registered by an admin, so any in sossdata.cfg applies again. Returns false if there was none.
+  async schemaDelete(where) {
+    if (!Object.prototype.hasOwnProperty.call(this.storedSchemas, where)) {
+      return false;
+    }
+    await io.fileDelete(this.schemaFolder, where + '.json');
+    delete this.storedSchemas[where];
+    return true;
+  }
+
+  // Throws an error with code 'ESCHEMA' and the list of violations in errors, if the document does not
+  // match the schema of its collection. Asset metadata is not validated.
+  docValidate(where, doc) {
+    let rules = RESERVED_COLLECTIONS.includes(where) ? null : this.schemaGet(where);
+    if (rules === null) return;
+    let errors = schema.validate(rules, doc);
+    if (errors.length) {
+      let err = new Error(`The document does not match the '${where}' schema.`);
+      err.code = 'ESCHEMA';
+      err.errors = errors;
+      throw err;
+    }
+  }
+
+  // Checks the existing documents of every user in a collection against a schema, such as one about to be
+  // registered. Returns { checked, failed: [ { owner, uid, errors } ] }.
+  async schemaReport(where, rules) {
+    schema.compile(rules);
+    let result = { checked: 0, failed: [ ] };
+    for (let user of await this.userList()) {
+      for (let doc of await this.userDocsGet(user.uid, where)) {
+        result.checked++;
+        let errors = schema.validate(rules, doc);
+        if (errors.length) {
+          result.failed.push({ owner: user.uid, uid: doc.uid, errors });
+        }
+      }
+    }
+    return result;
+  }
+
+  // Keeps the search index (see searchindex.js) in step with a document write, or a delete for a null doc.
+  // A failure here is logged rather than failing the write, since a rebuild of the index can fix it.
+  async searchUpdate(who, where, which, doc) {
+    try {
+      if (doc) {
+        await this.search.update(who, where, docId(which), doc);
+      } else {
+        await this.search.remove(who, where, docId(which));
+      }
+    } catch (err) {
+      log.warn(`Search index update for ${where}/${docId(which)} failed: ${err.message}`);
+    }
+  }
+
+  // Rebuilds the search index of a user from their documents and asset metadata. Returns the number indexed.
+  async userSearchRebuild(who) {
+    let entries = [ ];
+    for (let where of await this.userCollections(who)) {
+      for (let doc of await this.userDocsGet(who, where)) {
+        entries.push({ where, id: doc.uid, doc });
+      }
+    }
+    let assets = this.userFolder(who, 'assets');
+    if (await io.folderExists(assets)) {
+      for (let fn of await io.folderGet(assets)) {
+        let meta = (path.extname(fn) === '.json') ? await io.jsonGet(assets, fn) : null;
+        if (meta) {
+          entries.push({ where: 'assets', id: docId(fn), doc: meta });
+        }
+      }
+    }
+    return await this.search.rebuild(who, entries);
+  }
+
+  // Revision history (see revisions.js) is kept for documents in collections, but not for asset metadata.
+  docHistoryKept(where) {
+    return this.history.enabled && !RESERVED_COLLECTIONS.includes(where);
+  }
+
+  userRevisionFolder(who, where, which) {
+    return path.join(this.userFolder(who, 'revisions'), where, docId(which));
+  }
+
+  // Called before a change. Documents written before history was kept get their current content
+  // recorded first, so that the change can be undone. Returns true if the document exists.
+  async docHistoryStart(who, where, which) {
+    let folder = this.userFolder(who, where);
+    let stat = await io.pathStat(folder, docFile(which)) || await io.pathStat(folder, which);
+    if (stat && stat.isFile() && this.docHistoryKept(where)) {
+      let revFolder = this.userRevisionFolder(who, where, which);
+      if (!await this.history.latest(revFolder)) {
+        await this.history.add(revFolder, 'create', await this.userDocGet(who, where, which), null, Math.floor(stat.mtimeMs));
+      }
+    }
+    return !!(stat && stat.isFile());
+  }
+
+  async docHistoryAdd(who, where, which, action, doc, author) {
+    if (this.docHistoryKept(where)) {
+      await this.history.add(this.userRevisionFolder(who, where, which), action, doc, author);
+    }
+  }
+
+  // The revisions of a document, oldest first, without their content.
+  async userRevisionList(who, where, which) {
+    let folder = this.userRevisionFolder(who, where, which);
+    await this.history.prune(folder);
+    return await this.history.list(folder);
+  }
+
+  // A revision of a document, with its content in the doc field, or null.
+  async userRevisionGet(who, where, which, rev) {
+    return await this.history.get(this.userRevisionFolder(who, where, which), rev);
+  }
+
+  // These two know about the important user subfolders.
+  async userCreateTree(who) {
+    let userDataFolders = [ 'assets' ].concat(Array.isArray(this.collections) ? this.collections : [ ], 'projects');
     let result = true;
-    for (let folder of userDataFolders) {
-      let fresult = await io.folderDelete(this.userFolder(who, folder));
+    for (let folder of new Set(userDataFolders)) {
+      let fresult = await io.folderCreate(this.userFolder(who, folder));
       result = result && fresult; // continue on error but track overall success/fail
     }
     return result;
@@ -196,18 +641,494 @@ class Store {
     return payload; // the only really important one?
   }
 
-  // like createDoc, but creates a document with credentials that can be checked by serverClient.login()
-  async userDelete(uid) {
-    let user = await this.userByUID(uid);
-    if (!user) return false;
-    let result1 = await this.userUnlink(user.login);
-    let result2 = await this.userDeleteSubfolders(user.uid);
+  // Replaces the stored credentials of a user, e.g. after a password change or a hash upgrade on login.
+  async userCredentialsPut(who, credentials) {
+    return await this.userMetaLocked(who, async () => {
+      let meta = await this.userByUID(who);
+      if (!meta) return false;
+      meta.credentials = credentials;
+      return await this.userMetaPut(who, meta);
+    });
+  }
 
-    // TODO: Force-logout all
+  // The user fields that tokens and API keys act with, including the effective roles.
+  userAuthFields(user) {
+    return { uid: user.uid, login: user.login, roles: roles.userRoles(user, this.admin) };
+  }
+
+  // Runs fn after any earlier change to the meta.json of the user has finished. Each change reads, updates and
+  // writes the whole file, so they take turns, or one (e.g. a lastLogin) could undo another (e.g. a role change).
+  async userMetaLocked(who, fn) {
+    return await this.docSerialize(path.join(this.userFolder(who, ''), USERMETA), fn);
+  }
+
+  // Replaces the meta.json of a user: { credentials, user, mfa }. Call it within userMetaLocked.
+  async userMetaPut(who, meta) {
+    await io.filePut(this.userFolder(who, ''), USERMETA, JSON.stringify(meta, null, 2));
+    return meta;
+  }
+
+  // Changes the login ID of a user. The new logins/ link is created first, which fails if the name is
+  // already taken, so there is never a moment when neither name (or both users) resolve.
+  // Returns the updated meta, null if the user does not exist, or false if the name is taken.
+  async userRename(who, name) {
+    let oldName = null;
+    let meta = await this.userMetaLocked(who, async () => {
+      let meta = await this.userByUID(who);
+      if (!meta) return null;
+      oldName = meta.user.login;
+      if (oldName === name) return meta;
+
+      try {
+        await this.userLink(name, who);
+      } catch (err) {
+        if (err.code === 'EEXIST') return false;
+        throw err;
+      }
+      try {
+        meta.user.login = name;
+        await this.userMetaPut(who, meta);
+      } catch (err) {
+        await this.userUnlink(name);  // give the new name back
+        throw err;
+      }
+      await this.userUnlink(oldName);
+      return meta;
+    });
+    if (!meta || oldName === name) return meta;
+
+    // tokens carry the login, so end the sessions that were started under the old one
+    await this.sessions.endAll(who);
+    await this.keys.userUpdate(this.userAuthFields(meta.user));
+    return meta;
+  }
+
+  // Sets the role names of a user. Tokens carry the roles, so this ends the sessions of the user.
+  async userRolesSet(who, roleNames) {
+    let meta = await this.userMetaLocked(who, async () => {
+      let meta = await this.userByUID(who);
+      if (!meta) return null;
+      meta.user.roles = roleNames;
+      return await this.userMetaPut(who, meta);
+    });
+    if (!meta) return null;
+    await this.sessions.endAll(who);
+    await this.keys.userUpdate(this.userAuthFields(meta.user));
+    return meta;
+  }
+
+  // Sets the two-factor authentication state of a user (see the /profile/2fa routes), or removes it with null.
+  async userMfaPut(who, mfa) {
+    return await this.userMetaLocked(who, async () => {
+      let meta = await this.userByUID(who);
+      if (!meta) return null;
+      if (mfa) {
+        meta.mfa = mfa;
+      } else {
+        delete meta.mfa;
+      }
+      return await this.userMetaPut(who, meta);
+    });
+  }
+
+  // Sets the account status of a user, e.g. 'pending' or 'active'.
+  // A suspended user keeps their data, but cannot log in, and their sessions are ended.
+  async userStatusSet(who, status) {
+    let meta = await this.userMetaLocked(who, async () => {
+      let meta = await this.userByUID(who);
+      if (!meta) return null;
+      meta.user.status = status;
+      return await this.userMetaPut(who, meta);
+    });
+    if (!meta) return null;
+    if (status === 'suspended') {
+      this.suspended.add(who);
+      await this.sessions.endAll(who);
+    } else {
+      this.suspended.delete(who);
+    }
+    return meta;
+  }
+
+  // Records a successful login in the user record.
+  async userLoggedIn(who) {
+    return await this.userMetaLocked(who, async () => {
+      let meta = await this.userByUID(who);
+      if (!meta) return null;
+      meta.user.lastLogin = Date.now();
+      return await this.userMetaPut(who, meta);
+    });
+  }
+
+  // The total size in bytes of everything stored for a user.
+  async userStorageUsed(who) {
+    return await io.folderSize(this.userFolder(who));
+  }
+
+  // When the user was created, from the user record or (for older accounts) the user folder.
+  async userCreated(user) {
+    if (user.created) return user.created;
+    let stat = await io.pathStat(this.userFolder(user.uid), USERMETA);
+    return stat ? Math.round(stat.birthtimeMs || stat.mtimeMs) : null;
+  }
+
+  // Sets new credentials after a password change or reset, and ends all sessions of the user.
+  async userPasswordChange(who, credentials) {
+    let meta = await this.userCredentialsPut(who, credentials);
+    if (!meta) return false;
+    await this.sessions.endAll(who);
+    return meta;
+  }
+
+  // Issues a single-use password reset token for a user. Only a hash of the token is kept, under data/resets.
+  async userResetCreate(who) {
+    let folder = path.join(this.data, 'resets');
+    let now = Date.now();
+    for (let fn of await io.folderGet(folder)) {  // forget any expired ones while we're here
+      let rec = await io.jsonGet(folder, fn);
+      if (!rec || rec.expires < now) {
+        await io.fileDelete(folder, fn);
+      }
+    }
+
+    let token = crypto.randomBytes(32).toString('base64url');
+    let hash = crypto.createHash('sha256').update(token).digest('hex');
+    let rec = { uid: who, created: now, expires: now + this.resetlife * 1000 };
+    await io.filePut(folder, hash + '.json', JSON.stringify(rec, null, 2));
+    return { token, expires: rec.expires };
+  }
+
+  // Uses up a password reset token. Returns the user UID it was issued for, or null if unknown, expired or
+  // already used. The token file is claimed by renaming it before it is read, so only one of two requests
+  // with the same token can succeed.
+  async userResetRedeem(token) {
+    if (!token) return null;
+    let folder = path.join(this.data, 'resets');
+    let hash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    let claimed = hash + '.used';
+    try {
+      await io.pathMove(path.join(folder, hash + '.json'), path.join(folder, claimed));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    let rec = await io.jsonGet(folder, claimed);
+    await io.fileDelete(folder, claimed);
+    return (rec && rec.expires >= Date.now()) ? rec.uid : null;
+  }
+
+  // Creates an invitation code for the 'invite' registration mode, good for the given number of signups.
+  // Like reset tokens, only a hash of the code is kept, under data/invites. The first 12 characters of the hash
+  // are the invite id, for listing and deleting. Returns { code, invite }.
+  async inviteCreate(by, uses, role, expires) {
+    let code = crypto.randomBytes(12).toString('base64url');
+    let hash = crypto.createHash('sha256').update(code).digest('hex');
+    let invite = {
+      id: hash.slice(0, 12),
+      created: Date.now(),
+      createdBy: by,
+      uses: uses || 1,
+      role: role || null,
+      expires: expires || null
+    };
+    await io.filePut(path.join(this.data, 'invites'), hash + '.json', JSON.stringify(invite, null, 2));
+    return { code, invite };
+  }
+
+  async inviteList() {
+    let folder = path.join(this.data, 'invites');
+    let result = [ ];
+    for (let fn of await io.folderGet(folder)) {
+      if (path.extname(fn) !== '.json') continue;  // claimed by a signup just now, see inviteClaim
+      let invite = await io.jsonGet(folder, fn);
+      if (invite) result.push(invite);
+    }
+    return result.sort((a, b) => a.created - b.created);
+  }
+
+  async inviteDelete(id) {
+    let folder = path.join(this.data, 'invites');
+    let fn = (await io.folderGet(folder)).find(name => name.startsWith(id));
+    if (!(id && fn)) return false;
+    await io.fileDelete(folder, fn);
+    return true;
+  }
+
+  // Takes the invite file of a code hash out of use by moving it to a claimed name, as with reset tokens, so that
+  // only one signup at a time can change it. Returns the invite, or null if there is no such invite.
+  async inviteClaim(hash) {
+    let folder = path.join(this.data, 'invites');
+    let claimed = hash + '.claimed';
+    try {
+      await io.pathMove(path.join(folder, hash + '.json'), path.join(folder, claimed));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    let invite = await io.jsonGet(folder, claimed);
+    await io.fileDelete(folder, claimed);
+    return invite;
+  }
+
+  // Uses up one signup of an invitation code. Returns the invite, or null if unknown, used up or expired.
+  // Give the signup back with inviteReturn if the account is not created after all.
+  async inviteRedeem(code) {
+    if (!code) return null;
+    let hash = crypto.createHash('sha256').update(String(code)).digest('hex');
+    return await this.docSerialize(path.join('invites', hash), async () => {
+      let invite = await this.inviteClaim(hash);
+      if (!invite || (invite.expires && invite.expires < Date.now())) {
+        return null;
+      }
+      invite.uses--;
+      if (invite.uses > 0) {
+        await io.filePut(path.join(this.data, 'invites'), hash + '.json', JSON.stringify(invite, null, 2));
+      }
+      return invite;
+    });
+  }
+
+  // Gives back the signup of a redeemed invite (as returned by inviteRedeem), when the account was not created.
+  async inviteReturn(code, invite) {
+    if (!code || !invite) return;
+    let hash = crypto.createHash('sha256').update(String(code)).digest('hex');
+    await this.docSerialize(path.join('invites', hash), async () => {
+      let current = await this.inviteClaim(hash);
+      let uses = (current ? current.uses : 0) + 1;
+      let returned = Object.assign({ }, current || invite, { uses });
+      await io.filePut(path.join(this.data, 'invites'), hash + '.json', JSON.stringify(returned, null, 2));
+    });
+  }
+
+  // Returns the user records (meta.json user fields) of all users, in no particular order.
+  async userList() {
+    let result = [ ];
+    for (let who of await io.folderGet(path.join(this.data, 'users'))) {
+      let meta = await this.userByUID(who);
+      if (meta) result.push(meta.user);
+    }
+    return result;
+  }
+
+  // Deletes a user account, moving the user folder into the trash of deleted users, from which an admin can
+  // restore it (see userRestore) until it is purged. The user leaves teams that have other members, but the teams
+  // they are the only member of stay with the account until it is purged (see userPurge). Returns the trash
+  // record, or null for an unknown user.
+  async userDelete(uid, by) {
+    let meta = await this.userByUID(uid);
+    if (!meta) return null;
+    let user = meta.user;
+    await this.userUnlink(user.login);
 
-    // now, delete the user at the top-level
-    let result3 = await io.folderDelete(this.userFolder(user.uid));
-    return result1 && result2 && result3;
+    await this.sessions.endAll(user.uid);
+    await this.keys.revokeAll(user.uid);
+    await this.search.drop(user.uid);
+    await this.grants.removeAll({ owner: user.uid });
+    await this.grants.removeAll({ grantee: user.uid });
+    for (let { team, invitation } of this.teams.invitationsFor(user.uid)) {
+      await this.teams.uninvite(team, invitation.id);
+    }
+    for (let team of this.teams.list(user.uid)) {
+      if (Object.keys(team.members).length > 1) {
+        await this.teams.removeMember(team, user.uid);
+      }
+    }
+
+    let result = await this.trashBin.put(this.usersTrash, path.join(this.data, 'users'), [ user.uid ], by, { uid: user.uid, login: user.login });
+    this.suspended.delete(user.uid);
+    return result;
+  }
+
+  // Restores a deleted user account from the trash, with its data and the teams only they were a member of, but
+  // without its sessions, API keys, sharing grants and other team memberships. Returns the user meta, or null if it is not in the trash. Throws an error with
+  // code 'EEXIST' if the login ID has been taken since.
+  async userRestore(uid) {
+    let rec = (await this.trashBin.list(this.usersTrash)).find(item => item.uid === uid);
+    if (!rec) return null;
+    if (await this.loginExists(rec.login)) {
+      let err = new Error(`The login ID '${rec.login}' has been taken by another user.`);
+      err.code = 'EEXIST';
+      throw err;
+    }
+    await this.trashBin.restore(this.usersTrash, rec, path.join(this.data, 'users'));
+    await this.userLink(rec.login, uid);
+    await this.userSearchRebuild(uid);
+    let meta = await this.userByUID(uid);
+    if (meta.user.status === 'suspended') {
+      this.suspended.add(uid);
+    }
+    return meta;
+  }
+
+  // Deletes an account in the trash of deleted users for good, with the teams that have no other members.
+  // Returns false if it is not there.
+  async userPurge(uid) {
+    let rec = (await this.trashBin.list(this.usersTrash)).find(item => item.uid === uid);
+    if (!rec) return false;
+    for (let team of this.teams.list(uid)) {
+      if (!await this.teams.removeMember(team, uid)) {
+        await this.teamDelete(team.id);
+      }
+    }
+    await this.assetsRelease(uid, path.join(this.usersTrash, rec.id, uid));
+    await this.trashBin.remove(this.usersTrash, rec.id);
+    return true;
+  }
+
+  // The deleted documents and assets of a user or team, most recently deleted first, with their content
+  // (asset metadata for assets) and when they will be purged.
+  async userTrashList(who) {
+    let trash = this.userFolder(who, 'trash');
+    let result = [ ];
+    for (let rec of await this.trashBin.list(trash)) {
+      let doc = await io.jsonGet(path.join(trash, rec.id), rec.files[0]);
+      result.push(Object.assign({ expires: this.trashExpires(rec), doc }, rec));
+    }
+    return result;
+  }
+
+  trashExpires(rec) {
+    let days = this.trashBin.options.retention;
+    return (days > 0) ? rec.deleted + days * 24 * 60 * 60 * 1000 : null;
+  }
+
+  async userTrashGet(who, id) {
+    return await this.trashBin.get(this.userFolder(who, 'trash'), id);
+  }
+
+  // Puts a deleted document (or asset) back where it was. Returns the document, or null if it is not in the trash.
+  // Throws an error with code 'EEXIST' if there is a document with the same ID now.
+  async userTrashRestore(who, id, author) {
+    let trash = this.userFolder(who, 'trash');
+    let rec = await this.trashBin.get(trash, id);
+    if (!rec) return null;
+    return await this.userDocLocked(who, rec.collection, rec.uid, async () => {
+      await this.trashBin.restore(trash, rec, this.userFolder(who, rec.collection));
+      let doc = await this.userDocGet(who, rec.collection, rec.uid);
+      await this.docHistoryAdd(who, rec.collection, rec.uid, 'restore', doc, author || who);
+      await this.searchUpdate(who, rec.collection, rec.uid, doc);
+      return doc;
+    });
+  }
+
+  // Deletes an item in the trash for good, with the revision history of the document unless it has been recreated.
+  async userTrashRemove(who, rec) {
+    let trash = this.userFolder(who, 'trash');
+    await this.trashedAssetRelease(who, trash, rec);
+    await this.trashBin.remove(trash, rec.id);
+    if (this.docHistoryKept(rec.collection) && !await this.userDocGet(who, rec.collection, rec.uid)) {
+      let revFolder = this.userRevisionFolder(who, rec.collection, rec.uid);
+      if (await io.folderExists(revFolder)) {
+        await io.folderDelete(revFolder);
+      }
+    }
+  }
+
+  // Purges the items that have been in the trash for longer than the retention period, for every user and team,
+  // and the deleted user accounts. Runs every 'interval' minutes of the trash setting. Returns the number purged.
+  async trashPurge() {
+    let spaces = (await io.folderGet(path.join(this.data, 'users'))).concat(this.teams.all().map(team => team.id));
+    let now = Date.now();
+    let purged = 0;
+    for (let who of spaces) {
+      for (let rec of await this.trashBin.list(this.userFolder(who, 'trash'))) {
+        if (this.trashBin.expired(rec, now)) {
+          await this.userTrashRemove(who, rec);
+          purged++;
+        }
+      }
+    }
+    for (let rec of await this.trashBin.list(this.usersTrash)) {
+      if (this.trashBin.expired(rec, now)) {
+        await this.userPurge(rec.uid);
+        purged++;
+      }
+    }
+    if (purged) {
+      log.info(`Trash purge: ${purged} expired item(s) deleted.`);
+    }
+    return purged;
+  }
+
+  // Deletes the resumable uploads that were abandoned before they were finished.
+  async uploadsPurge() {
+    let purged = await this.resumable.purge();
+    if (purged.length) {
+      log.info(`Upload purge: ${purged.length} expired upload(s) deleted.`);
+    }
+    return purged.length;
+  }
+
+  // Stores the data of a new asset, a file of a folder, as a blob (see blobs.js), moving it out of the folder.
+  // Returns the blob record, whose sha256 goes in the asset metadata.
+  async assetStore(who, id, folder, fn) {
+    let hash = await io.fileHash(folder, fn, 'sha256');
+    return await this.blobs.put(path.join(folder, fn), hash, blobRef(who, id));
+  }
+
+  // True if an asset of the space uses the blob of the hash, so that an asset can be made from the hash alone.
+  // Blobs of other spaces do not count: otherwise anyone who knew (or guessed) the hash of a file could read it.
+  async assetHashKnown(who, hash) {
+    let rec = await this.blobs.get(hash);
+    return !!rec && Blobs.usedBy(rec, who);
+  }
+
+  // Makes a new asset use a blob that is already stored and used in the space. Returns the blob record, or null
+  // if there is no such blob (see assetHashKnown).
+  async assetStoreExisting(who, id, hash) {
+    return await this.blobs.addRef(hash, blobRef(who, id), who);
+  }
+
+  // True if the asset is one of the references of the blob of the hash. Metadata naming a blob that it does
+  // not reference gives no access to the data.
+  async assetBlobOwned(who, id, hash) {
+    let rec = await this.blobs.get(hash);
+    return !!rec && rec.refs.includes(blobRef(who, id));
+  }
+
+  // Releases the blob of an asset that is gone.
+  async assetRelease(who, id, hash) {
+    return await this.blobs.release(hash, blobRef(who, id));
+  }
+
+  // Releases the blobs of the assets of a user or team folder, including those in its trash, before the
+  // folder is deleted.
+  async assetsRelease(who, folder) {
+    let assets = path.join(folder, 'assets');
+    if (await io.folderExists(assets)) {
+      for (let fn of await io.folderGet(assets)) {
+        if (path.extname(fn) !== '.json') continue;
+        let meta = await io.jsonGet(assets, fn);
+        if (meta && meta.sha256) {
+          await this.assetRelease(who, docId(fn), meta.sha256);
+        }
+      }
+    }
+    let trash = path.join(folder, 'trash');
+    for (let rec of await this.trashBin.list(trash)) {
+      await this.trashedAssetRelease(who, trash, rec);
+    }
+  }
+
+  // Releases the blob of a deleted asset before it is removed from the trash. Other items are left alone.
+  async trashedAssetRelease(who, trash, rec) {
+    if (rec.collection !== 'assets') return;
+    let meta = await io.jsonGet(path.join(trash, rec.id), rec.files[0]);
+    if (meta && meta.sha256) {
+      await this.assetRelease(who, rec.uid, meta.sha256);
+    }
+  }
+
+  // Deletes a team with its documents, assets, history and search index.
+  async teamDelete(id) {
+    let team = this.teams.get(id);
+    if (!team) return false;
+    await this.search.drop(id);
+    await this.grants.removeAll({ owner: id });
+    await this.assetsRelease(id, this.teams.folderOf(id));
+    let result = await io.folderDelete(this.teams.folderOf(id));
+    this.teams.forget(id);
+    return result;
   }
 
   userGetClient(uid, payload) {
@@ -0,0 +1,144 @@
+const path = require('path');
+const uuid = require('uuid-random');
+
+const io = require('./io');
+const log = require('./log');
+
+// Teams (organizations): shared spaces with their own document collections and assets, like a user's.
+// Each team has a folder data/teams/<id>, holding its collections and assets and the team record in team.json:
+// { id, name, created, members: { uid: { role, joined } }, invitations: [ { id, uid, role, by, created } ] }
+// Owners can do everything, admins manage members and invitations, and members use the team's documents and assets.
+const TEAM_FILE = 'team.json';
+const ROLES = [ 'member', 'admin', 'owner' ];  // in increasing order of rank
+
+function rank(role) {
+  return ROLES.indexOf(role);
+}
+
+class Teams {
+  constructor(folder) {
+    this.folder = folder;
+    this.teams = new Map();  // id -> team
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+    for (let id of await io.folderGet(this.folder)) {
+      let team = await io.jsonGet(path.join(this.folder, id), TEAM_FILE);
+      if (team) {
+        this.teams.set(team.id, team);
+      } else {
+        log.warn(`Ignoring team folder without a readable ${TEAM_FILE}: ${id}`);
+      }
+    }
+    log.info(`Teams: ${this.teams.size} loaded.`);
+  }
+
+  get(id) {
+    return this.teams.get(id) || null;
+  }
+
+  folderOf(id) {
+    return path.join(this.folder, id);
+  }
+
+  async save(team) {
+    await io.folderCreate(this.folderOf(team.id));
+    await io.filePut(this.folderOf(team.id), TEAM_FILE, JSON.stringify(team, null, 2));
+    this.teams.set(team.id, team);
+    return team;
+  }
+
+  // The role of a user in a team, or null if they are not a member.
+  role(id, uid) {
+    let team = this.get(id);
+    let member = team && Object.prototype.hasOwnProperty.call(team.members, uid) ? team.members[uid] : null;
+    return member ? member.role : null;
+  }
+
+  all() {
+    return [...this.teams.values()];
+  }
+
+  // The teams a user is a member of.
+  list(uid) {
+    return this.all().filter(team => this.role(team.id, uid)).sort((a, b) => a.created - b.created);
+  }
+
+  async create(name, owner) {
+    let now = Date.now();
+    let team = { id: uuid(), name, created: now, members: { [owner]: { role: 'owner', joined: now } }, invitations: [ ] };
+    return await this.save(team);
+  }
+
+  async rename(team, name) {
+    team.name = name;
+    return await this.save(team);
+  }
+
+  async setRole(team, uid, role) {
+    team.members[uid] = { role, joined: team.members[uid] ? team.members[uid].joined : Date.now() };
+    return await this.save(team);
+  }
+
+  // Removes a member. If that was the last owner, the longest-standing admin (or else member) becomes the owner.
+  // Returns false if the team has no members left, in which case the caller should delete it.
+  async removeMember(team, uid) {
+    delete team.members[uid];
+    let remaining = Object.entries(team.members);
+    if (!remaining.length) {
+      return false;
+    }
+    if (!remaining.some(([, member]) => member.role === 'owner')) {
+      let [successor] = remaining.sort((a, b) => (rank(b[1].role) - rank(a[1].role)) || (a[1].joined - b[1].joined))[0];
+      team.members[successor].role = 'owner';
+      log.info(`Team '${team.name}' (${team.id}) has a new owner: ${successor}`);
+    }
+    await this.save(team);
+    return true;
+  }
+
+  // Invites a user, replacing any earlier invitation of theirs to the team.
+  async invite(team, uid, role, by) {
+    let invitation = { id: uuid(), uid, role, by, created: Date.now() };
+    team.invitations = team.invitations.filter(inv => inv.uid !== uid).concat([ invitation ]);
+    await this.save(team);
+    return invitation;
+  }
+
+  // Removes an invitation, returning it, or null if there is no such invitation.
+  async uninvite(team, invitationId) {
+    let invitation = team.invitations.find(inv => inv.id === invitationId);
+    if (!invitation) return null;
+    team.invitations = team.invitations.filter(inv => inv !== invitation);
+    await this.save(team);
+    return invitation;
+  }
+
+  // The pending invitations of a user, as [ { team, invitation } ].
+  invitationsFor(uid) {
+    let result = [ ];
+    for (let team of this.teams.values()) {
+      for (let invitation of team.invitations) {
+        if (invitation.uid === uid) result.push({ team, invitation });
+      }
+    }
+    return result;
+  }
+
+  // Makes the invited user a member, with the role of the invitation.
+  async accept(team, invitation) {
+    team.invitations = team.invitations.filter(inv => inv.id !== invitation.id);
+    return await this.setRole(team, invitation.uid, invitation.role);
+  }
+
+  // Forgets a team whose folder has been deleted.
+  forget(id) {
+    this.teams.delete(id);
+  }
+}
+
+Teams.ROLES = ROLES;
+Teams.rank = rank;
+
+module.exports = Teams;
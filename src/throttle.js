@@ -0,0 +1,114 @@
+const io = require('./io');
+const log = require('./log');
+
+// Default throttling policy, overridden by the 'throttle' setting in sossdata.cfg. Times are in seconds.
+const DEFAULTS = {
+  free: 3,        // failures allowed before any delay
+  delay: 1,       // the first delay, doubled with each further failure
+  maxdelay: 300,  // the longest delay
+  window: 900,    // failures older than this are forgotten
+  lockafter: 10,  // failures for a login before the account is locked
+  locktime: 900   // how long an account stays locked, unless an admin unlocks it
+};
+
+// Tracks failed attempts per key (e.g. 'ip:1.2.3.4' or 'login:jsmith') with exponential backoff,
+// and temporarily locks accounts (by user UID) after too many failures. Failures are kept in memory,
+// lockouts are also saved to a file so that restarting the server does not unlock them.
+class Throttle {
+  constructor(options, folder, fn) {
+    this.options = Object.assign({ }, DEFAULTS, options || { });
+    this.folder = folder || null;
+    this.fn = fn || null;
+    this.attempts = new Map();  // key -> { failures, last, until }
+    this.locks = { };           // uid -> time (ms) the lock ends
+  }
+
+  async init() {
+    if (this.folder && await io.fileExists(this.folder, this.fn)) {
+      this.locks = JSON.parse(await io.fileGet(this.folder, this.fn));
+    }
+  }
+
+  async saveLocks() {
+    let now = Date.now();
+    for (let uid in this.locks) {
+      if (this.locks[uid] < now) {
+        delete this.locks[uid];
+      }
+    }
+    if (this.folder) {
+      await io.filePut(this.folder, this.fn, JSON.stringify(this.locks, null, 2));
+    }
+  }
+
+  entry(key) {
+    let rec = this.attempts.get(key);
+    if (rec && (Date.now() - rec.last > this.options.window * 1000)) {
+      this.attempts.delete(key);
+      rec = null;
+    }
+    return rec;
+  }
+
+  // Seconds until the key may try again, or 0 if it may try now.
+  retryAfter(key) {
+    let rec = this.entry(key);
+    if (!rec || rec.until <= Date.now()) return 0;
+    return Math.ceil((rec.until - Date.now()) / 1000);
+  }
+
+  // Records a failed attempt. Returns the number of failures within the window.
+  fail(key) {
+    let now = Date.now();
+    let rec = this.entry(key) || { failures: 0, last: now, until: 0 };
+    rec.failures++;
+    rec.last = now;
+    let over = rec.failures - this.options.free;
+    if (over > 0) {
+      let delay = Math.min(this.options.delay * Math.pow(2, over - 1), this.options.maxdelay);
+      rec.until = now + delay * 1000;
+    }
+    this.attempts.set(key, rec);
+    if (this.attempts.size > 10000) {
+      this.prune();
+    }
+    return rec.failures;
+  }
+
+  succeed(key) {
+    this.attempts.delete(key);
+  }
+
+  prune() {
+    for (let key of [...this.attempts.keys()]) {
+      this.entry(key);
+    }
+  }
+
+  // Seconds until the account is unlocked, or 0 if it is not locked.
+  lockedFor(uid) {
+    let until = this.locks[uid];
+    if (!until || until <= Date.now()) return 0;
+    return Math.ceil((until - Date.now()) / 1000);
+  }
+
+  async lock(uid, login) {
+    this.locks[uid] = Date.now() + this.options.locktime * 1000;
+    await this.saveLocks();
+    log.warn(`Account '${login}' (${uid}) locked for ${this.options.locktime} seconds after repeated login failures.`);
+  }
+
+  // Returns false if the account was not locked.
+  async unlock(uid, login) {
+    let wasLocked = this.lockedFor(uid) > 0;
+    delete this.locks[uid];
+    this.attempts.delete('login:' + login);
+    await this.saveLocks();
+    if (wasLocked) {
+      log.warn(`Account '${login}' (${uid}) unlocked.`);
+    }
+    return wasLocked;
+  }
+}
+
+module.exports = Throttle;
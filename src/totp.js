@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (TOTP), with HMAC-SHA1, as used by authenticator apps.
+const STEP = 30;    // seconds per code
+const DIGITS = 6;
+const WINDOW = 1;   // codes accepted either side of the current one, for clock drift
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let result = '';
+  for (let byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      result += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    result += BASE32[(value << (5 - bits)) & 31];
+  }
+  return result;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  let bytes = [ ];
+  for (let ch of text.toUpperCase().replace(/[\s=-]/g, '')) {
+    let index = BASE32.indexOf(ch);
+    if (index < 0) throw new Error(`Invalid base32 character '${ch}'`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// A new random secret, base32 encoded as authenticator apps expect.
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for a counter.
+function hotp(key, counter, digits) {
+  let msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  let hmac = crypto.createHmac('sha1', key).update(msg).digest();
+  let offset = hmac[hmac.length - 1] & 15;
+  let code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+  return String(code).padStart(digits, '0');
+}
+
+function counterAt(time) {
+  return Math.floor(time / 1000 / STEP);
+}
+
+// The code for a base32 secret at a time (ms), now by default.
+function generate(secret, time, digits) {
+  return hotp(base32Decode(secret), counterAt(time === undefined ? Date.now() : time), digits || DIGITS);
+}
+
+// Checks a code against the codes within the window around the time (ms), now by default.
+// Returns the matching time step counter, or null. Pass the counter of the last code used as
+// 'after' to refuse replays of that code, or any earlier one.
+function verify(secret, code, options) {
+  let opts = Object.assign({ time: Date.now(), window: WINDOW, after: -1, digits: DIGITS }, options || { });
+  code = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== opts.digits) return null;
+
+  let key = base32Decode(secret);
+  let now = counterAt(opts.time);
+  for (let counter = now - opts.window; counter <= now + opts.window; counter++) {
+    if (counter <= opts.after) continue;
+    let expected = hotp(key, counter, opts.digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+// The otpauth:// URI for enrolling the secret in an authenticator app, usually shown as a QR code.
+function keyUri(secret, account, issuer) {
+  let label = encodeURIComponent(issuer) + ':' + encodeURIComponent(account);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP}`;
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, generate, verify, keyUri };
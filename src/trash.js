@@ -0,0 +1,166 @@
+const log = require('./log');
+const auth = require('./auth');
+const spaces = require('./spaces');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+// Trash item IDs and user uids are UUIDs.
+const TRASH_ID = /^[A-Za-z0-9-]{1,64}$/;
+
+function handleError(err, ctx) {
+  if (err.code === 'EEXIST') {
+    ctx.status = 409;
+    ctx.body = err.message;
+    return;
+  }
+  if (err.code === 'ENOENT') {
+    ctx.status = 404;
+    ctx.body = 'Not found.';
+    return;
+  }
+  log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+  ctx.status = 500;
+  ctx.body = err.message;
+}
+
+// The trash of deleted documents and assets (see trashbin.js), for a user or, under /teams/:team, a team,
+// and the trash of deleted user accounts, for admins.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+
+  // Deleted assets are only for users who may use assets.
+  function allowed(user, rec, action) {
+    return (rec.collection !== 'assets') || auth.can(user, 'assets:' + action);
+  }
+
+  // The trash item of the route and the space it is in, or null after replying 404 (or 403).
+  async function itemOf(ctx, action) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return null;
+    let rec = TRASH_ID.test(ctx.params.id) ? await store.userTrashGet(who, ctx.params.id) : null;
+    if (!rec) {
+      ctx.status = 404;
+      ctx.body = 'Not in the trash.';
+      return null;
+    }
+    if (!allowed(ctx.state.user, rec, action)) {
+      ctx.status = 403;
+      ctx.body = 'Forbidden: user is not authorized.';
+      return null;
+    }
+    return { who, rec };
+  }
+
+  async function listTrash(ctx) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    try {
+      let items = (await store.userTrashList(who)).filter(rec => allowed(ctx.state.user, rec, 'read'));
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(items);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Puts a deleted item back. Returns 409 if another one with the same ID has been created since.
+  async function restoreItem(ctx) {
+    try {
+      let found = await itemOf(ctx, 'write');
+      if (!found) return;
+      let doc = await store.userTrashRestore(found.who, found.rec.id, ctx.state.user.uid);
+      log.info(`Restored from the trash: ${found.rec.collection}/${found.rec.uid}`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ collection: found.rec.collection, uid: found.rec.uid, doc });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Deletes an item in the trash for good.
+  async function removeItem(ctx) {
+    try {
+      let found = await itemOf(ctx, 'write');
+      if (!found) return;
+      await store.userTrashRemove(found.who, found.rec);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ message: 'The item has been deleted for good.', result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  async function emptyTrash(ctx) {
+    let user = ctx.state.user;
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    try {
+      let removed = 0;
+      for (let rec of await store.userTrashList(who)) {
+        if (allowed(user, rec, 'write')) {
+          await store.userTrashRemove(who, rec);
+          removed++;
+        }
+      }
+      log.info(`User '${user.login}' emptied the trash of ${who}: ${removed} item(s).`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ removed });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  for (let space of [ '', '/teams/:team' ]) {
+    router.get(prefix + space + '/trash', auth.permit('docs:read'), listTrash);
+    router.delete(prefix + space + '/trash', auth.permit('docs:write'), emptyTrash);
+    router.post(prefix + space + '/trash/:id/restore', auth.permit('docs:write'), restoreItem);
+    router.delete(prefix + space + '/trash/:id', auth.permit('docs:write'), removeItem);
+  }
+
+  // Deleted user accounts, for admins.
+  router.get(prefix + '/trash/users', auth.permit('users:write'), async (ctx) => {
+    try {
+      let response = (await store.trashBin.list(store.usersTrash)).map(rec => ({
+        uid: rec.uid, login: rec.login, deleted: rec.deleted, by: rec.by, expires: store.trashExpires(rec)
+      }));
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(response);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  // Restores a deleted account. Returns 409 if its login ID has been taken since.
+  router.post(prefix + '/trash/users/:uid/restore', auth.permit('users:write'), async (ctx) => {
+    try {
+      let meta = TRASH_ID.test(ctx.params.uid) ? await store.userRestore(ctx.params.uid) : null;
+      if (!meta) {
+        ctx.status = 404;
+        ctx.body = 'User not in the trash.';
+        return;
+      }
+      log.info(`User '${meta.user.login}' restored by '${ctx.state.user.login}'.`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify(meta.user);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+
+  router.delete(prefix + '/trash/users/:uid', auth.permit('users:write'), async (ctx) => {
+    try {
+      if (!TRASH_ID.test(ctx.params.uid) || !await store.userPurge(ctx.params.uid)) {
+        ctx.status = 404;
+        ctx.body = 'User not in the trash.';
+        return;
+      }
+      log.info(`Deleted user ${ctx.params.uid} purged by '${ctx.state.user.login}'.`);
+      ctx.type = JSON_TYPE;
+      ctx.body = JSON.stringify({ message: 'The user has been deleted for good.', result: 'OK' });
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  });
+}
+
+module.exports = { initRoutes };
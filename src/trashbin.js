@@ -0,0 +1,94 @@
+const path = require('path');
+const uuid = require('uuid-random');
+
+const io = require('./io');
+
+// Default trash policy, overridden by the 'trash' setting in sossdata.cfg.
+const DEFAULTS = {
+  retention: 30,  // days that deleted items are kept before they are purged, or 0 to keep them until removed
+  interval: 60    // minutes between purges of expired items
+};
+
+// Deleted items are moved into a trash folder instead of being removed. Each item is a folder <id> holding
+// the files that were deleted together (e.g. an asset and its metadata), and a record <id>.json of
+// { id, deleted, by, files, ...details }, where by is the uid of the user who deleted it and details say
+// where the files came from. The same policy applies to the trash of every user and team, and of deleted users.
+class TrashBin {
+  constructor(options) {
+    this.options = Object.assign({ }, DEFAULTS, options || { });
+  }
+
+  // Moves the named files (or folders) of a folder into the trash. Returns the record.
+  async put(trash, folder, files, by, details) {
+    let rec = Object.assign({ id: uuid(), deleted: Date.now(), by: by || null, files }, details);
+    let itemFolder = path.join(trash, rec.id);
+    await io.folderCreate(itemFolder);
+    await io.filePut(trash, rec.id + '.json', JSON.stringify(rec, null, 2));
+    for (let fn of files) {
+      await io.pathMove(path.join(folder, fn), path.join(itemFolder, fn));
+    }
+    return rec;
+  }
+
+  async get(trash, id) {
+    return await io.jsonGet(trash, id + '.json');
+  }
+
+  // The items in a trash folder, most recently deleted first.
+  async list(trash) {
+    if (!await io.folderExists(trash)) return [ ];
+    let result = [ ];
+    for (let fn of await io.folderGet(trash)) {
+      if (path.extname(fn) !== '.json') continue;
+      let rec = await io.jsonGet(trash, fn);
+      if (rec) result.push(rec);
+    }
+    return result.sort((a, b) => b.deleted - a.deleted);
+  }
+
+  // Moves the files of an item back into a folder. Throws an error with code 'EEXIST' if any of them
+  // would replace an existing file, in which case nothing is moved.
+  async restore(trash, rec, folder) {
+    for (let fn of rec.files) {
+      if (await io.pathStat(folder, fn)) {
+        let err = new Error(`Cannot restore over an existing item: ${fn}`);
+        err.code = 'EEXIST';
+        throw err;
+      }
+    }
+    await io.folderCreate(folder);
+    for (let fn of rec.files) {
+      await io.pathMove(path.join(trash, rec.id, fn), path.join(folder, fn));
+    }
+    await this.remove(trash, rec.id);
+  }
+
+  // Deletes an item for good.
+  async remove(trash, id) {
+    if (await io.folderExists(trash, id)) {
+      await io.folderDelete(path.join(trash, id));
+    }
+    if (await io.fileExists(trash, id + '.json')) {
+      await io.fileDelete(trash, id + '.json');
+    }
+  }
+
+  expired(rec, now) {
+    return this.options.retention > 0 && rec.deleted + this.options.retention * 24 * 60 * 60 * 1000 < now;
+  }
+
+  // Deletes the items that have been in the trash for longer than the retention period. Returns the records.
+  async purge(trash) {
+    let now = Date.now();
+    let purged = [ ];
+    for (let rec of await this.list(trash)) {
+      if (this.expired(rec, now)) {
+        await this.remove(trash, rec.id);
+        purged.push(rec);
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = TrashBin;
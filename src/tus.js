@@ -0,0 +1,280 @@
+const path = require('path');
+
+const log = require('./log');
+const auth = require('./auth');
+const spaces = require('./spaces');
+const Uploads = require('./uploads');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,expiration,checksum,termination';
+const CHUNK_TYPE = 'application/offset+octet-stream';
+
+// Upload IDs are UUIDs.
+const UPLOAD_ID = /^[A-Za-z0-9-]{1,64}$/;
+
+// Upload-Metadata is a list of 'key base64value' pairs, separated by commas. Returns the decoded values by key,
+// or null if the header is malformed.
+function parseMetadata(header) {
+  let metadata = { };
+  if (!header) return metadata;
+  for (let pair of header.split(',')) {
+    let [ key, value, extra ] = pair.trim().split(' ');
+    if (!key || extra !== undefined || (value && !/^[A-Za-z0-9+/]*={0,2}$/.test(value))) return null;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+function formatMetadata(metadata) {
+  return Object.entries(metadata).map(([ key, value ]) => value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key).join(',');
+}
+
+// A non-negative integer header, or NaN.
+function headerNumber(ctx, name) {
+  let value = ctx.get(name);
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+// Every tus request except OPTIONS must name the protocol version, and every response names it too.
+async function tusResumable(ctx, next) {
+  ctx.set('Tus-Resumable', TUS_VERSION);
+  if (ctx.get('Tus-Resumable') !== TUS_VERSION) {
+    ctx.status = 412;
+    ctx.set('Tus-Version', TUS_VERSION);
+    ctx.body = `Unsupported tus version. Send Tus-Resumable: ${TUS_VERSION}.`;
+    return;
+  }
+  await next();
+}
+
+// Resumable uploads of assets with the tus 1.0 protocol (https://tus.io/protocols/resumable-upload), for files
+// larger than POST /assets accepts or connections that may break off. A finished upload becomes an asset with
+// the ID of the upload, and the same metadata as one from POST /assets. See uploads.js.
+function initRoutes(router, store) {
+  let prefix = (store.api === '/') ? '' : store.api;  // store '/' as an empty string for concatenation
+  let uploads = store.resumable;
+
+  function handleError(err, ctx) {
+    log.error(`${ctx.method} ${ctx.path}: ${err.message}`);
+    ctx.status = 500;
+    ctx.body = err.message;
+  }
+
+  // The upload of the route, if the user started it, or null after replying 404, or 410 if it has expired
+  // (and not been purged yet, which then happens at once).
+  async function uploadOf(ctx) {
+    let rec = UPLOAD_ID.test(ctx.params.id) ? await uploads.get(ctx.params.id) : null;
+    if (!rec || rec.uid !== ctx.state.user.uid) {
+      ctx.status = 404;
+      ctx.body = 'Upload not found.';
+      return null;
+    }
+    if (rec.expires < Date.now()) {
+      if (!uploads.busy.has(rec.id)) {
+        await uploads.remove(rec.id);
+      }
+      ctx.status = 410;
+      ctx.body = 'The upload has expired.';
+      return null;
+    }
+    return rec;
+  }
+
+  function setExpires(ctx, rec) {
+    ctx.set('Upload-Expires', new Date(rec.expires).toUTCString());
+  }
+
+  // Turns a finished upload into an asset, in the space it was started in.
+  async function finish(rec) {
+    let originalname = rec.metadata.filename || rec.metadata.name || rec.id;
+    let ext = path.extname(originalname);
+    if (ext.toLowerCase() === '.json') {
+      ext = '';  // <id>.json is the metadata file, never the data
+    }
+    let blob = await store.assetStore(rec.space, rec.id, uploads.folder, rec.id + '.part');
+    await uploads.remove(rec.id);
+    let meta = {
+      id: rec.id,
+      filename: rec.id + ext,
+      originalname,
+      size: rec.length,
+      mimetype: rec.metadata.filetype || rec.metadata.type || 'application/octet-stream',
+      uploaded: Date.now(),
+      sha256: blob.sha256
+    };
+    await store.userDocCreate(rec.space, 'assets', rec.id + '.json', meta, rec.uid);
+    log.info(`Uploaded file: ${originalname} (${rec.length}) -> asset ${rec.id} of ${rec.space}`);
+    return meta;
+  }
+
+  // The server's tus version, extensions and limits. Clients may ask before they authenticate.
+  async function describeServer(ctx) {
+    ctx.status = 204;
+    ctx.set('Tus-Resumable', TUS_VERSION);
+    ctx.set('Tus-Version', TUS_VERSION);
+    ctx.set('Tus-Extension', TUS_EXTENSIONS);
+    ctx.set('Tus-Max-Size', String(uploads.maxSize));
+    ctx.set('Tus-Checksum-Algorithm', Uploads.CHECKSUMS.join(','));
+  }
+
+  // Starts an upload of Upload-Length bytes, with the file name and type in Upload-Metadata (filename, filetype).
+  // Replies 201 with the URL of the upload in Location.
+  async function createUpload(ctx) {
+    let who = spaces.spaceFor(store, ctx);
+    if (!who) return;
+    let length = headerNumber(ctx, 'Upload-Length');
+    if (isNaN(length)) {
+      ctx.status = 400;
+      ctx.body = 'Upload-Length is required.';
+      return;
+    }
+    if (length > uploads.maxSize) {
+      ctx.status = 413;
+      ctx.body = `Uploads are limited to ${uploads.maxSize} bytes.`;
+      return;
+    }
+    let metadata = parseMetadata(ctx.get('Upload-Metadata'));
+    if (!metadata) {
+      ctx.status = 400;
+      ctx.body = 'Invalid Upload-Metadata.';
+      return;
+    }
+    try {
+      let rec = await uploads.create(ctx.state.user.uid, who, length, metadata);
+      if (length === 0) {
+        await finish(rec);
+      } else {
+        setExpires(ctx, rec);
+      }
+      ctx.status = 201;
+      ctx.set('Location', ctx.path + '/' + rec.id);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // The progress of an upload, in Upload-Offset.
+  async function uploadStatus(ctx) {
+    try {
+      let rec = await uploadOf(ctx);
+      if (!rec) return;
+      ctx.status = 200;
+      ctx.set('Cache-Control', 'no-store');
+      ctx.set('Upload-Offset', String(rec.offset));
+      ctx.set('Upload-Length', String(rec.length));
+      if (Object.keys(rec.metadata).length) {
+        ctx.set('Upload-Metadata', formatMetadata(rec.metadata));
+      }
+      setExpires(ctx, rec);
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // Appends the request body to an upload at Upload-Offset, which must be the current offset. With
+  // Upload-Checksum, the chunk is dropped (460) if it does not match. The last chunk makes the asset.
+  async function uploadChunk(ctx) {
+    try {
+      let rec = await uploadOf(ctx);
+      if (!rec) return;
+      if (ctx.get('Content-Type') !== CHUNK_TYPE) {
+        ctx.status = 415;
+        ctx.body = `Content-Type must be ${CHUNK_TYPE}.`;
+        return;
+      }
+      let offset = headerNumber(ctx, 'Upload-Offset');
+      if (isNaN(offset)) {
+        ctx.status = 400;
+        ctx.body = 'Upload-Offset is required.';
+        return;
+      }
+      if (offset !== rec.offset) {
+        ctx.status = 409;
+        ctx.set('Upload-Offset', String(rec.offset));
+        ctx.body = `The upload is at offset ${rec.offset}.`;
+        return;
+      }
+      let checksum = null;
+      if (ctx.get('Upload-Checksum')) {
+        let [ algorithm, digest ] = ctx.get('Upload-Checksum').trim().split(' ');
+        if (!Uploads.CHECKSUMS.includes(algorithm) || !digest) {
+          ctx.status = 400;
+          ctx.body = `Upload-Checksum must be one of ${Uploads.CHECKSUMS.join(', ')}, then the base64 digest.`;
+          return;
+        }
+        checksum = { algorithm, digest };
+      }
+      if (uploads.busy.has(rec.id)) {
+        ctx.status = 423;
+        ctx.body = 'Another request is adding to this upload.';
+        return;
+      }
+      uploads.busy.add(rec.id);
+      try {
+        rec = await uploads.get(rec.id);  // as a chunk that just finished left it
+        if (!rec || rec.offset !== offset) {
+          ctx.status = 409;
+          ctx.body = 'The upload has changed. Check its offset with HEAD.';
+          return;
+        }
+        await uploads.append(rec, ctx.req, checksum);
+        if (rec.offset === rec.length) {
+          if (rec.space !== rec.uid && !store.teams.role(rec.space, rec.uid)) {
+            await uploads.remove(rec.id);
+            ctx.status = 404;
+            ctx.body = 'Team not found.';
+            return;
+          }
+          await finish(rec);
+        }
+      } finally {
+        uploads.busy.delete(ctx.params.id);
+      }
+      ctx.status = 204;
+      ctx.set('Upload-Offset', String(rec.offset));
+      if (rec.offset < rec.length) {
+        setExpires(ctx, rec);
+      }
+    } catch (err) {
+      if (err.code === 'ECHECKSUM') {
+        ctx.status = 460;
+        ctx.body = err.message;
+        return;
+      }
+      if (err.code === 'ETOOLONG') {
+        ctx.status = 400;
+        ctx.body = err.message;
+        return;
+      }
+      handleError(err, ctx);
+    }
+  }
+
+  // Abandons an upload, deleting what was received.
+  async function removeUpload(ctx) {
+    try {
+      let rec = await uploadOf(ctx);
+      if (!rec) return;
+      if (uploads.busy.has(rec.id)) {
+        ctx.status = 423;
+        ctx.body = 'Another request is adding to this upload.';
+        return;
+      }
+      await uploads.remove(rec.id);
+      ctx.status = 204;
+    } catch (err) {
+      handleError(err, ctx);
+    }
+  }
+
+  // The same routes for a team space, under /teams/:team.
+  for (let base of [ '/assets/uploads', '/teams/:team/assets/uploads' ]) {
+    router.options(prefix + base, describeServer);
+    router.post(prefix + base, tusResumable, auth.permit('assets:write'), createUpload);
+    router.head(prefix + base + '/:id', tusResumable, auth.permit('assets:write'), uploadStatus);
+    router.patch(prefix + base + '/:id', tusResumable, auth.permit('assets:write'), uploadChunk);
+    router.delete(prefix + base + '/:id', tusResumable, auth.permit('assets:write'), removeUpload);
+  }
+}
+
+module.exports = { initRoutes };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const uuid = require('uuid-random');
+
+const io = require('./io');
+
+// Default upload policy, overridden by the 'uploads' setting in sossdata.cfg.
+const DEFAULTS = {
+  maxsize: 1024,   // largest resumable upload, in MB
+  expiration: 24,  // hours an unfinished upload is kept after its last change
+  interval: 60     // minutes between purges of expired uploads
+};
+
+// Algorithms accepted in an Upload-Checksum header.
+const CHECKSUMS = [ 'md5', 'sha1', 'sha256' ];
+
+function uploadError(message, code) {
+  let err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Resumable uploads (see tus.js) in progress. Each upload is a file <id>.part under data/uploads, which grows
+// as chunks arrive until it is stored as a blob (see blobs.js), and a record <id>.json of { id, uid, space,
+// length, offset, metadata, created, expires }, where uid is the user who started it, space is the uid or
+// team ID the asset will belong to, and offset is the number of bytes received so far. Uploads that are not
+// finished in time are purged.
+class Uploads {
+  constructor(folder, options) {
+    this.folder = folder;
+    this.options = Object.assign({ }, DEFAULTS, options || { });
+    this.busy = new Set();  // IDs of the uploads receiving a chunk right now
+  }
+
+  async init() {
+    await io.folderCreate(this.folder);
+  }
+
+  get maxSize() {
+    return this.options.maxsize * 1048576;
+  }
+
+  expiresFrom(now) {
+    return now + this.options.expiration * 60 * 60 * 1000;
+  }
+
+  async create(uid, space, length, metadata) {
+    let now = Date.now();
+    let rec = { id: uuid(), uid, space, length, offset: 0, metadata, created: now, expires: this.expiresFrom(now) };
+    await io.fileTruncate(this.folder, rec.id + '.part', 0);
+    await this.save(rec);
+    return rec;
+  }
+
+  async get(id) {
+    return await io.jsonGet(this.folder, id + '.json');
+  }
+
+  async save(rec) {
+    await io.filePut(this.folder, rec.id + '.json', JSON.stringify(rec, null, 2));
+  }
+
+  // Appends the bytes of a stream to an upload, at its current offset. With a checksum { algorithm, digest },
+  // the bytes are only kept if their digest (base64) matches, and otherwise an error with code 'ECHECKSUM'
+  // is thrown. Without one, as much as was received is kept if the stream breaks off, so that the client
+  // can resume from there. More bytes than the upload length throw an error with code 'ETOOLONG'.
+  async append(rec, input, checksum) {
+    let part = rec.id + '.part';
+    let hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    let received = 0;
+    let counter = new Transform({
+      transform(chunk, encoding, callback) {
+        if (rec.offset + received + chunk.length > rec.length) {
+          callback(uploadError('The data is longer than the Upload-Length of the upload.', 'ETOOLONG'));
+          return;
+        }
+        received += chunk.length;
+        if (hash) hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    try {
+      await pipeline(input, counter, io.fileWriteStream(this.folder, part, rec.offset));
+      if (hash && hash.digest('base64') !== checksum.digest) {
+        throw uploadError('The checksum of the data does not match Upload-Checksum.', 'ECHECKSUM');
+      }
+    } catch (err) {
+      if (hash || err.code === 'ETOOLONG') {
+        await io.fileTruncate(this.folder, part, rec.offset);
+      } else {
+        let stat = await io.pathStat(this.folder, part);
+        await this.advance(rec, Math.min(stat.size, rec.length));
+      }
+      throw err;
+    }
+    await this.advance(rec, rec.offset + received);
+    return rec;
+  }
+
+  async advance(rec, offset) {
+    rec.offset = offset;
+    rec.expires = this.expiresFrom(Date.now());
+    await this.save(rec);
+  }
+
+  async remove(id) {
+    for (let fn of [ id + '.part', id + '.json' ]) {
+      if (await io.fileExists(this.folder, fn)) {
+        await io.fileDelete(this.folder, fn);
+      }
+    }
+  }
+
+  // Removes the uploads that have not changed for longer than the expiration period. Returns their records.
+  async purge() {
+    let now = Date.now();
+    let purged = [ ];
+    for (let fn of await io.folderGet(this.folder)) {
+      if (path.extname(fn) !== '.json') continue;
+      let rec = await io.jsonGet(this.folder, fn);
+      if (rec && rec.expires < now && !this.busy.has(rec.id)) {
+        await this.remove(rec.id);
+        purged.push(rec);
+      }
+    }
+    return purged;
+  }
+}
+
+Uploads.CHECKSUMS = CHECKSUMS;
+
+module.exports = Uploads;
@@ -0,0 +1,82 @@
+const path = require('path');
+const fs = require('fs');
+const harness = require('./harness');
+
+// The account admin routes over HTTP: the user list, suspension, deletion, and the fields users cannot set.
+describe('accounts', () => {
+  let server;
+  let admin;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    admin = await server.signup('admin');
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('lists users a page at a time, filtered by login ID prefix', async () => {
+    for (let name of [ 'jdoe', 'jsmith', 'pat', 'Jones' ]) {
+      await server.signup(name);
+    }
+    let first = await server.request('GET', '/users?limit=2', { token: admin.token });
+    expect(first.body).toEqual(expect.objectContaining({ total: 5, offset: 0, limit: 2 }));
+    expect(first.body.users.map(user => user.login)).toEqual([ 'admin', 'jdoe' ]);
+    let second = await server.request('GET', '/users?limit=2&offset=2', { token: admin.token });
+    expect(second.body.users.map(user => user.login)).toEqual([ 'Jones', 'jsmith' ]);
+    expect(second.body.users[0]).toEqual(expect.objectContaining({ status: 'active', lastLogin: null }));
+
+    let matching = await server.request('GET', '/users?prefix=j', { token: admin.token });
+    expect(matching.body.total).toEqual(3);
+    expect(matching.body.users.map(user => user.login)).toEqual([ 'jdoe', 'Jones', 'jsmith' ]);
+  });
+
+  it('refuses the tokens of suspended users until they are reactivated', async () => {
+    let user = await server.signup('quinn');
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(200);
+    expect((await server.request('POST', `/users/${admin.uid}/suspend`, { token: user.token })).status).toEqual(403);
+
+    let suspended = await server.request('POST', `/users/${user.uid}/suspend`, { token: admin.token });
+    expect(suspended.body.status).toEqual('suspended');
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(401);
+    let login = await server.request('POST', '/login', { body: { login: 'quinn', password: 'secret password' } });
+    expect(login.status).toEqual(403);
+
+    await server.request('POST', `/users/${user.uid}/reactivate`, { token: admin.token });
+    login = await server.request('POST', '/login', { body: { login: 'quinn', password: 'secret password' } });
+    expect(login.status).toEqual(200);
+    expect((await server.request('GET', '/profile', { token: login.body.token })).status).toEqual(200);
+  });
+
+  it('keeps the teams only a deleted user is a member of until the account is purged', async () => {
+    let user = await server.signup('casey');
+    let team = (await server.request('POST', '/teams', { token: user.token, body: { name: 'Solo' } })).body;
+    let doc = await server.request('POST', `/teams/${team.id}/projects`, { token: user.token, body: { name: 'Plans' } });
+    expect(doc.status).toEqual(200);
+
+    expect((await server.request('DELETE', `/users/${user.uid}`, { token: admin.token })).status).toEqual(200);
+    expect((await server.request('POST', `/trash/users/${user.uid}/restore`, { token: admin.token })).status).toEqual(200);
+    let login = await server.request('POST', '/login', { body: { login: 'casey', password: 'secret password' } });
+    let teams = await server.request('GET', '/teams', { token: login.body.token });
+    expect(teams.body).toEqual([ expect.objectContaining({ id: team.id, name: 'Solo', role: 'owner' }) ]);
+    let kept = await server.request('GET', `/teams/${team.id}/projects/${doc.body.uid}`, { token: login.body.token });
+    expect(kept.body.name).toEqual('Plans');
+
+    let folder = path.join(server.data, 'teams', team.id);
+    await server.request('DELETE', `/users/${user.uid}`, { token: admin.token });
+    expect(fs.existsSync(folder)).toBe(true);
+    expect((await server.request('DELETE', `/trash/users/${user.uid}`, { token: admin.token })).status).toEqual(200);
+    expect(fs.existsSync(folder)).toBe(false);
+  });
+
+  it('ignores the account fields that users cannot set on themselves', async () => {
+    let user = await server.signup('robin', null, { created: 1, lastLogin: 2, status: 'active', roles: [ 'admin' ] });
+    expect(user.roles).toEqual([ 'user' ]);
+    await server.request('PUT', '/profile', { token: user.token, body: { display: 'Robin', created: 3, lastLogin: 4 } });
+    let listed = await server.request('GET', '/users?prefix=robin', { token: admin.token });
+    let [ entry ] = listed.body.users;
+    expect(entry.display).toEqual('Robin');
+    expect(entry.created).toBeGreaterThan(1000);
+    expect(entry.lastLogin).toBeNull();
+  });
+});
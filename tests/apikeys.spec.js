@@ -0,0 +1,66 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const ApiKeys = require('../src/apikeys');
+const auth = require('../src/auth');
+const log = require('../src/log');
+
+describe('apikeys', () => {
+  let folder;
+  let keys;
+  const user = { uid: 'u1', login: 'jsmith', roles: [ 'user' ] };
+
+  beforeEach(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'apikeys-'));
+    log.init('fatal', path.join(folder, 'sossdata.log'));
+    keys = new ApiKeys(folder);
+    await keys.init();
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('stores only a hash of the key, and verifies it', async () => {
+    let { key, rec } = await keys.create(user, 'ci', 'read', null);
+    expect(ApiKeys.isKey(key)).toBe(true);
+    expect(rec.hash).toBeUndefined();
+    let secret = key.split('_').slice(2).join('_');
+    let stored = fs.readFileSync(path.join(folder, rec.kid + '.json'), 'utf8');
+    expect(stored).not.toContain(secret);
+    expect(JSON.parse(stored).hash).toMatch(/^[0-9a-f]{64}$/);
+
+    let reloaded = new ApiKeys(folder);
+    await reloaded.init();
+    expect(reloaded.verify(key)).toEqual(expect.objectContaining({ uid: 'u1', login: 'jsmith', kid: rec.kid }));
+    expect(reloaded.verify(key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A'))).toBeNull();
+    expect(reloaded.list('u1').map(item => item.kid)).toEqual([ rec.kid ]);
+  });
+
+  it('limits a key to the permissions of its scope', async () => {
+    let read = keys.verify((await keys.create(user, 'read', 'read', null)).key);
+    expect(auth.can(read, 'docs:read')).toBe(true);
+    expect(auth.can(read, 'docs:write')).toBe(false);
+    expect(auth.can(read, 'assets:write')).toBe(false);
+
+    let write = keys.verify((await keys.create(user, 'write', 'projects:write', null)).key);
+    expect(auth.can(write, 'docs:write')).toBe(true);
+    expect(auth.can(write, 'assets:read')).toBe(false);
+
+    // a scope never adds to the user's roles
+    let full = keys.verify((await keys.create(user, 'full', 'full', null)).key);
+    expect(auth.can(full, 'docs:write')).toBe(true);
+    expect(auth.can(full, 'users:write')).toBe(false);
+    expect(await keys.create(user, 'bad', 'everything', null)).toBeNull();
+  });
+
+  it('refuses expired and revoked keys', async () => {
+    let expired = await keys.create(user, 'old', 'read', Date.now() - 1000);
+    expect(keys.verify(expired.key)).toBeNull();
+
+    let created = await keys.create(user, 'ci', 'read', null);
+    expect(await keys.revoke('u2', created.rec.kid)).toBe(false);
+    expect(await keys.revoke('u1', created.rec.kid)).toBe(true);
+    expect(keys.verify(created.key)).toBeNull();
+    expect(fs.existsSync(path.join(folder, created.rec.kid + '.json'))).toBe(false);
+  });
+});
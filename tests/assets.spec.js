@@ -0,0 +1,174 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const assets = require('../src/assets');
+const query = require('../src/query');
+const harness = require('./harness');
+
+const ASSETS = [
+  { id: 'a', mimetype: 'image/png', uploaded: 1000, tags: [ 'Logo', 'brand' ] },
+  { id: 'b', mimetype: 'image/jpeg', uploaded: 2000, tags: [ 'photo' ] },
+  { id: 'c', mimetype: 'video/mp4', uploaded: 3000 },
+  { id: 'd', mimetype: 'text/plain', uploaded: 4000, tags: [ 'brand' ] }
+];
+
+describe('assets', () => {
+  describe('assetQuery', () => {
+    let ids = (params) => {
+      let { test, rest } = assets.assetQuery(params);
+      return query.run(ASSETS.filter(test), query.parse(rest)).docs.map(meta => meta.id);
+    };
+
+    it('filters by mime type, with wildcards, newest first', () => {
+      expect(ids({ })).toEqual([ 'd', 'c', 'b', 'a' ]);
+      expect(ids({ mimetype: 'image/*' })).toEqual([ 'b', 'a' ]);
+      expect(ids({ mimetype: 'IMAGE/PNG,video/*' })).toEqual([ 'c', 'a' ]);
+      expect(ids({ mimetype: 'image/png', sort: 'uploaded' })).toEqual([ 'a' ]);
+    });
+
+    it('filters by upload time, inclusive, as ms or ISO dates', () => {
+      expect(ids({ from: '2000', to: '3000' })).toEqual([ 'c', 'b' ]);
+      expect(ids({ to: new Date(1000).toISOString() })).toEqual([ 'a' ]);
+      expect(() => assets.assetQuery({ from: 'yesterday' })).toThrow(expect.objectContaining({ code: 'EQUERY' }));
+    });
+
+    it('filters by tags that must all be present, ignoring case', () => {
+      expect(ids({ tags: 'BRAND' })).toEqual([ 'd', 'a' ]);
+      expect(ids({ tags: 'brand,logo' })).toEqual([ 'a' ]);
+      expect(ids({ tags: 'brand,photo' })).toEqual([ ]);
+    });
+
+    it('leaves space and owner to choose the space, not filter the assets', () => {
+      expect(ids({ space: 't1', owner: 'u2', mimetype: 'image/*' })).toEqual([ 'b', 'a' ]);
+    });
+  });
+
+  describe('PATCH changes', () => {
+    it('accepts only the editable fields, within their limits', () => {
+      expect(assets.invalidChanges({ originalname: 'logo.png', description: null, tags: [ 'a' ] })).toBeNull();
+      expect(assets.invalidChanges([ ])).toEqual('The body must be a JSON object.');
+      expect(assets.invalidChanges({ })).toMatch(/^Nothing to change/);
+      expect(assets.invalidChanges({ size: 1 })).toMatch(/^'size' cannot be changed/);
+      for (let originalname of [ '', ' ', 'a/b.png', 'a\\b.png', 'x'.repeat(256), 5 ]) {
+        expect(assets.invalidChanges({ originalname })).toMatch(/^originalname must be/);
+      }
+      expect(assets.invalidChanges({ description: 'x'.repeat(4001) })).toMatch(/^description must be/);
+      expect(assets.invalidChanges({ tags: 'a' })).toMatch(/^tags must be/);
+      expect(assets.invalidChanges({ tags: [ '' ] })).toMatch(/^tags must be/);
+      expect(assets.invalidChanges({ tags: new Array(51).fill('a') })).toMatch(/^tags must be/);
+    });
+
+    it('trims names, removes duplicate tags and nulls, and sets modified', () => {
+      let meta = { id: 'a', originalname: 'a.png', sha256: 'f'.repeat(64), description: 'old', tags: [ 'x' ] };
+      let changed = assets.applyChanges(meta, { originalname: ' logo.png ', description: null, tags: [ 'Brand', ' brand', 'logo' ] }, 'a');
+      expect(changed).toEqual(expect.objectContaining({ originalname: 'logo.png', tags: [ 'Brand', 'logo' ] }));
+      expect(changed.description).toBeUndefined();
+      expect(changed.modified).toBeGreaterThan(0);
+      expect(assets.applyChanges(meta, { tags: null }, 'a').tags).toBeUndefined();
+      expect(meta.tags).toEqual([ 'x' ]);
+    });
+
+    it('keeps the file name of assets stored before blobs when their original name changes', () => {
+      let legacy = { id: 'a', originalname: 'photo.jpg' };
+      expect(assets.applyChanges(legacy, { originalname: 'renamed.png' }, 'a')).toEqual(expect.objectContaining({
+        filename: 'a.jpg', originalname: 'renamed.png'
+      }));
+      let stored = { id: 'b', originalname: 'b.jpg', filename: 'b.jpeg' };
+      expect(assets.applyChanges(stored, { originalname: 'c.png' }, 'b').filename).toEqual('b.jpeg');
+      expect(assets.applyChanges({ id: 'c', sha256: 'f'.repeat(64), originalname: 'c.jpg' }, { originalname: 'd.png' }, 'c').filename).toBeUndefined();
+    });
+  });
+
+  describe('by hash', () => {
+    let server;
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+      server = await harness.start();
+      alice = await server.signup('alice');
+      bob = await server.signup('bob');
+    });
+    afterAll(async () => {
+      await server.close();
+    });
+
+    // Uploads data as a new asset with POST /assets. Returns the asset metadata.
+    async function upload(token, filename, data) {
+      let boundary = '----sossdata' + Date.now();
+      let body = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="upload_file"; filename="${filename}"\r\n` +
+          'Content-Type: text/plain\r\n\r\n'),
+        Buffer.from(data),
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+      ]);
+      let reply = await server.request('POST', '/assets', { token, body, type: 'multipart/form-data; boundary=' + boundary });
+      expect(reply.status).toEqual(200);
+      return reply.body;
+    }
+
+    it('only makes assets from data that the same space already has', async () => {
+      let data = 'private notes of alice';
+      let hash = crypto.createHash('sha256').update(data).digest('hex');
+      let stored = await upload(alice.token, 'notes.txt', data);
+      expect(stored.sha256).toEqual(hash);
+
+      expect((await server.request('HEAD', `/assets/by-hash/${hash}`, { token: bob.token })).status).toEqual(404);
+      let claimed = await server.request('POST', `/assets/by-hash/${hash}`, { token: bob.token, body: { originalname: 'stolen.txt' } });
+      expect(claimed.status).toEqual(404);
+      expect((await server.request('GET', '/assets', { token: bob.token })).body.total).toEqual(0);
+
+      expect((await server.request('HEAD', `/assets/by-hash/${hash}`, { token: alice.token })).status).toEqual(200);
+      let copy = await server.request('POST', `/assets/by-hash/${hash}`, { token: alice.token, body: { originalname: 'copy.txt' } });
+      expect(copy.status).toEqual(200);
+      expect((await server.request('GET', `/assets/${copy.body.id}`, { token: alice.token })).text).toEqual(data);
+
+      // once bob has uploaded the same data, he can skip uploading it again
+      let own = await upload(bob.token, 'mine.txt', data);
+      expect(own.sha256).toEqual(hash);
+      expect((await server.request('HEAD', `/assets/by-hash/${hash}`, { token: bob.token })).status).toEqual(200);
+    });
+
+    it('stores .json uploads as data, with metadata of their own', async () => {
+      let secret = 'the secret of alice';
+      let hash = crypto.createHash('sha256').update(secret).digest('hex');
+      await upload(alice.token, 'secret.txt', secret);
+      let mallory = await server.signup('mallory');
+
+      let forged = JSON.stringify({ originalname: 'x.txt', mimetype: 'text/plain', sha256: hash });
+      let stored = await upload(mallory.token, 'evil.json', forged);
+      expect(stored).toEqual(expect.objectContaining({ originalname: 'evil.json', size: forged.length }));
+      expect(stored.filename).toEqual(stored.id);
+      expect(stored.sha256).not.toEqual(hash);
+      expect((await server.request('GET', `/assets/${stored.id}`, { token: mallory.token })).text).toEqual(forged);
+      let listed = await server.request('GET', '/assets', { token: mallory.token });
+      expect(listed.body.docs.map(meta => meta.id)).toEqual([ stored.id ]);
+    });
+
+    it('skips asset metadata that is not valid JSON, and keeps serving', async () => {
+      let user = await server.signup('pat');
+      let stored = await upload(user.token, 'notes.json', 'this is not json');
+      fs.writeFileSync(path.join(server.data, 'users', user.uid, 'assets', 'broken.json'), 'this is not json');
+
+      let listed = await server.request('GET', '/assets', { token: user.token });
+      expect(listed.status).toEqual(200);
+      expect(listed.body.docs.map(meta => meta.id)).toEqual([ stored.id ]);
+      expect((await server.request('GET', '/assets/broken.json', { token: user.token })).status).toEqual(404);
+      expect((await server.request('GET', `/assets/${stored.id}`, { token: user.token })).text).toEqual('this is not json');
+    });
+
+    it('refuses the data of metadata that names a blob the asset does not use', async () => {
+      let secret = 'more secrets of alice';
+      let hash = crypto.createHash('sha256').update(secret).digest('hex');
+      await upload(alice.token, 'secret.txt', secret);
+      let folder = path.join(server.data, 'users', bob.uid, 'assets');
+      fs.writeFileSync(path.join(folder, 'forged.json'), JSON.stringify({ id: 'forged', originalname: 'x.txt', sha256: hash }));
+
+      let read = await server.request('GET', '/assets/forged', { token: bob.token });
+      expect(read.status).toEqual(404);
+      expect(read.text).toEqual('Asset data not found.');
+      expect((await server.request('DELETE', '/assets/forged', { token: bob.token })).status).toEqual(200);
+      expect((await server.request('HEAD', `/assets/by-hash/${hash}`, { token: alice.token })).status).toEqual(200);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Blobs = require('../src/blobs');
+
+describe('blobs', () => {
+  let base;
+  let blobs;
+  let hash = crypto.createHash('sha256').update('data').digest('hex');
+  let write = (fn) => {
+    fs.writeFileSync(path.join(base, fn), 'data');
+    return path.join(base, fn);
+  };
+
+  beforeEach(async () => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'));
+    blobs = new Blobs(path.join(base, 'blobs'));
+    await blobs.init();
+  });
+  afterEach(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  it('stores the same data once and counts its references', async () => {
+    let rec = await blobs.put(write('a'), hash, 'u1/a');
+    expect(rec).toMatchObject({ sha256: hash, size: 4, refs: [ 'u1/a' ] });
+    await blobs.put(write('b'), hash, 'u2/b');
+    expect(fs.existsSync(path.join(base, 'a'))).toBe(false);
+    expect(fs.existsSync(path.join(base, 'b'))).toBe(false);
+    expect(fs.readdirSync(blobs.folderOf(hash)).sort()).toEqual([ hash, hash + '.json' ]);
+    expect((await blobs.addRef(hash, 'u1/c')).refs).toEqual([ 'u1/a', 'u2/b', 'u1/c' ]);
+    expect(await blobs.addRef('f'.repeat(64), 'u1/d')).toBeNull();
+
+    expect(await blobs.release(hash, 'u1/a')).toBe(2);
+    expect(await blobs.release(hash, 'u1/a')).toBe(2);
+    expect(await blobs.release(hash, 'u2/b')).toBe(1);
+    expect(await blobs.release(hash, 'u1/c')).toBe(0);
+    expect(fs.readdirSync(blobs.folderOf(hash))).toEqual([ ]);
+    expect(await blobs.get(hash)).toBeNull();
+  });
+
+  it('adds references for a space only to the blobs it already uses', async () => {
+    await blobs.put(write('a'), hash, 'u1/a');
+    expect(Blobs.usedBy(await blobs.get(hash), 'u1')).toBe(true);
+    expect(Blobs.usedBy(await blobs.get(hash), 'u')).toBe(false);
+    expect(await blobs.addRef(hash, 'u2/b', 'u2')).toBeNull();
+    expect((await blobs.addRef(hash, 'u1/b', 'u1')).refs).toEqual([ 'u1/a', 'u1/b' ]);
+    expect(await blobs.addRef('f'.repeat(64), 'u1/c', 'u1')).toBeNull();
+  });
+
+  it('serializes concurrent changes to a blob', async () => {
+    await Promise.all([ 'a', 'b', 'c' ].map(fn => blobs.put(write(fn), hash, 'u1/' + fn)));
+    expect((await blobs.get(hash)).refs.sort()).toEqual([ 'u1/a', 'u1/b', 'u1/c' ]);
+  });
+
+  it('only accepts lowercase hex SHA-256 hashes', () => {
+    expect(Blobs.valid(hash)).toBe(true);
+    expect(Blobs.valid(hash.toUpperCase())).toBe(false);
+    expect(Blobs.valid('../' + hash.slice(3))).toBe(false);
+  });
+});
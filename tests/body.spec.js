@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const Koa = require('koa');
+const http = require('http');
+const body = require('../src/body');
+const totp = require('../src/totp');
+const harness = require('./harness');
+
+// Every route that reads a JSON body, over HTTP, with the body parser of server.js.
+describe('JSON request bodies', () => {
+  let server;
+  let admin;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    admin = await server.signup('admin');
+    alice = await server.signup('alice');
+    bob = await server.signup('bob');
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  // Uploads data with tus, which finishes the upload as an asset. Returns the asset ID.
+  async function upload(token, data, filename) {
+    let tus = { 'Tus-Resumable': '1.0.0' };
+    let created = await server.request('POST', '/assets/uploads', { token, headers: Object.assign({
+      'Upload-Length': String(data.length),
+      'Upload-Metadata': 'filename ' + Buffer.from(filename).toString('base64')
+    }, tus) });
+    expect(created.status).toEqual(201);
+    let reply = await server.request('PATCH', created.headers.location, { token, body: data, type: 'application/offset+octet-stream', headers: Object.assign({ 'Upload-Offset': '0' }, tus) });
+    expect(reply.status).toEqual(204);
+    return created.headers.location.split('/').pop();
+  }
+
+  it('replies 400 to a body that is not valid JSON, and 413 to one over the limit', async () => {
+    let reply = await server.request('POST', '/projects', { token: alice.token, body: '{ "name": ' });
+    expect(reply.status).toEqual(400);
+
+    let app = new Koa();
+    app.use(body.json({ limit: 16 }));
+    app.use(ctx => { ctx.body = ctx.request.body; });
+    let small = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => small.once('listening', resolve));
+    let status = await new Promise((resolve, reject) => {
+      let req = http.request({ host: '127.0.0.1', port: small.address().port, method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ text: 'longer than sixteen bytes' }));
+    });
+    await new Promise(resolve => small.close(resolve));
+    expect(status).toEqual(413);
+  });
+
+  it('reads login, refresh, profile and password changes', async () => {
+    let login = await server.request('POST', '/login', { body: { login: 'bob', password: 'secret password' } });
+    expect(login.status).toEqual(200);
+    let refreshed = await server.request('POST', '/refresh', { body: { refresh: login.body.refresh } });
+    expect(refreshed.status).toEqual(200);
+
+    let profile = await server.request('PUT', '/profile', { token: refreshed.body.token, body: { display: 'Bob B.' } });
+    expect(profile.status).toEqual(200);
+    expect(profile.body.display).toEqual('Bob B.');
+
+    let changed = await server.request('PUT', '/profile/password', { token: refreshed.body.token, body: { current: 'secret password', password: 'new password' } });
+    expect(changed.status).toEqual(200);
+    let renamed = await server.request('PUT', `/users/${changed.body.uid}/login`, { token: changed.body.token, body: { login: 'robert' } });
+    expect(renamed.status).toEqual(200);
+    expect(renamed.body.login).toEqual('robert');
+    bob = renamed.body;
+
+    let reset = await server.request('POST', '/reset', { body: { token: 'no such token', password: 'another password' } });
+    expect(reset.status).toEqual(401);
+  });
+
+  it('reads API key, invite, role and search rebuild requests', async () => {
+    let key = await server.request('POST', '/profile/keys', { token: alice.token, body: { name: 'ci', scope: 'projects:read' } });
+    expect(key.status).toEqual(201);
+    expect(key.body.scope).toEqual('projects:read');
+
+    let invite = await server.request('POST', '/invites', { token: admin.token, body: { uses: 3 } });
+    expect(invite.status).toEqual(201);
+    expect(invite.body.uses).toEqual(3);
+
+    let dave = await server.signup('dave');
+    let roles = await server.request('PUT', `/users/${dave.uid}/roles`, { token: admin.token, body: { roles: [ 'user', 'moderator' ] } });
+    expect(roles.status).toEqual(200);
+    expect(roles.body.roles).toEqual([ 'user', 'moderator' ]);
+
+    let rebuilt = await server.request('POST', '/search/rebuild', { token: admin.token, body: { uid: alice.uid } });
+    expect(rebuilt.status).toEqual(200);
+  });
+
+  it('reads two-factor enrollment, login codes and the password to disable it', async () => {
+    let user = await server.signup('carol');
+    let enrolled = await server.request('POST', '/profile/2fa', { token: user.token });
+    let confirmed = await server.request('POST', '/profile/2fa/confirm', { token: user.token, body: { code: totp.generate(enrolled.body.secret) } });
+    expect(confirmed.status).toEqual(200);
+
+    let login = await server.request('POST', '/login', { body: { login: 'carol', password: 'secret password' } });
+    expect(login.body.mfa).toEqual('totp');
+    let completed = await server.request('POST', '/login/2fa', { body: { challenge: login.body.challenge, recovery: confirmed.body.recovery[0] } });
+    expect(completed.status).toEqual(200);
+
+    let disabled = await server.request('DELETE', '/profile/2fa', { token: completed.body.token, body: { password: 'secret password' } });
+    expect(disabled.status).toEqual(200);
+    expect(disabled.body.enabled).toBe(false);
+  });
+
+  it('reads documents, and merge and JSON patches by their +json types', async () => {
+    let created = await server.request('POST', '/collections/notes', { token: alice.token, body: { uid: 'n1', title: 'One', tags: [ 'a' ] } });
+    expect(created.status).toEqual(200);
+    let replaced = await server.request('PUT', '/collections/notes/n1', { token: alice.token, body: { title: 'Two', tags: [ 'a' ] } });
+    expect(replaced.body).toEqual({ uid: 'n1', title: 'Two', tags: [ 'a' ] });
+
+    let merged = await server.request('PATCH', '/collections/notes/n1', { token: alice.token, type: 'application/merge-patch+json', body: { title: 'Three' } });
+    expect(merged.status).toEqual(200);
+    expect(merged.body.title).toEqual('Three');
+    let patched = await server.request('PATCH', '/collections/notes/n1', { token: alice.token, type: 'application/json-patch+json', body: [ { op: 'add', path: '/tags/-', value: 'b' } ] });
+    expect(patched.status).toEqual(200);
+    expect(patched.body.tags).toEqual([ 'a', 'b' ]);
+
+    let batch = await server.request('POST', '/batch', { token: alice.token, body: { operations: [
+      { op: 'create', collection: 'notes', uid: 'n2', doc: { title: 'Four' } },
+      { op: 'patch', collection: 'notes', uid: 'n1', patch: { title: 'Five' } }
+    ] } });
+    expect(batch.status).toEqual(200);
+    expect(batch.body.results.map(result => result.status)).toEqual([ 201, 200 ]);
+
+    let shared = await server.request('POST', '/collections/notes/n1/grants', { token: alice.token, body: { login: 'robert', access: 'write' } });
+    expect(shared.status).toEqual(200);
+    expect(shared.body.access).toEqual('write');
+  });
+
+  it('reads schemas and schema reports', async () => {
+    let rules = { type: 'object', required: [ 'title' ] };
+    let put = await server.request('PUT', '/schemas/notes', { token: admin.token, body: rules });
+    expect(put.status).toEqual(200);
+    expect(put.body.schema).toEqual(rules);
+    let report = await server.request('POST', '/schemas/notes/report', { token: admin.token, body: { type: 'object', required: [ 'missing' ] } });
+    expect(report.status).toEqual(200);
+    let removed = await server.request('DELETE', '/schemas/notes', { token: admin.token });
+    expect(removed.status).toEqual(200);
+  });
+
+  it('reads team names, invitations and member roles', async () => {
+    let team = await server.request('POST', '/teams', { token: alice.token, body: { name: 'Acme' } });
+    expect(team.status).toEqual(200);
+    let renamed = await server.request('PUT', `/teams/${team.body.id}`, { token: alice.token, body: { name: 'Acme Inc.' } });
+    expect(renamed.body.name).toEqual('Acme Inc.');
+
+    let invited = await server.request('POST', `/teams/${team.body.id}/invitations`, { token: alice.token, body: { login: 'robert' } });
+    expect(invited.status).toEqual(200);
+    await server.request('POST', `/invitations/${invited.body.id}`, { token: bob.token });
+    let promoted = await server.request('PUT', `/teams/${team.body.id}/members/${bob.uid}`, { token: alice.token, body: { role: 'admin' } });
+    expect(promoted.status).toEqual(200);
+    expect(promoted.body.members.find(member => member.uid === bob.uid).role).toEqual('admin');
+  });
+
+  it('reads asset metadata changes and claims by hash', async () => {
+    let data = Buffer.from('hello, assets');
+    let id = await upload(alice.token, data, 'hello.txt');
+    let changed = await server.request('PATCH', `/assets/${id}`, { token: alice.token, body: { description: 'A greeting', tags: [ 'demo' ] } });
+    expect(changed.status).toEqual(200);
+    expect(changed.body.description).toEqual('A greeting');
+
+    let hash = crypto.createHash('sha256').update(data).digest('hex');
+    let claimed = await server.request('POST', `/assets/by-hash/${hash}`, { token: alice.token, body: { originalname: 'copy.txt', mimetype: 'text/plain' } });
+    expect(claimed.status).toEqual(200);
+    expect(claimed.body.originalname).toEqual('copy.txt');
+    expect(claimed.body.size).toEqual(data.length);
+  });
+});
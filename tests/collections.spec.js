@@ -0,0 +1,72 @@
+const harness = require('./harness');
+
+// Collection names over HTTP, with a 'collections' allowlist in the server config.
+describe('collections', () => {
+  let server;
+  let user;
+
+  beforeAll(async () => {
+    server = await harness.start({ collections: [ 'notes' ] });
+    user = await server.signup('jsmith');
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('stores documents in the allowed collections, and projects', async () => {
+    let created = await server.request('POST', '/collections/notes', { token: user.token, body: { title: 'Note' } });
+    expect(created.status).toEqual(200);
+    expect((await server.request('POST', '/projects', { token: user.token, body: { title: 'Project' } })).status).toEqual(200);
+    let names = await server.request('GET', '/collections', { token: user.token });
+    expect(names.body.sort()).toEqual([ 'notes', 'projects' ]);
+  });
+
+  it('lists a page of documents, or just their IDs with fields=uid', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await server.request('POST', '/collections/notes', { token: user.token, body: { uid: 'n' + i, title: 'Note ' + i } });
+    }
+    let page = await server.request('GET', '/collections/notes?limit=2&sort=uid', { token: user.token });
+    expect(page.body).toEqual(expect.objectContaining({ total: 4, limit: 2 }));
+    expect(page.body.docs.length).toEqual(2);
+    expect(page.body.next).toBeTruthy();
+
+    let ids = await server.request('GET', '/collections/notes?fields=uid&title[in]=Note%201,Note%202,Note%203', { token: user.token });
+    expect(ids.body.docs).toEqual([ { uid: 'n1' }, { uid: 'n2' }, { uid: 'n3' } ]);
+  });
+
+  it('replies 404 for unknown and reserved collections', async () => {
+    for (let name of [ 'tasks', 'assets', 'trash', 'revisions', 'Notes' ]) {
+      let listed = await server.request('GET', `/collections/${name}`, { token: user.token });
+      expect(listed.status).toEqual(404);
+      expect(listed.text).toEqual(`Unknown collection '${name}'.`);
+      let created = await server.request('POST', `/collections/${name}`, { token: user.token, body: { title: 'Note' } });
+      expect(created.status).toEqual(404);
+    }
+    let batch = await server.request('POST', '/batch', { token: user.token, body: [ { op: 'create', collection: 'tasks', doc: { } } ] });
+    expect(batch.status).toEqual(400);
+    expect(batch.body.results[0].message).toEqual(`Unknown collection 'tasks'.`);
+  });
+
+  it('refuses documents that are not JSON objects, and IDs that are not valid strings', async () => {
+    for (let body of [ '"text"', '[ 1, 2 ]', '12', { uid: 12 }, { uid: [ 'n1' ] }, { uid: '' }, { uid: '../x' } ]) {
+      let created = await server.request('POST', '/collections/notes', { token: user.token, body });
+      expect(created.status).toEqual(400);
+    }
+    let note = await server.request('POST', '/collections/notes', { token: user.token, body: { uid: 'kept', title: 'Kept' } });
+    expect(note.status).toEqual(200);
+    let replaced = await server.request('PUT', '/collections/notes/kept', { token: user.token, body: '[ "x" ]' });
+    expect(replaced.status).toEqual(400);
+    expect((await server.request('GET', '/collections/notes/kept', { token: user.token })).body.title).toEqual('Kept');
+  });
+
+  it('refuses batch operations with invalid document IDs, including those in the doc of a create', async () => {
+    for (let op of [ { op: 'create', doc: { uid: '../../x' } }, { op: 'create', doc: { uid: 12 } }, { op: 'delete', uid: 'a/b' } ]) {
+      let batch = await server.request('POST', '/batch', { token: user.token, body: [ { op: 'create', doc: { } }, op ] });
+      expect(batch.status).toEqual(400);
+      expect(batch.body.results.map(result => result.status)).toEqual([ 424, 400 ]);
+      expect(batch.body.results[1].message).toEqual('Invalid document ID.');
+    }
+    let batch = await server.request('POST', '/batch', { token: user.token, body: [ { op: 'create', doc: { uid: 'batched' } } ] });
+    expect(batch.body.results[0]).toEqual(expect.objectContaining({ status: 201, uid: 'batched' }));
+  });
+});
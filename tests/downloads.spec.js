@@ -0,0 +1,79 @@
+const harness = require('./harness');
+
+// Byte ranges of asset data over HTTP: 206 replies with Content-Range, multipart/byteranges, 416 and If-Range.
+describe('asset downloads', () => {
+  const DATA = '0123456789abcdefghijklmnopqrstuvwxyz';
+  let server;
+  let user;
+  let url;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    user = await server.signup('jsmith');
+    let boundary = '----sossdata' + Date.now();
+    let body = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="upload_file"; filename="data.txt"\r\n` +
+      `Content-Type: text/plain\r\n\r\n${DATA}\r\n--${boundary}--\r\n`);
+    let reply = await server.request('POST', '/assets', { token: user.token, body, type: 'multipart/form-data; boundary=' + boundary });
+    url = '/assets/' + reply.body.id;
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  function get(range, headers) {
+    return server.request('GET', url, { token: user.token, headers: Object.assign(range ? { Range: range } : { }, headers) });
+  }
+
+  it('sends the whole data without a range, or with one that is malformed', async () => {
+    for (let range of [ undefined, 'bytes=abc', 'items=0-1', 'bytes=9-2' ]) {
+      let reply = await get(range);
+      expect(reply.status).toEqual(200);
+      expect(reply.headers['accept-ranges']).toEqual('bytes');
+      expect(reply.text).toEqual(DATA);
+    }
+  });
+
+  it('sends a part of the data with 206 and its Content-Range', async () => {
+    let cases = [
+      [ 'bytes=0-9', '0123456789', 'bytes 0-9/36' ],
+      [ 'bytes=30-', 'uvwxyz', 'bytes 30-35/36' ],
+      [ 'bytes=-4', 'wxyz', 'bytes 32-35/36' ],
+      [ 'bytes=34-99', 'yz', 'bytes 34-35/36' ]
+    ];
+    for (let [ range, text, contentRange ] of cases) {
+      let reply = await get(range);
+      expect(reply.status).toEqual(206);
+      expect(reply.headers['content-range']).toEqual(contentRange);
+      expect(reply.headers['content-length']).toEqual(String(text.length));
+      expect(reply.text).toEqual(text);
+    }
+  });
+
+  it('sends several ranges as multipart/byteranges', async () => {
+    let reply = await get('bytes=0-1,10-11');
+    expect(reply.status).toEqual(206);
+    let [ , boundary ] = reply.headers['content-type'].match(/^multipart\/byteranges; boundary=(.+)$/);
+    let parts = reply.text.split('--' + boundary).slice(1, -1);
+    expect(parts.length).toEqual(2);
+    expect(parts[0]).toContain('Content-Range: bytes 0-1/36');
+    expect(parts[0]).toMatch(/\r\n\r\n01\r\n$/);
+    expect(parts[1]).toContain('Content-Range: bytes 10-11/36');
+    expect(parts[1]).toMatch(/\r\n\r\nab\r\n$/);
+  });
+
+  it('replies 416 with the size for ranges beyond the end of the data', async () => {
+    let reply = await get('bytes=36-40');
+    expect(reply.status).toEqual(416);
+    expect(reply.headers['content-range']).toEqual('bytes */36');
+  });
+
+  it('applies the range with If-Range only while the data has not changed', async () => {
+    let whole = await get();
+    let current = await get('bytes=0-0', { 'If-Range': whole.headers.etag });
+    expect(current.status).toEqual(206);
+    expect(current.text).toEqual('0');
+    let changed = await get('bytes=0-0', { 'If-Range': '"changed"' });
+    expect(changed.status).toEqual(200);
+    expect(changed.text).toEqual(DATA);
+  });
+});
@@ -0,0 +1,23 @@
+const etag = require('../src/etag');
+
+function request(headers) {
+  return { get: (name) => headers[name.toLowerCase()] || '' };
+}
+
+describe('etag', () => {
+  it('depends only on the document content', () => {
+    expect(etag.etagOf({ a: 1 })).toEqual(etag.etagOf(JSON.parse('{"a":1}')));
+    expect(etag.etagOf({ a: 1 })).not.toEqual(etag.etagOf({ a: 2 }));
+    expect(etag.etagOf({ a: 1 })).toMatch(/^"[A-Za-z0-9_-]+"$/);
+  });
+
+  it('checks If-Match and If-None-Match for writes', () => {
+    let tag = etag.etagOf({ a: 1 });
+    expect(etag.preconditionFailed(request({ }), tag)).toBe(false);
+    expect(etag.preconditionFailed(request({ 'if-match': `"other", ${tag}` }), tag)).toBe(false);
+    expect(etag.preconditionFailed(request({ 'if-match': `W/${tag}` }), tag)).toBe(true);
+    expect(etag.preconditionFailed(request({ 'if-match': '*' }), null)).toBe(true);
+    expect(etag.preconditionFailed(request({ 'if-none-match': '*' }), null)).toBe(false);
+    expect(etag.preconditionFailed(request({ 'if-none-match': '*' }), tag)).toBe(true);
+  });
+});
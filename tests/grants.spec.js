@@ -0,0 +1,44 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Grants = require('../src/grants');
+
+describe('grants', () => {
+  let folder;
+  let grants;
+
+  beforeEach(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'grants-'));
+    grants = new Grants(folder);
+    await grants.init();
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('grants, changes and revokes access to an item', async () => {
+    expect(await grants.grant('u1', 'projects', 'p1', 'u2', 'admin')).toBeNull();
+    let rec = await grants.grant('u1', 'projects', 'p1', 'u2', 'read');
+    expect(grants.access('u1', 'projects', 'p1', 'u2')).toBe('read');
+    expect(grants.access('u1', 'projects', 'p2', 'u2')).toBeNull();
+    expect((await grants.grant('u1', 'projects', 'p1', 'u2', 'write')).id).toBe(rec.id);
+    expect(grants.access('u1', 'projects', 'p1', 'u2')).toBe('write');
+    expect(await grants.revoke('u1', 'projects', 'p1', 'u2')).toBe(true);
+    expect(await grants.revoke('u1', 'projects', 'p1', 'u2')).toBe(false);
+    expect(grants.access('u1', 'projects', 'p1', 'u2')).toBeNull();
+  });
+
+  it('keeps grants on disk and removes them by owner, grantee or item', async () => {
+    await grants.grant('u1', 'projects', 'p1', 'u2', 'read');
+    await grants.grant('u1', 'assets', 'a1', 'u3', 'read');
+    await grants.grant('u2', 'notes', 'n1', 'u3', 'write');
+
+    let reloaded = new Grants(folder);
+    await reloaded.init();
+    expect(reloaded.list({ grantee: 'u3' }).map(rec => rec.item).sort()).toEqual([ 'a1', 'n1' ]);
+    expect(await reloaded.removeAll({ owner: 'u1', where: 'assets', item: 'a1' })).toBe(1);
+    expect(await reloaded.removeAll({ grantee: 'u2' })).toBe(1);
+    expect(reloaded.list({ }).map(rec => rec.item)).toEqual([ 'n1' ]);
+    expect(fs.readdirSync(folder).length).toBe(1);
+  });
+});
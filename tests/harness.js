@@ -0,0 +1,124 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const { fork } = require('child_process');
+
+// Runs the REST API with the middleware of server.js, on a new data folder, for tests over HTTP. The server
+// runs in a child process: @koa/router requires core modules as 'node:http' etc., which Jest 26 cannot load.
+
+// In the child: serves the API of the folder, and reports the port to the parent.
+async function serve(base) {
+  const Koa = require('koa');
+  const Router = require('@koa/router');
+  const body = require('../src/body');
+  const log = require('../src/log');
+  const Store = require('../src/store');
+  const routes = require('../src/routes');
+
+  log.init('fatal', path.join(base, 'sossdata.log'));
+  let store = new Store(base);
+  await store.init();
+  let app = new Koa();
+  let router = new Router();
+  app.use(body.json());
+  routes.initRoutes(router, store);
+  app.use(router.routes());
+  app.use(router.allowedMethods());
+  let server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return server.address().port;
+}
+
+if (require.main === module) {
+  process.on('disconnect', () => process.exit(0));
+  serve(process.argv[2]).then(port => process.send({ port }), (err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+// Starts a server with the settings of cfg (as in sossdata.cfg). Resolves to { base, data, request, signup,
+// restart, close }, where data is the data folder. Call close() when done, to stop it and remove the folder.
+async function start(cfg) {
+  let base = fs.mkdtempSync(path.join(os.tmpdir(), 'sossdata-'));
+  let child = null;
+  let port = null;
+
+  async function launch(settings) {
+    fs.writeFileSync(path.join(base, 'sossdata.cfg'), JSON.stringify(Object.assign({ secret: 'test secret' }, settings)));
+    child = fork(__filename, [ base ], { stdio: [ 'ignore', 'ignore', 'inherit', 'ipc' ] });
+    port = await new Promise((resolve, reject) => {
+      child.once('message', message => resolve(message.port));
+      child.once('exit', code => reject(new Error(`The test server exited with code ${code}.`)));
+    });
+  }
+
+  async function stop() {
+    child.removeAllListeners('exit');
+    let exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  }
+
+  // Sends a request. An object body is sent as JSON unless options.type says otherwise. Resolves to
+  // { status, headers, text, body }, where body is the parsed JSON reply, or the text if it is not JSON.
+  function request(method, url, options) {
+    options = options || { };
+    let headers = Object.assign({ }, options.headers);
+    let data = options.body;
+    if (data !== undefined && !Buffer.isBuffer(data) && typeof data !== 'string') {
+      data = JSON.stringify(data);
+    }
+    if (data !== undefined) {
+      headers['Content-Type'] = options.type || 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(data);
+    }
+    if (options.token) {
+      headers.Authorization = 'Bearer ' + options.token;
+    }
+    return new Promise((resolve, reject) => {
+      let req = http.request({ host: '127.0.0.1', port, method, path: url, headers }, (res) => {
+        let chunks = [ ];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          let text = Buffer.concat(chunks).toString('utf8');
+          let parsed = text;
+          try {
+            parsed = JSON.parse(text);
+          } catch (err) {
+            // not JSON
+          }
+          resolve({ status: res.statusCode, headers: res.headers, text, body: parsed });
+        });
+      });
+      req.on('error', reject);
+      req.end(data);
+    });
+  }
+
+  // Registers a user, and resolves to the login response, with the token.
+  async function signup(login, password, fields) {
+    let reply = await request('POST', '/users', { body: Object.assign({ login, password: password || 'secret password' }, fields) });
+    if (reply.status !== 200) {
+      throw new Error(`Signup of '${login}' failed: ${reply.status} ${reply.text}`);
+    }
+    return reply.body;
+  }
+
+  // Restarts the server on the same data folder, with new settings.
+  async function restart(settings) {
+    await stop();
+    await launch(settings);
+  }
+
+  async function close() {
+    await stop();
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+
+  await launch(cfg);
+  return { base, data: path.join(base, 'data'), request, signup, restart, close };
+}
+
+module.exports = { start };
@@ -0,0 +1,73 @@
+const harness = require('./harness');
+
+// The revision routes of documents over HTTP: the list, single revisions, diffs and restores.
+describe('revision routes', () => {
+  let server;
+  let user;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    user = await server.signup('jsmith');
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  async function edit(method, url, body, type) {
+    let reply = await server.request(method, url, { token: user.token, body, type });
+    expect(reply.status).toEqual(200);
+    return reply;
+  }
+
+  it('lists each change with its author and action, and returns a revision with its content', async () => {
+    await edit('POST', '/projects', { uid: 'p1', name: 'Plan', size: 1 });
+    await edit('PUT', '/projects/p1', { name: 'Plan', size: 2 });
+    await edit('PATCH', '/projects/p1', { size: 3 }, 'application/merge-patch+json');
+
+    let list = await server.request('GET', '/projects/p1/revisions', { token: user.token });
+    expect(list.body.map(rec => [ rec.rev, rec.action, rec.author ])).toEqual([
+      [ 1, 'create', user.uid ], [ 2, 'replace', user.uid ], [ 3, 'update', user.uid ]
+    ]);
+    let first = await server.request('GET', '/projects/p1/revisions/1', { token: user.token });
+    expect(first.body).toEqual(expect.objectContaining({ rev: 1, action: 'create', doc: { uid: 'p1', name: 'Plan', size: 1 } }));
+    expect((await server.request('GET', '/projects/p1/revisions/9', { token: user.token })).status).toEqual(404);
+    expect((await server.request('GET', '/projects/none/revisions', { token: user.token })).status).toEqual(404);
+  });
+
+  it('diffs a revision against the current document, or another revision', async () => {
+    await edit('POST', '/collections/notes', { uid: 'n1', text: 'one' });
+    await edit('PUT', '/collections/notes/n1', { text: 'two', tags: [ 'a' ] });
+
+    let diff = await server.request('GET', '/collections/notes/n1/revisions/1/diff', { token: user.token });
+    expect(diff.headers['content-type']).toMatch(/^application\/json-patch\+json/);
+    expect(diff.body).toEqual(expect.arrayContaining([
+      { op: 'replace', path: '/text', value: 'two' },
+      { op: 'add', path: '/tags', value: [ 'a' ] }
+    ]));
+    expect(diff.body.length).toEqual(2);
+    let none = await server.request('GET', '/collections/notes/n1/revisions/2/diff?to=2', { token: user.token });
+    expect(none.body).toEqual([ ]);
+  });
+
+  it('restores a revision as a new one, also for a deleted document, but not a delete', async () => {
+    await edit('POST', '/projects', { uid: 'p2', name: 'Draft' });
+    await edit('PUT', '/projects/p2', { name: 'Final' });
+    let current = await server.request('GET', '/projects/p2', { token: user.token });
+
+    let stale = await server.request('POST', '/projects/p2/revisions/1/restore', { token: user.token, headers: { 'If-Match': '"stale"' } });
+    expect(stale.status).toEqual(412);
+    let restored = await server.request('POST', '/projects/p2/revisions/1/restore', { token: user.token, headers: { 'If-Match': current.headers.etag } });
+    expect(restored.status).toEqual(200);
+    expect(restored.body).toEqual({ uid: 'p2', name: 'Draft' });
+
+    expect((await server.request('DELETE', '/projects/p2', { token: user.token })).status).toEqual(200);
+    expect((await server.request('GET', '/projects/p2', { token: user.token })).status).toEqual(404);
+    let list = await server.request('GET', '/projects/p2/revisions', { token: user.token });
+    expect(list.body.map(rec => rec.action)).toEqual([ 'create', 'replace', 'restore', 'delete' ]);
+    expect((await server.request('POST', '/projects/p2/revisions/4/restore', { token: user.token })).status).toEqual(409);
+
+    let undeleted = await server.request('POST', '/projects/p2/revisions/2/restore', { token: user.token });
+    expect(undeleted.status).toEqual(200);
+    expect((await server.request('GET', '/projects/p2', { token: user.token })).body.name).toEqual('Final');
+  });
+});
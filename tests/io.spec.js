@@ -0,0 +1,66 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const io = require('../src/io');
+const log = require('../src/log');
+
+describe('io staged writes', () => {
+  let folder;
+  let read = (fn) => fs.readFileSync(path.join(folder, fn), 'utf8');
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'io-'));
+    fs.writeFileSync(path.join(folder, 'a.json'), 'old');
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('commits staged files and cleans up the backups', async () => {
+    let a = await io.fileStage(folder, 'a.json', 'new', 't1');
+    let b = await io.fileStage(folder, 'b.json', 'added', 't1');
+    expect(read('a.json')).toBe('old');
+    await io.fileCommit(a);
+    await io.fileCommit(b);
+    await io.fileCleanup(a);
+    await io.fileCleanup(b);
+    expect(read('a.json')).toBe('new');
+    expect(read('b.json')).toBe('added');
+    expect(fs.readdirSync(folder).sort()).toEqual([ 'a.json', 'b.json' ]);
+  });
+
+  it('rolls back committed and uncommitted files', async () => {
+    let a = await io.fileStage(folder, 'a.json', 'new', 't2');
+    let b = await io.fileStage(folder, 'b.json', 'added', 't2');
+    let c = await io.fileStage(folder, 'c.json', 'never', 't2');
+    await io.fileCommit(a);
+    await io.fileCommit(b);
+    for (let stage of [ c, b, a ]) {
+      await io.fileRollback(stage);
+    }
+    expect(read('a.json')).toBe('old');
+    expect(fs.readdirSync(folder)).toEqual([ 'a.json' ]);
+  });
+});
+
+describe('io JSON reads', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'io-'));
+    log.init('fatal', path.join(folder, 'sossdata.log'));
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true, maxRetries: 5 });
+  });
+
+  it('reads JSON with # comments, and returns null for missing files and bad JSON', async () => {
+    fs.writeFileSync(path.join(folder, 'a.json'), '# settings\n{ "name": "a#1" }  # the name\n');
+    fs.writeFileSync(path.join(folder, 'b.json'), 'this is not json');
+    expect(await io.jsonGet(folder, 'a.json')).toEqual({ name: 'a#1' });
+    expect(await io.jsonGet(folder, 'b.json')).toBeNull();
+    expect(await io.jsonGet(folder, 'c.json')).toBeNull();
+    fs.mkdirSync(path.join(folder, 'd.json'));
+    await expect(io.jsonGet(folder, 'd.json')).rejects.toMatchObject({ code: 'EISDIR' });
+  });
+});
@@ -0,0 +1,69 @@
+const totp = require('../src/totp');
+const harness = require('./harness');
+
+// Two-factor login over HTTP, with codes computed here from the secret the server hands out at enrollment.
+describe('two-factor authentication', () => {
+  let server;
+  let secret;
+  let recovery;
+
+  // The code of the next time step: the server refuses the code of a step it has already accepted.
+  function nextCode() {
+    return totp.generate(secret, Date.now() + 30 * 1000);
+  }
+  async function challenge() {
+    let login = await server.request('POST', '/login', { body: { login: 'jsmith', password: 'secret password' } });
+    expect(login.status).toEqual(200);
+    return login.body;
+  }
+
+  beforeAll(async () => {
+    server = await harness.start();
+    let user = await server.signup('jsmith');
+    let enrolled = await server.request('POST', '/profile/2fa', { token: user.token });
+    secret = enrolled.body.secret;
+    expect(enrolled.body.uri).toContain(`secret=${secret}`);
+    expect((await server.request('POST', '/profile/2fa/confirm', { token: user.token, body: { code: '000000x' } })).status).toEqual(400);
+    let confirmed = await server.request('POST', '/profile/2fa/confirm', { token: user.token, body: { code: totp.generate(secret) } });
+    expect(confirmed.status).toEqual(200);
+    recovery = confirmed.body.recovery;
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('answers a password login with a challenge instead of a token', async () => {
+    let pending = await challenge();
+    expect(pending).toEqual(expect.objectContaining({ login: 'jsmith', mfa: 'totp', expires: 300 }));
+    expect(pending.challenge).toBeTruthy();
+    expect(pending.token).toBeUndefined();
+    let refused = await server.request('POST', '/login/2fa', { body: { challenge: 'forged', code: nextCode() } });
+    expect(refused.status).toEqual(401);
+  });
+
+  it('completes the login with a code from the authenticator app, once', async () => {
+    let pending = await challenge();
+    let wrong = await server.request('POST', '/login/2fa', { body: { challenge: pending.challenge, code: '123456' } });
+    expect(wrong.status).toEqual(401);
+
+    let code = nextCode();
+    let login = await server.request('POST', '/login/2fa', { body: { challenge: pending.challenge, code } });
+    expect(login.status).toEqual(200);
+    expect((await server.request('GET', '/profile', { token: login.body.token })).status).toEqual(200);
+    let replayed = await server.request('POST', '/login/2fa', { body: { challenge: (await challenge()).challenge, code } });
+    expect(replayed.status).toEqual(401);
+  });
+
+  it('completes the login with a recovery code, which is then used up', async () => {
+    let pending = await challenge();
+    let login = await server.request('POST', '/login/2fa', { body: { challenge: pending.challenge, recovery: recovery[0] } });
+    expect(login.status).toEqual(200);
+    let status = await server.request('GET', '/profile/2fa', { token: login.body.token });
+    expect(status.body).toEqual(expect.objectContaining({ enabled: true, recovery: recovery.length - 1 }));
+
+    let reused = await server.request('POST', '/login/2fa', { body: { challenge: (await challenge()).challenge, recovery: recovery[0] } });
+    expect(reused.status).toEqual(401);
+    let other = await server.request('POST', '/login/2fa', { body: { challenge: (await challenge()).challenge, recovery: recovery[1].toUpperCase() } });
+    expect(other.status).toEqual(200);
+  });
+});
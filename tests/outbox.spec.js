@@ -0,0 +1,52 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const log = require('../src/log');
+const outbox = require('../src/outbox');
+
+describe('outbox', () => {
+  let folder;
+  const message = { to: 'jsmith@example.com', login: 'jsmith', uid: 'u1', subject: 'Password reset', text: 'Use this token: abc123', token: 'abc123' };
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    log.init('fatal', path.join(folder, 'sossdata.log'));
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('writes each message to a JSON file with the file sink', async () => {
+    let send = outbox.create({ data: folder, outbox: { type: 'file', folder: 'mail' } });
+    expect(await send(message)).toBe(true);
+    expect(await send(Object.assign({ }, message, { token: 'def456' }))).toBe(true);
+
+    let files = fs.readdirSync(path.join(folder, 'mail'));
+    expect(files.length).toEqual(2);
+    let sent = files.map(fn => JSON.parse(fs.readFileSync(path.join(folder, 'mail', fn), 'utf8')));
+    expect(sent.map(item => item.token).sort()).toEqual([ 'abc123', 'def456' ]);
+    expect(sent[0].to).toEqual('jsmith@example.com');
+    expect(typeof sent[0].sent).toBe('number');
+  });
+
+  it('logs messages with the log sink, the default, and for unknown types', async () => {
+    let output = jest.spyOn(console, 'log').mockImplementation(() => { });
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+    await outbox.create({ data: folder })(message);
+    await outbox.create({ data: folder, outbox: 'log' })(message);
+    await outbox.create({ data: folder, outbox: 'carrier pigeon' })(message);
+    expect(output).toHaveBeenCalledTimes(3);
+    expect(output.mock.calls[0][0]).toContain('Use this token: abc123');
+  });
+
+  it('uses registered sinks', async () => {
+    let delivered = [ ];
+    outbox.register('memory', () => async (item) => {
+      delivered.push(item);
+      return true;
+    });
+    await outbox.create({ data: folder, outbox: 'memory' })(message);
+    expect(delivered).toEqual([ message ]);
+  });
+});
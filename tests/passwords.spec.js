@@ -0,0 +1,35 @@
+const md5 = require('md5');
+const passwords = require('../src/passwords');
+
+describe('passwords', () => {
+  it('hashes with a salted scrypt and verifies', async () => {
+    let creds = await passwords.hashPassword('hunter2');
+    expect(creds.alg).toEqual('scrypt');
+    expect(creds.v).toEqual(passwords.PASSWORD_VERSION);
+    expect(creds.salt).toBeTruthy();
+    expect(await passwords.verifyPassword('hunter2', creds)).toBe(true);
+    expect(await passwords.verifyPassword('hunter3', creds)).toBe(false);
+    expect(passwords.needsRehash(creds)).toBe(false);
+  });
+
+  it('uses a different salt for each hash', async () => {
+    let a = await passwords.hashPassword('same');
+    let b = await passwords.hashPassword('same');
+    expect(a.salt).not.toEqual(b.salt);
+    expect(a.hash).not.toEqual(b.hash);
+  });
+
+  it('verifies legacy md5 credentials and flags them for upgrade', async () => {
+    let creds = { hash: md5('legacy') };
+    expect(await passwords.verifyPassword('legacy', creds)).toBe(true);
+    expect(await passwords.verifyPassword('wrong', creds)).toBe(false);
+    expect(passwords.needsRehash(creds)).toBe(true);
+  });
+
+  it('flags hashes made with different cost parameters', async () => {
+    let creds = await passwords.hashPassword('pw', { N: 1024 });
+    expect(await passwords.verifyPassword('pw', creds)).toBe(true);
+    expect(passwords.needsRehash(creds)).toBe(true);
+    expect(passwords.needsRehash(creds, { N: 1024 })).toBe(false);
+  });
+});
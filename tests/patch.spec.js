@@ -0,0 +1,49 @@
+const patch = require('../src/patch');
+
+describe('patch', () => {
+  it('applies a JSON Merge Patch', () => {
+    // RFC 7396 section 3
+    let target = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: [ 'example', 'sample' ], content: 'This will be unchanged' };
+    let changes = { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: [ 'example' ] };
+    expect(patch.mergePatch(target, changes)).toEqual({
+      title: 'Hello!',
+      author: { givenName: 'John' },
+      tags: [ 'example' ],
+      content: 'This will be unchanged',
+      phoneNumber: '+01-123-456-7890'
+    });
+    expect(target.title).toEqual('Goodbye!');
+  });
+
+  it('applies JSON Patch operations in order', () => {
+    let doc = { a: { b: [ 1, 2 ] }, c: 'x', 'd/e': 1 };
+    let result = patch.jsonPatch(doc, [
+      { op: 'add', path: '/a/b/1', value: 9 },
+      { op: 'add', path: '/a/b/-', value: 3 },
+      { op: 'replace', path: '/c', value: 'y' },
+      { op: 'move', from: '/d~1e', path: '/f' },
+      { op: 'copy', from: '/a/b', path: '/g' },
+      { op: 'remove', path: '/a/b/0' },
+      { op: 'test', path: '/g', value: [ 1, 9, 2, 3 ] }
+    ]);
+    expect(result).toEqual({ a: { b: [ 9, 2, 3 ] }, c: 'y', f: 1, g: [ 1, 9, 2, 3 ] });
+    expect(doc).toEqual({ a: { b: [ 1, 2 ] }, c: 'x', 'd/e': 1 });
+  });
+
+  it('fails the whole patch on a failed test or a bad path', () => {
+    let doc = { version: 1 };
+    let failed = (ops) => {
+      try {
+        patch.jsonPatch(doc, ops);
+      } catch (err) {
+        return err.code;
+      }
+      return null;
+    };
+    expect(failed([ { op: 'replace', path: '/version', value: 2 }, { op: 'test', path: '/version', value: 1 } ])).toEqual('EPATCHTEST');
+    expect(failed([ { op: 'remove', path: '/missing' } ])).toEqual('EPATCH');
+    expect(failed([ { op: 'add', path: '/__proto__/x', value: 1 } ])).toEqual('EPATCH');
+    expect(failed({ op: 'add' })).toEqual('EPATCH');
+    expect(doc).toEqual({ version: 1 });
+  });
+});
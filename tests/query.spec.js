@@ -0,0 +1,33 @@
+const query = require('../src/query');
+
+const DOCS = [
+  { uid: 'a', name: 'Gamma', size: 30, tags: 'x' },
+  { uid: 'b', name: 'Alpha', size: 10 },
+  { uid: 'c', name: 'Beta', size: 20, draft: true },
+  { uid: 'd', name: 'Delta', size: 20 }
+];
+
+describe('query', () => {
+  it('filters on equality, ranges and lists', () => {
+    let ids = (params) => query.run(DOCS, query.parse(params)).docs.map(doc => doc.uid);
+    expect(ids({ size: '20' })).toEqual([ 'c', 'd' ]);
+    expect(ids({ 'size[gt]': '10', 'size[lte]': '20' })).toEqual([ 'c', 'd' ]);
+    expect(ids({ 'name[in]': 'Alpha,Gamma' })).toEqual([ 'a', 'b' ]);
+    expect(ids({ draft: 'true' })).toEqual([ 'c' ]);
+    expect(ids({ 'draft[ne]': 'true' })).toEqual([ 'a', 'b', 'd' ]);
+    expect(() => query.parse({ 'size[near]': '1' })).toThrow();
+    expect(ids({ space: 't1', owner: 'u2' })).toEqual([ 'a', 'b', 'c', 'd' ]);  // these choose the space, not the docs
+  });
+
+  it('sorts, selects fields and pages with next tokens', () => {
+    let params = { sort: '-size,name', fields: 'name', limit: '3' };
+    let page1 = query.run(DOCS, query.parse(params));
+    expect(page1.total).toEqual(4);
+    expect(page1.docs).toEqual([ { uid: 'a', name: 'Gamma' }, { uid: 'c', name: 'Beta' }, { uid: 'd', name: 'Delta' } ]);
+
+    let page2 = query.run(DOCS, query.parse(Object.assign({ next: page1.next }, params)));
+    expect(page2.docs).toEqual([ { uid: 'b', name: 'Alpha' } ]);
+    expect(page2.next).toBeNull();
+    expect(() => query.parse({ sort: 'name', next: page1.next })).toThrow();
+  });
+});
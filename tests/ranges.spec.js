@@ -0,0 +1,45 @@
+const ranges = require('../src/ranges');
+
+describe('ranges', () => {
+  it('ignores missing, malformed and non-byte ranges', () => {
+    expect(ranges.parse(undefined, 100)).toBeNull();
+    expect(ranges.parse('', 100)).toBeNull();
+    expect(ranges.parse('items=0-1', 100)).toBeNull();
+    expect(ranges.parse('bytes=abc', 100)).toBeNull();
+    expect(ranges.parse('bytes=-', 100)).toBeNull();
+    expect(ranges.parse('bytes=5-2', 100)).toBeNull();
+  });
+
+  it('parses single, open-ended and suffix ranges', () => {
+    expect(ranges.parse('bytes=0-9', 100)).toEqual([ { start: 0, end: 9 } ]);
+    expect(ranges.parse('bytes=90-', 100)).toEqual([ { start: 90, end: 99 } ]);
+    expect(ranges.parse('bytes=-5', 100)).toEqual([ { start: 95, end: 99 } ]);
+    expect(ranges.parse('bytes=-500', 100)).toEqual([ { start: 0, end: 99 } ]);
+    expect(ranges.parse('bytes=50-500', 100)).toEqual([ { start: 50, end: 99 } ]);
+  });
+
+  it('sorts and merges overlapping and adjacent ranges', () => {
+    expect(ranges.parse('bytes=20-29, 0-4, 5-9, 25-40', 100)).toEqual([ { start: 0, end: 9 }, { start: 20, end: 40 } ]);
+  });
+
+  it('returns no ranges when none can be satisfied', () => {
+    expect(ranges.parse('bytes=100-', 100)).toEqual([ ]);
+    expect(ranges.parse('bytes=200-300', 100)).toEqual([ ]);
+    expect(ranges.parse('bytes=-0', 100)).toEqual([ ]);
+    expect(ranges.parse('bytes=0-', 0)).toEqual([ ]);
+  });
+
+  it('ignores requests for too many ranges', () => {
+    let specs = Array.from({ length: 17 }, (_, i) => `${i * 2}-${i * 2}`);
+    expect(ranges.parse('bytes=' + specs.join(','), 100)).toBeNull();
+  });
+
+  it('computes the length of a multipart body', () => {
+    let wanted = [ { start: 0, end: 1 }, { start: 5, end: 8 } ];
+    let parts = ranges.multipart(wanted, 10, 'text/plain', 'XYZ');
+    let body = parts.heads[0] + 'ab' + parts.heads[1] + 'fghi' + parts.tail;
+    expect(parts.length).toBe(Buffer.byteLength(body));
+    expect(parts.heads[1]).toBe('\r\n--XYZ\r\nContent-Type: text/plain\r\nContent-Range: bytes 5-8/10\r\n\r\n');
+    expect(parts.tail).toBe('\r\n--XYZ--\r\n');
+  });
+});
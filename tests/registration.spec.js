@@ -0,0 +1,53 @@
+const harness = require('./harness');
+
+// The 'invite' and 'approval' registration modes over HTTP. Each test registers the admin while
+// registration is open, then restarts the server in the mode under test.
+describe('registration', () => {
+  let server;
+  let admin;
+
+  beforeEach(async () => {
+    server = await harness.start();
+    admin = await server.signup('admin');
+  });
+  afterEach(async () => {
+    await server.close();
+  });
+
+  async function login(name) {
+    return await server.request('POST', '/login', { body: { login: name, password: 'secret password' } });
+  }
+
+  it('requires an invitation code in invite mode, for as many signups as it allows', async () => {
+    await server.restart({ registration: 'invite' });
+    let refused = await server.request('POST', '/users', { body: { login: 'jsmith', password: 'secret password' } });
+    expect(refused.status).toEqual(403);
+
+    let created = await server.request('POST', '/invites', { token: admin.token, body: { uses: 2, role: 'readonly' } });
+    expect(created.status).toEqual(201);
+    expect(created.body.uses).toEqual(2);
+    let first = await server.signup('jsmith', null, { invite: created.body.code });
+    expect(first.roles).toEqual([ 'readonly' ]);
+    await server.signup('jdoe', null, { invite: created.body.code });
+    let used = await server.request('POST', '/users', { body: { login: 'pat', password: 'secret password', invite: created.body.code } });
+    expect(used.status).toEqual(403);
+    expect((await server.request('GET', '/invites', { token: admin.token })).body).toEqual([ ]);
+  });
+
+  it('keeps new accounts pending in approval mode until an admin approves them', async () => {
+    await server.restart({ registration: 'approval' });
+    let pending = await server.request('POST', '/users', { body: { login: 'jsmith', password: 'secret password' } });
+    expect(pending.status).toEqual(202);
+    expect(pending.body.status).toEqual('pending');
+    expect(pending.body.token).toBeUndefined();
+    expect((await login('jsmith')).status).toEqual(403);
+
+    let waiting = await server.request('GET', '/approvals', { token: admin.token });
+    expect(waiting.body.map(user => user.uid)).toEqual([ pending.body.uid ]);
+    let approved = await server.request('POST', `/users/${pending.body.uid}/approve`, { token: admin.token });
+    expect(approved.status).toEqual(200);
+    expect((await server.request('POST', `/users/${pending.body.uid}/approve`, { token: admin.token })).status).toEqual(409);
+    expect((await login('jsmith')).status).toEqual(200);
+    expect((await server.request('GET', '/approvals', { token: admin.token })).body).toEqual([ ]);
+  });
+});
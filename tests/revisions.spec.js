@@ -0,0 +1,37 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Revisions = require('../src/revisions');
+
+describe('revisions', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'revisions-')), 'doc1');
+  });
+  afterEach(() => {
+    fs.rmSync(path.dirname(folder), { recursive: true, force: true });
+  });
+
+  it('numbers revisions and prunes beyond the count kept', async () => {
+    let history = new Revisions({ keep: 2 });
+    for (let v = 1; v <= 5; v++) {
+      await history.add(folder, v === 1 ? 'create' : 'replace', { v }, 'u1');
+    }
+    let list = await history.list(folder);
+    expect(list.map(rec => rec.rev)).toEqual([ 3, 4, 5 ]);
+    expect(list[0].doc).toBeUndefined();
+    expect((await history.latest(folder)).doc).toEqual({ v: 5 });
+  });
+
+  it('prunes by age, but keeps the current revision', async () => {
+    let history = new Revisions({ keep: 10, maxage: 60 });
+    let old = Date.now() - 120 * 1000;
+    await history.add(folder, 'create', { v: 1 }, 'u1', old);
+    await history.add(folder, 'replace', { v: 2 }, 'u1', old);
+    expect((await history.list(folder)).map(rec => rec.rev)).toEqual([ 2 ]);
+
+    await history.add(folder, 'delete', null, 'u1', old);
+    expect(await history.list(folder)).toEqual([ ]);
+  });
+});
@@ -0,0 +1,29 @@
+const roles = require('../src/roles');
+
+describe('roles', () => {
+  afterEach(() => roles.init());
+
+  it('grants permissions by role, area wildcard and full wildcard', () => {
+    expect(roles.can(['user'], 'docs:write')).toBe(true);
+    expect(roles.can(['readonly'], 'docs:read')).toBe(true);
+    expect(roles.can(['readonly'], 'docs:write')).toBe(false);
+    expect(roles.can(['user'], 'users:read')).toBe(false);
+    expect(roles.can(['moderator'], 'users:read')).toBe(true);
+    expect(roles.can(['admin'], 'roles:write')).toBe(true);
+    expect(roles.can(['nosuchrole'], 'docs:read')).toBe(false);
+    expect(roles.can(undefined, 'docs:read')).toBe(false);
+  });
+
+  it('defaults users without roles and bootstraps the configured admin', () => {
+    expect(roles.userRoles({ uid: 'u1', login: 'joe' }, 'admin')).toEqual(['user']);
+    expect(roles.userRoles({ uid: 'u1', login: 'admin' }, 'admin')).toEqual(['user', 'admin']);
+    expect(roles.userRoles({ uid: 'u1', login: 'joe', roles: ['readonly'] }, 'u1')).toEqual(['readonly', 'admin']);
+  });
+
+  it('accepts custom roles from the config', () => {
+    roles.init({ uploader: ['account', 'assets:write'] });
+    expect(roles.exists('uploader')).toBe(true);
+    expect(roles.can(['uploader'], 'assets:write')).toBe(true);
+    expect(roles.can(['uploader'], 'docs:read')).toBe(false);
+  });
+});
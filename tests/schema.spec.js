@@ -0,0 +1,39 @@
+const schema = require('../src/schema');
+
+const PROJECT = {
+  type: 'object',
+  required: [ 'name' ],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    size: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { $ref: '#/$defs/tag' }, uniqueItems: true },
+    status: { enum: [ 'draft', 'final' ] }
+  },
+  additionalProperties: false,
+  $defs: { tag: { type: 'string', pattern: '^[a-z]+$' } }
+};
+
+describe('schema', () => {
+  it('accepts matching documents', () => {
+    expect(schema.validate(PROJECT, { name: 'A', size: 3, tags: [ 'x', 'y' ], status: 'final' })).toEqual([ ]);
+  });
+
+  it('reports every violation with its path', () => {
+    let errors = schema.validate(PROJECT, { size: -1.5, tags: [ 'x', 'x', 'Y' ], status: 'gone', extra: 1 });
+    expect(errors.map(err => err.path).sort()).toEqual([ '/extra', '/name', '/size', '/status', '/tags', '/tags/2' ]);
+  });
+
+  it('handles combinators', () => {
+    let either = { oneOf: [ { type: 'string' }, { type: 'number', not: { const: 0 } } ] };
+    expect(schema.validate(either, 'x')).toEqual([ ]);
+    expect(schema.validate(either, 0).length).toEqual(1);
+    expect(schema.validate({ anyOf: [ { required: [ 'a' ] }, { required: [ 'b' ] } ] }, { c: 1 }).length).toEqual(1);
+  });
+
+  it('refuses schemas it cannot use', () => {
+    expect(() => schema.compile({ $ref: '#/$defs/missing' })).toThrow();
+    expect(() => schema.compile({ pattern: '(' })).toThrow();
+    expect(() => schema.compile([ ])).toThrow();
+    expect(schema.compile(PROJECT)).toBe(PROJECT);
+  });
+});
@@ -0,0 +1,67 @@
+const harness = require('./harness');
+
+// Search over HTTP: each user only ever finds what is in their own space, or a team space they are a member of.
+describe('search routes', () => {
+  let server;
+  let alice;
+  let bob;
+  let team;
+
+  // Uploads data as a new asset with POST /assets. Returns the asset metadata.
+  async function upload(token, filename, data) {
+    let boundary = '----sossdata' + Date.now();
+    let body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="upload_file"; filename="${filename}"\r\n` +
+        'Content-Type: text/plain\r\n\r\n'),
+      Buffer.from(data),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    let reply = await server.request('POST', '/assets', { token, body, type: 'multipart/form-data; boundary=' + boundary });
+    expect(reply.status).toEqual(200);
+    return reply.body;
+  }
+  async function search(token, query) {
+    let reply = await server.request('GET', '/search?' + query, { token });
+    expect(reply.status).toEqual(200);
+    return reply.body.results.map(result => `${result.collection}/${result.uid}`).sort();
+  }
+
+  beforeAll(async () => {
+    server = await harness.start();
+    alice = await server.signup('alice');
+    bob = await server.signup('bob');
+    await server.request('POST', '/projects', { token: alice.token, body: { uid: 'a1', name: 'Zebra crossing' } });
+    await server.request('POST', '/collections/notes', { token: alice.token, body: { uid: 'a2', text: 'zebra stripes' } });
+    let asset = await upload(alice.token, 'zebra.txt', 'alice');
+    alice.asset = asset.id;
+    await server.request('POST', '/projects', { token: bob.token, body: { uid: 'b1', name: 'Zebra herd' } });
+    team = (await server.request('POST', '/teams', { token: alice.token, body: { name: 'Zoo' } })).body;
+    await server.request('POST', `/teams/${team.id}/projects`, { token: alice.token, body: { uid: 't1', name: 'Zebra enclosure' } });
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('finds the documents and assets of the user only', async () => {
+    expect(await search(alice.token, 'q=zebra')).toEqual([ `assets/${alice.asset}`, 'notes/a2', 'projects/a1' ]);
+    expect(await search(bob.token, 'q=zebra')).toEqual([ 'projects/b1' ]);
+    expect(await search(bob.token, 'q=stripes')).toEqual([ ]);
+    expect(await search(alice.token, 'q=zebra&collection=assets')).toEqual([ `assets/${alice.asset}` ]);
+  });
+
+  it('leaves out what others have shared, and ignores an owner parameter', async () => {
+    let shared = await server.request('POST', '/projects/a1/grants', { token: alice.token, body: { login: 'bob', access: 'write' } });
+    expect(shared.status).toEqual(200);
+    expect((await server.request('GET', '/projects/a1?owner=' + alice.uid, { token: bob.token })).status).toEqual(200);
+    expect(await search(bob.token, 'q=crossing')).toEqual([ ]);
+    expect(await search(bob.token, 'q=zebra&owner=' + alice.uid)).toEqual([ 'projects/b1' ]);
+  });
+
+  it('finds team documents in the team space, for its members only', async () => {
+    expect(await search(alice.token, `q=enclosure&space=${team.id}`)).toEqual([ 'projects/t1' ]);
+    expect(await search(alice.token, 'q=enclosure')).toEqual([ ]);
+    expect((await server.request('GET', `/teams/${team.id}/search?q=zebra`, { token: bob.token })).status).toEqual(404);
+    expect((await server.request('GET', `/search?q=zebra&space=${team.id}`, { token: bob.token })).status).toEqual(404);
+    expect((await server.request('GET', `/search?q=zebra&space=${alice.uid}`, { token: bob.token })).status).toEqual(404);
+  });
+});
@@ -0,0 +1,42 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const SearchIndex = require('../src/searchindex');
+
+describe('searchindex', () => {
+  let folder;
+  let index;
+
+  beforeEach(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+    index = new SearchIndex(folder);
+    await index.init();
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('finds documents by every word, and the last word as a prefix', async () => {
+    await index.update('u1', 'projects', 'p1', { uid: 'p1', name: 'Castle Siege', notes: [ 'Dragon attack' ] });
+    await index.update('u1', 'projects', 'p2', { name: 'Dragon Racing', constructor: 'Café' });
+    await index.update('u1', 'assets', 'a1', { originalname: 'dragon.png', mimetype: 'image/png', filename: 'castle.png' });
+
+    let ids = async (q) => (await index.search('u1', q)).map(item => item.id).sort();
+    expect(await ids('dragon')).toEqual([ 'a1', 'p1', 'p2' ]);
+    expect(await ids('dragon att')).toEqual([ 'p1' ]);
+    expect(await ids('cafe')).toEqual([ 'p2' ]);
+    expect(await ids('castle')).toEqual([ 'p1' ]);  // only some asset fields are indexed
+    expect(await ids('p1')).toEqual([ ]);
+  });
+
+  it('replaces and removes entries, and keeps them on disk', async () => {
+    await index.update('u1', 'notes', 'n1', { text: 'first draft' });
+    await index.update('u1', 'notes', 'n1', { text: 'second draft' });
+    await index.update('u1', 'notes', 'n2', { text: 'another draft' });
+    await index.remove('u1', 'notes', 'n2');
+
+    let reloaded = new SearchIndex(folder);
+    expect((await reloaded.search('u1', 'first'))).toEqual([ ]);
+    expect((await reloaded.search('u1', 'draft')).map(item => item.id)).toEqual([ 'n1' ]);
+  });
+});
@@ -0,0 +1,48 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Sessions = require('../src/sessions');
+
+describe('sessions', () => {
+  let folder;
+  let sessions;
+  const user = { uid: 'u1', login: 'jsmith' };
+
+  beforeEach(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    sessions = new Sessions(folder, 900, 3600);
+    await sessions.init();
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('rotates refresh tokens and rejects reuse', async () => {
+    let { sid, refresh } = await sessions.create(user);
+    expect(sessions.isRevoked(sid)).toBe(false);
+
+    let rotated = await sessions.rotate(refresh);
+    expect(rotated.session.sid).toEqual(sid);
+    expect(rotated.refresh).not.toEqual(refresh);
+
+    // the old token is used up, and replaying it ends the session
+    expect(await sessions.rotate(refresh)).toBeNull();
+    expect(sessions.isRevoked(sid)).toBe(true);
+    expect(await sessions.rotate(rotated.refresh)).toBeNull();
+  });
+
+  it('ends all sessions of a user and persists the revocation list', async () => {
+    let a = await sessions.create(user);
+    let b = await sessions.create(user);
+    let other = await sessions.create({ uid: 'u2', login: 'other' });
+    expect(await sessions.endAll('u1')).toEqual(2);
+    expect(sessions.isRevoked(a.sid)).toBe(true);
+    expect(sessions.isRevoked(b.sid)).toBe(true);
+    expect(sessions.isRevoked(other.sid)).toBe(false);
+
+    let reloaded = new Sessions(folder, 900, 3600);
+    await reloaded.init();
+    expect(reloaded.isRevoked(a.sid)).toBe(true);
+    expect((await reloaded.list('u2')).length).toEqual(1);
+  });
+});
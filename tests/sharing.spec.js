@@ -0,0 +1,69 @@
+const harness = require('./harness');
+
+// Reads and writes of shared items with ?owner= over HTTP, before, during and after a grant.
+describe('sharing routes', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    alice = await server.signup('alice');
+    bob = await server.signup('bob');
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  function as(user, method, url, body, type) {
+    return server.request(method, url, { token: user.token, body, type });
+  }
+
+  it('hides the items of others without a grant', async () => {
+    await as(alice, 'POST', '/projects', { uid: 'p1', name: 'Secret' });
+    let owner = '?owner=' + alice.uid;
+    expect((await as(bob, 'GET', '/projects/p1' + owner)).status).toEqual(404);
+    expect((await as(bob, 'GET', '/projects/p1/revisions' + owner)).status).toEqual(404);
+    expect((await as(bob, 'PUT', '/projects/p1' + owner, { name: 'Mine' })).status).toEqual(404);
+    expect((await as(bob, 'PATCH', '/projects/p1' + owner, { name: 'Mine' }, 'application/merge-patch+json')).status).toEqual(404);
+    expect((await as(bob, 'GET', '/projects/p1')).status).toEqual(404);
+    expect((await as(alice, 'GET', '/projects/p1')).body.name).toEqual('Secret');
+  });
+
+  it('allows reads, but not writes, with read access', async () => {
+    await as(alice, 'POST', '/collections/notes', { uid: 'n1', text: 'Shared' });
+    let granted = await as(alice, 'POST', '/collections/notes/n1/grants', { login: 'bob' });
+    expect(granted.body).toEqual(expect.objectContaining({ collection: 'notes', uid: 'n1', grantee: bob.uid, access: 'read' }));
+    let owner = '?owner=' + alice.uid;
+
+    expect((await as(bob, 'GET', '/collections/notes/n1' + owner)).body.text).toEqual('Shared');
+    expect((await as(bob, 'GET', '/collections/notes/n1/revisions/1' + owner)).status).toEqual(200);
+    expect((await as(bob, 'PUT', '/collections/notes/n1' + owner, { text: 'Changed' })).status).toEqual(403);
+    expect((await as(bob, 'PATCH', '/collections/notes/n1' + owner, { text: 'Changed' }, 'application/merge-patch+json')).status).toEqual(403);
+    expect((await as(bob, 'POST', '/collections/notes/n1/revisions/1/restore' + owner)).status).toEqual(403);
+    expect((await as(bob, 'DELETE', '/collections/notes/n1' + owner)).status).toEqual(403);
+    expect((await as(alice, 'GET', '/collections/notes/n1')).body.text).toEqual('Shared');
+  });
+
+  it('allows writes with write access, recorded with their author, until the grant is revoked', async () => {
+    await as(alice, 'POST', '/projects', { uid: 'p2', name: 'Joint' });
+    await as(alice, 'POST', '/projects/p2/grants', { uid: bob.uid, access: 'write' });
+    let owner = '?owner=' + alice.uid;
+
+    let replaced = await as(bob, 'PUT', '/projects/p2' + owner, { name: 'Joint work' });
+    expect(replaced.status).toEqual(200);
+    let patched = await as(bob, 'PATCH', '/projects/p2' + owner, { done: true }, 'application/merge-patch+json');
+    expect(patched.body).toEqual({ uid: 'p2', name: 'Joint work', done: true });
+    let revisions = await as(alice, 'GET', '/projects/p2/revisions');
+    expect(revisions.body.map(rec => rec.author)).toEqual([ alice.uid, bob.uid, bob.uid ]);
+    expect((await as(alice, 'GET', '/grants')).body.map(grant => grant.uid).sort()).toEqual([ 'n1', 'p2' ]);
+    expect((await as(bob, 'GET', '/shared?collection=projects')).body.map(item => item.doc.name)).toEqual([ 'Joint work' ]);
+
+    expect((await as(bob, 'DELETE', `/projects/p2/grants/${bob.uid}` + owner)).status).toEqual(404);
+    expect((await as(alice, 'DELETE', `/projects/p2/grants/${bob.uid}`)).status).toEqual(200);
+    expect((await as(bob, 'GET', '/projects/p2' + owner)).status).toEqual(404);
+    expect((await as(bob, 'PUT', '/projects/p2' + owner, { name: 'Taken over' })).status).toEqual(404);
+    expect((await as(bob, 'GET', '/shared')).body.map(item => item.uid)).toEqual([ 'n1' ]);
+    expect((await as(alice, 'GET', '/projects/p2')).body.name).toEqual('Joint work');
+  });
+});
@@ -0,0 +1,64 @@
+const harness = require('./harness');
+
+// Team spaces over HTTP: listings, authors and multipart uploads with ?space= or a /teams/:team prefix.
+describe('spaces', () => {
+  let server;
+  let alice;
+  let bob;
+  let team;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    alice = await server.signup('alice');
+    bob = await server.signup('bob');
+    team = (await server.request('POST', '/teams', { token: alice.token, body: { name: 'Acme' } })).body;
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  // A multipart/form-data body with one file in the upload_file field.
+  function multipart(filename, data) {
+    let boundary = '----sossdata' + Date.now();
+    let body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="upload_file"; filename="${filename}"\r\n` +
+        'Content-Type: text/plain\r\n\r\n'),
+      Buffer.from(data),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    return { body, type: 'multipart/form-data; boundary=' + boundary };
+  }
+
+  it('lists the documents of a team with ?space=, recording who created them', async () => {
+    let created = await server.request('POST', `/projects?space=${team.id}`, { token: alice.token, body: { uid: 'plan', title: 'Plan' } });
+    expect(created.status).toEqual(200);
+    let listed = await server.request('GET', `/projects?space=${team.id}`, { token: alice.token });
+    expect(listed.status).toEqual(200);
+    expect(listed.body.docs.map(doc => doc.uid)).toEqual([ 'plan' ]);
+    expect((await server.request('GET', '/projects', { token: alice.token })).body.total).toEqual(0);
+
+    let revisions = await server.request('GET', `/teams/${team.id}/projects/plan/revisions`, { token: alice.token });
+    expect(revisions.body.map(rev => [ rev.action, rev.author ])).toEqual([ [ 'create', alice.uid ] ]);
+    expect((await server.request('GET', `/projects?space=${team.id}`, { token: bob.token })).status).toEqual(404);
+  });
+
+  it('stores multipart uploads in the space of the route', async () => {
+    let upload = multipart('notes.txt', 'team notes');
+    let stored = await server.request('POST', `/teams/${team.id}/assets`, Object.assign({ token: alice.token }, upload));
+    expect(stored.status).toEqual(200);
+    expect(stored.body).toEqual(expect.objectContaining({ originalname: 'notes.txt', size: 10 }));
+
+    let data = await server.request('GET', `/teams/${team.id}/assets/${stored.body.id}`, { token: alice.token });
+    expect(data.text).toEqual('team notes');
+    expect((await server.request('GET', `/assets/${stored.body.id}`, { token: alice.token })).status).toEqual(404);
+    let listed = await server.request('GET', `/assets?space=${team.id}`, { token: alice.token });
+    expect(listed.body.docs.map(doc => doc.id)).toEqual([ stored.body.id ]);
+
+    let own = await server.request('POST', '/assets', Object.assign({ token: alice.token }, multipart('mine.txt', 'mine')));
+    expect((await server.request('GET', `/assets/${own.body.id}`, { token: alice.token })).text).toEqual('mine');
+
+    let outsider = await server.request('POST', `/teams/${team.id}/assets`, Object.assign({ token: bob.token }, upload));
+    expect(outsider.status).toEqual(404);
+    expect((await server.request('POST', '/assets', { token: alice.token, body: { } })).status).toEqual(400);
+  });
+});
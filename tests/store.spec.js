@@ -0,0 +1,169 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const log = require('../src/log');
+const Store = require('../src/store');
+
+describe('store', () => {
+  let logs;
+  let base;
+  let store;
+
+  // The storage ready message is still being written after init resolves, so the log lives outside the data folders.
+  beforeAll(() => {
+    logs = fs.mkdtempSync(path.join(os.tmpdir(), 'store-logs-'));
+    log.init('fatal', path.join(logs, 'sossdata.log'));
+  });
+  afterAll(() => {
+    fs.rmSync(logs, { recursive: true, force: true, maxRetries: 5 });
+  });
+
+  beforeEach(async () => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    jest.spyOn(console, 'log').mockImplementation(() => { });  // the storage ready message
+    store = new Store(base);
+    await store.init();
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearInterval(store.trashTimer);
+    clearInterval(store.uploadsTimer);
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  describe('password resets', () => {
+    it('redeems a reset token once', async () => {
+      let reset = await store.userResetCreate('u1');
+      expect(reset.expires).toBeGreaterThan(Date.now());
+      expect(await store.userResetRedeem(reset.token)).toEqual('u1');
+      expect(await store.userResetRedeem(reset.token)).toBeNull();
+      expect(await store.userResetRedeem('no such token')).toBeNull();
+      expect(fs.readdirSync(path.join(store.data, 'resets'))).toEqual([ ]);
+    });
+
+    it('lets only one of two concurrent requests use a token', async () => {
+      let reset = await store.userResetCreate('u1');
+      let results = await Promise.all([ store.userResetRedeem(reset.token), store.userResetRedeem(reset.token) ]);
+      expect(results.sort()).toEqual([ 'u1', null ].sort());
+    });
+
+    it('refuses expired tokens, and forgets them', async () => {
+      store.resetlife = -1;
+      let expired = await store.userResetCreate('u1');
+      expect(await store.userResetRedeem(expired.token)).toBeNull();
+
+      let stale = await store.userResetCreate('u2');
+      store.resetlife = 3600;
+      await store.userResetCreate('u3');  // clears the expired ones
+      expect(fs.readdirSync(path.join(store.data, 'resets')).length).toEqual(1);
+      expect(await store.userResetRedeem(stale.token)).toBeNull();
+    });
+  });
+
+  describe('collection names', () => {
+    it('allows safe names that are not the special user folders', () => {
+      for (let name of [ 'projects', 'notes', 'to-do', 'a_1' ]) {
+        expect(store.collectionAllowed(name)).toBe(true);
+      }
+      for (let name of [ 'assets', 'revisions', 'trash', 'Notes', '1notes', '../notes', '.notes', '', 'x'.repeat(33), undefined ]) {
+        expect(store.collectionAllowed(name)).toBe(false);
+      }
+    });
+
+    it('allows only the names in the collections setting, and projects, when there is one', () => {
+      store.collections = [ 'notes' ];
+      expect(store.collectionAllowed('notes')).toBe(true);
+      expect(store.collectionAllowed('projects')).toBe(true);
+      expect(store.collectionAllowed('tasks')).toBe(false);
+    });
+  });
+
+  describe('invitation codes', () => {
+    it('allows as many signups as the invite has uses', async () => {
+      let { code, invite } = await store.inviteCreate('u1', 2, 'readonly', null);
+      expect(invite).toEqual(expect.objectContaining({ createdBy: 'u1', uses: 2, role: 'readonly', expires: null }));
+      expect(await store.inviteList()).toEqual([ invite ]);
+
+      expect((await store.inviteRedeem(code)).uses).toEqual(1);
+      expect((await store.inviteList())[0].uses).toEqual(1);
+      expect((await store.inviteRedeem(code)).role).toEqual('readonly');
+      expect(await store.inviteRedeem(code)).toBeNull();
+      expect(await store.inviteList()).toEqual([ ]);
+      expect(await store.inviteRedeem(undefined)).toBeNull();
+      expect(await store.inviteRedeem('no such code')).toBeNull();
+    });
+
+    it('refuses expired invites, and deletes invites by ID', async () => {
+      let expired = await store.inviteCreate('u1', 5, null, Date.now() - 1000);
+      expect(await store.inviteRedeem(expired.code)).toBeNull();
+      expect(await store.inviteList()).toEqual([ ]);
+
+      let { code, invite } = await store.inviteCreate('u1', 1, null, Date.now() + 60000);
+      expect(await store.inviteDelete('unknown')).toBe(false);
+      expect(await store.inviteDelete(invite.id)).toBe(true);
+      expect(await store.inviteRedeem(code)).toBeNull();
+    });
+
+    it('gives each use to one signup at a time, and takes back the uses of signups that failed', async () => {
+      let { code } = await store.inviteCreate('u1', 2, 'readonly', null);
+      let redeemed = await Promise.all([ 1, 2, 3 ].map(() => store.inviteRedeem(code)));
+      expect(redeemed.filter(invite => invite).map(invite => invite.uses).sort()).toEqual([ 0, 1 ]);
+      expect(await store.inviteList()).toEqual([ ]);
+
+      await store.inviteReturn(code, redeemed.find(invite => invite && invite.uses === 0));
+      expect((await store.inviteList())[0]).toEqual(expect.objectContaining({ uses: 1, role: 'readonly' }));
+      await store.inviteReturn(code, redeemed.find(invite => invite && invite.uses === 1));
+      expect((await store.inviteList())[0].uses).toEqual(2);
+      expect((await store.inviteRedeem(code)).uses).toEqual(1);
+    });
+  });
+
+  describe('user records', () => {
+    beforeEach(async () => {
+      await store.userCreate({ }, { uid: 'u1', login: 'jsmith' });
+    });
+
+    it('keeps every change when user records are changed at the same time', async () => {
+      let credentials = { hash: 'rehashed' };
+      await Promise.all([
+        store.userLoggedIn('u1'),
+        store.userRolesSet('u1', [ 'moderator' ]),
+        store.userStatusSet('u1', 'suspended'),
+        store.userMfaPut('u1', { pending: 'secret' }),
+        store.userCredentialsPut('u1', credentials),
+        store.userRename('u1', 'john')
+      ]);
+      let meta = await store.userByUID('u1');
+      expect(meta.user).toEqual(expect.objectContaining({ login: 'john', roles: [ 'moderator' ], status: 'suspended' }));
+      expect(meta.user.lastLogin).toBeGreaterThan(0);
+      expect(meta.mfa).toEqual({ pending: 'secret' });
+      expect(meta.credentials).toEqual(credentials);
+    });
+  });
+
+  describe('login ID renames', () => {
+    beforeEach(async () => {
+      await store.userCreate({ }, { uid: 'u1', login: 'jsmith' });
+      await store.userCreate({ }, { uid: 'u2', login: 'jdoe' });
+    });
+
+    it('moves the logins/ link to the new name and ends the old sessions', async () => {
+      let session = await store.sessions.create({ uid: 'u1', login: 'jsmith' });
+      let meta = await store.userRename('u1', 'john');
+      expect(meta.user.login).toEqual('john');
+      expect(await store.loginExists('john')).toBe(true);
+      expect(await store.loginExists('jsmith')).toBe(false);
+      expect((await store.userByLogin('john')).user.uid).toEqual('u1');
+      expect(await store.userByLogin('jsmith')).toBeNull();
+      expect(store.sessions.isRevoked(session.sid)).toBe(true);
+    });
+
+    it('refuses a name that is taken, and changes nothing', async () => {
+      expect(await store.userRename('u1', 'jdoe')).toBe(false);
+      expect((await store.userByLogin('jdoe')).user.uid).toEqual('u2');
+      expect((await store.userByLogin('jsmith')).user.uid).toEqual('u1');
+      expect((await store.userByUID('u1')).user.login).toEqual('jsmith');
+      expect(await store.userRename('nobody', 'someone')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Teams = require('../src/teams');
+
+describe('teams', () => {
+  let folder;
+  let teams;
+
+  beforeEach(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'teams-'));
+    teams = new Teams(folder);
+    await teams.init();
+  });
+  afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('creates teams with an owner, and adds members through invitations', async () => {
+    let team = await teams.create('Acme', 'u1');
+    expect(teams.role(team.id, 'u1')).toBe('owner');
+    expect(teams.role(team.id, 'u2')).toBeNull();
+
+    let invitation = await teams.invite(team, 'u2', 'admin', 'u1');
+    await teams.invite(team, 'u3', 'member', 'u1');
+    expect(teams.invitationsFor('u2').map(item => item.invitation.id)).toEqual([ invitation.id ]);
+    await teams.accept(team, invitation);
+    expect(teams.role(team.id, 'u2')).toBe('admin');
+    expect(teams.invitationsFor('u2')).toEqual([ ]);
+
+    let reloaded = new Teams(folder);
+    await reloaded.init();
+    expect(reloaded.list('u2').map(item => item.name)).toEqual([ 'Acme' ]);
+    expect(reloaded.get(team.id).invitations.map(inv => inv.uid)).toEqual([ 'u3' ]);
+  });
+
+  it('passes ownership on when the last owner is removed', async () => {
+    let team = await teams.create('Acme', 'u1');
+    await teams.setRole(team, 'u2', 'member');
+    await teams.setRole(team, 'u3', 'admin');
+    expect(await teams.removeMember(team, 'u1')).toBe(true);
+    expect(teams.role(team.id, 'u3')).toBe('owner');
+    expect(teams.role(team.id, 'u2')).toBe('member');
+    expect(await teams.removeMember(team, 'u2')).toBe(true);
+    expect(await teams.removeMember(team, 'u3')).toBe(false);
+    expect(Teams.rank('owner')).toBeGreaterThan(Teams.rank('admin'));
+  });
+});
@@ -0,0 +1,100 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const log = require('../src/log');
+const Throttle = require('../src/throttle');
+const harness = require('./harness');
+
+describe('throttle', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'throttle-'));
+    log.init('fatal', path.join(folder, 'sossdata.log'));
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  it('doubles the delay after the free failures, up to the longest delay', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(1000000);
+    let throttle = new Throttle({ free: 2, delay: 1, maxdelay: 4, window: 60 });
+    let waits = [ ];
+    for (let i = 0; i < 6; i++) {
+      throttle.fail('ip:1');
+      waits.push(throttle.retryAfter('ip:1'));
+    }
+    expect(waits).toEqual([ 0, 0, 1, 2, 4, 4 ]);
+    expect(throttle.retryAfter('ip:2')).toEqual(0);
+
+    jest.setSystemTime(1000000 + 4000);
+    expect(throttle.retryAfter('ip:1')).toEqual(0);
+    throttle.succeed('ip:1');
+    throttle.fail('ip:1');
+    expect(throttle.retryAfter('ip:1')).toEqual(0);
+  });
+
+  it('forgets failures older than the window', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(1000000);
+    let throttle = new Throttle({ free: 1, window: 60 });
+    expect(throttle.fail('login:jsmith')).toEqual(1);
+    expect(throttle.fail('login:jsmith')).toEqual(2);
+    jest.setSystemTime(1000000 + 61000);
+    expect(throttle.retryAfter('login:jsmith')).toEqual(0);
+    expect(throttle.fail('login:jsmith')).toEqual(1);
+  });
+
+  it('locks accounts until the lock time ends or they are unlocked, across restarts', async () => {
+    let throttle = new Throttle({ locktime: 600 }, folder, 'lockouts.json');
+    await throttle.init();
+    await throttle.lock('u1', 'jsmith');
+    expect(throttle.lockedFor('u1')).toBeGreaterThan(590);
+    expect(throttle.lockedFor('u2')).toEqual(0);
+
+    let reloaded = new Throttle({ locktime: 600 }, folder, 'lockouts.json');
+    await reloaded.init();
+    expect(reloaded.lockedFor('u1')).toBeGreaterThan(590);
+    expect(await reloaded.unlock('u1', 'jsmith')).toBe(true);
+    expect(reloaded.lockedFor('u1')).toEqual(0);
+    expect(await reloaded.unlock('u1', 'jsmith')).toBe(false);
+  });
+
+  describe('logins', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = await harness.start({ throttle: { free: 2, delay: 1, lockafter: 3, locktime: 600 } });
+    });
+    afterAll(async () => {
+      await server.close();
+    });
+
+    async function login(name, password) {
+      return await server.request('POST', '/login', { body: { login: name, password } });
+    }
+
+    it('replies 429 with Retry-After after failures, and locks the account until an admin unlocks it', async () => {
+      let admin = await server.signup('admin');
+      let user = await server.signup('pat');
+      for (let i = 1; i <= 3; i++) {
+        expect((await login('pat', 'guess ' + i)).status).toEqual(401);
+      }
+      let throttled = await login('pat', 'secret password');
+      expect(throttled.status).toEqual(429);
+      expect(throttled.headers['retry-after']).toEqual('1');
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      let locked = await login('pat', 'secret password');
+      expect(locked.status).toEqual(429);
+      expect(Number(locked.headers['retry-after'])).toBeGreaterThan(590);
+
+      expect((await server.request('DELETE', `/users/${user.uid}/lock`, { token: user.token })).status).toEqual(403);
+      let unlocked = await server.request('DELETE', `/users/${user.uid}/lock`, { token: admin.token });
+      expect(unlocked.body.message).toEqual('The account has been unlocked.');
+      expect((await login('pat', 'secret password')).status).toEqual(200);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const totp = require('../src/totp');
+
+// RFC 6238 appendix B test vectors, for the SHA1 secret '12345678901234567890'
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const VECTORS = [
+  [ 59, '94287082' ],
+  [ 1111111109, '07081804' ],
+  [ 1111111111, '14050471' ],
+  [ 1234567890, '89005924' ],
+  [ 2000000000, '69279037' ],
+  [ 20000000000, '65353130' ]
+];
+
+describe('totp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    for (let [seconds, code] of VECTORS) {
+      expect(totp.generate(SECRET, seconds * 1000, 8)).toEqual(code);
+    }
+  });
+
+  it('round-trips base32', () => {
+    let buf = Buffer.from('any bytes at all!');
+    expect(totp.base32Decode(totp.base32Encode(buf))).toEqual(buf);
+  });
+
+  it('verifies codes within the window and refuses replays', () => {
+    let secret = totp.generateSecret();
+    let time = 1700000000000;
+    let code = totp.generate(secret, time);
+    let counter = totp.verify(secret, code, { time });
+    expect(counter).toEqual(Math.floor(time / 30000));
+    expect(totp.verify(secret, code, { time: time + 30000 })).toEqual(counter);
+    expect(totp.verify(secret, code, { time: time + 90000 })).toBeNull();
+    expect(totp.verify(secret, code, { time, after: counter })).toBeNull();
+    expect(totp.verify(secret, code.slice(1), { time })).toBeNull();
+  });
+
+  it('builds an otpauth URI', () => {
+    expect(totp.keyUri('ABC', 'joe', 'My Server')).toEqual(
+      'otpauth://totp/My%20Server:joe?secret=ABC&issuer=My%20Server&algorithm=SHA1&digits=6&period=30');
+  });
+});
@@ -0,0 +1,52 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const TrashBin = require('../src/trashbin');
+
+describe('trashbin', () => {
+  let base;
+  let folder;
+  let trash;
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-'));
+    folder = path.join(base, 'projects');
+    trash = path.join(base, 'trash');
+    fs.mkdirSync(folder);
+    fs.writeFileSync(path.join(folder, 'p1.json'), '{"name":"one"}');
+    fs.writeFileSync(path.join(folder, 'p1.png'), 'PNG');
+  });
+  afterEach(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  it('moves files into the trash and back', async () => {
+    let bin = new TrashBin();
+    let rec = await bin.put(trash, folder, [ 'p1.json', 'p1.png' ], 'u1', { collection: 'projects', uid: 'p1' });
+    expect(fs.readdirSync(folder)).toEqual([ ]);
+    expect((await bin.list(trash)).map(item => [ item.uid, item.by, item.files ])).toEqual([ [ 'p1', 'u1', [ 'p1.json', 'p1.png' ] ] ]);
+
+    fs.writeFileSync(path.join(folder, 'p1.png'), 'NEW');
+    await expect(bin.restore(trash, rec, folder)).rejects.toMatchObject({ code: 'EEXIST' });
+    expect(fs.readdirSync(folder)).toEqual([ 'p1.png' ]);
+
+    fs.unlinkSync(path.join(folder, 'p1.png'));
+    await bin.restore(trash, rec, folder);
+    expect(fs.readdirSync(folder).sort()).toEqual([ 'p1.json', 'p1.png' ]);
+    expect(await bin.list(trash)).toEqual([ ]);
+  });
+
+  it('purges items older than the retention period', async () => {
+    let bin = new TrashBin({ retention: 7 });
+    let old = await bin.put(trash, folder, [ 'p1.json' ], 'u1', { });
+    await bin.put(trash, folder, [ 'p1.png' ], 'u1', { });
+    let rec = JSON.parse(fs.readFileSync(path.join(trash, old.id + '.json')));
+    rec.deleted -= 8 * 24 * 60 * 60 * 1000;
+    fs.writeFileSync(path.join(trash, old.id + '.json'), JSON.stringify(rec));
+
+    expect((await bin.purge(trash)).map(item => item.id)).toEqual([ old.id ]);
+    expect((await bin.list(trash)).map(item => item.files)).toEqual([ [ 'p1.png' ] ]);
+    expect(fs.existsSync(path.join(trash, old.id))).toBe(false);
+    expect(new TrashBin({ retention: 0 }).expired(rec, Date.now())).toBe(false);
+  });
+});
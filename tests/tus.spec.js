@@ -0,0 +1,61 @@
+const path = require('path');
+const fs = require('fs');
+const harness = require('./harness');
+
+// Resumable (tus) uploads over HTTP.
+describe('tus', () => {
+  const tus = { 'Tus-Resumable': '1.0.0' };
+  let server;
+  let user;
+
+  beforeAll(async () => {
+    server = await harness.start();
+    user = await server.signup('jsmith');
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  // Starts an upload of length bytes. Returns its URL.
+  async function start(length, filename) {
+    let created = await server.request('POST', '/assets/uploads', { token: user.token, headers: Object.assign({
+      'Upload-Length': String(length),
+      'Upload-Metadata': 'filename ' + Buffer.from(filename).toString('base64')
+    }, tus) });
+    expect(created.status).toEqual(201);
+    return created.headers.location;
+  }
+
+  async function send(url, data, offset) {
+    let headers = Object.assign({ 'Upload-Offset': String(offset || 0) }, tus);
+    return await server.request('PATCH', url, { token: user.token, body: data, type: 'application/offset+octet-stream', headers });
+  }
+
+  it('replies 410 to an expired upload, and deletes it', async () => {
+    let url = await start(6, 'a.txt');
+    expect((await send(url, 'abc')).status).toEqual(204);
+    let id = url.split('/').pop();
+    let file = path.join(server.data, 'uploads', id + '.json');
+    let rec = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify(Object.assign(rec, { expires: Date.now() - 1000 })));
+
+    let expired = await send(url, 'def', 3);
+    expect(expired.status).toEqual(410);
+    expect(fs.existsSync(file)).toBe(false);
+    expect(fs.existsSync(path.join(server.data, 'uploads', id + '.part'))).toBe(false);
+    expect((await server.request('HEAD', url, { token: user.token, headers: tus })).status).toEqual(404);
+  });
+
+  it('keeps the data of a .json file apart from its metadata', async () => {
+    let data = '{ "name": "settings" }';
+    let url = await start(data.length, 'settings.json');
+    expect((await send(url, data)).status).toEqual(204);
+    let id = url.split('/').pop();
+
+    let asset = await server.request('GET', `/assets/${id}`, { token: user.token });
+    expect(asset.text).toEqual(data);
+    let meta = await server.request('GET', `/assets/${id}.json`, { token: user.token });
+    expect(meta.body).toEqual(expect.objectContaining({ id, originalname: 'settings.json', size: data.length }));
+    expect(meta.body.filename).not.toEqual(id + '.json');
+  });
+});
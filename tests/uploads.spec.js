@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const Uploads = require('../src/uploads');
+
+describe('uploads', () => {
+  let base;
+  let uploads;
+  let part = (rec) => fs.readFileSync(path.join(base, 'uploads', rec.id + '.part'), 'utf8');
+
+  beforeEach(async () => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    uploads = new Uploads(path.join(base, 'uploads'));
+    await uploads.init();
+  });
+  afterEach(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  it('appends chunks at the offset', async () => {
+    let rec = await uploads.create('u1', 'u1', 6, { filename: 'a.txt' });
+    await uploads.append(rec, Readable.from([ Buffer.from('abc') ]));
+    expect((await uploads.get(rec.id)).offset).toBe(3);
+    await uploads.append(rec, Readable.from([ Buffer.from('de'), Buffer.from('f') ]));
+    expect(rec.offset).toBe(6);
+    expect(part(rec)).toBe('abcdef');
+    await uploads.remove(rec.id);
+    expect(fs.readdirSync(uploads.folder)).toEqual([ ]);
+  });
+
+  it('drops chunks that fail their checksum or are too long', async () => {
+    let rec = await uploads.create('u1', 'u1', 6, { });
+    let digest = crypto.createHash('sha256').update('abc').digest('base64');
+    await expect(uploads.append(rec, Readable.from([ Buffer.from('abx') ]), { algorithm: 'sha256', digest }))
+      .rejects.toMatchObject({ code: 'ECHECKSUM' });
+    expect(rec.offset).toBe(0);
+    expect(part(rec)).toBe('');
+    await uploads.append(rec, Readable.from([ Buffer.from('abc') ]), { algorithm: 'sha256', digest });
+    await expect(uploads.append(rec, Readable.from([ Buffer.from('defg') ]))).rejects.toMatchObject({ code: 'ETOOLONG' });
+    expect(rec.offset).toBe(3);
+    expect(part(rec)).toBe('abc');
+  });
+
+  it('purges expired uploads', async () => {
+    let kept = await uploads.create('u1', 'u1', 1, { });
+    let old = await uploads.create('u1', 'u1', 1, { });
+    old.expires = Date.now() - 1;
+    await uploads.save(old);
+    expect((await uploads.purge()).map(rec => rec.id)).toEqual([ old.id ]);
+    expect(fs.readdirSync(uploads.folder).sort()).toEqual([ kept.id + '.json', kept.id + '.part' ].sort());
+  });
+});
@@ -0,0 +1,94 @@
+const path = require('path');
+const fs = require('fs');
+const harness = require('./harness');
+
+// Registration, login and account management over HTTP.
+describe('users', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await harness.start({ outbox: 'file' });
+  });
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('refuses signups without a password, and logins without a body', async () => {
+    for (let password of [ undefined, '', 12345678, { text: 'secret' } ]) {
+      let reply = await server.request('POST', '/users', { body: { login: 'jsmith', password } });
+      expect(reply.status).toEqual(400);
+    }
+    expect((await server.request('HEAD', '/users/jsmith')).status).toEqual(200);  // still available
+
+    expect((await server.request('POST', '/login')).status).toEqual(401);
+    await server.signup('jsmith');
+    expect((await server.request('POST', '/login', { body: { login: 'jsmith', password: 'secret password' } })).status).toEqual(200);
+  });
+
+  it('changes the password with the current one, ending the old sessions', async () => {
+    let user = await server.signup('pat');
+    let wrong = await server.request('PUT', '/profile/password', { token: user.token, body: { current: 'guess', password: 'new password' } });
+    expect(wrong.status).toEqual(403);
+    let changed = await server.request('PUT', '/profile/password', { token: user.token, body: { current: 'secret password', password: 'new password' } });
+    expect(changed.status).toEqual(200);
+
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(401);
+    expect((await server.request('GET', '/profile', { token: changed.body.token })).status).toEqual(200);
+    expect((await server.request('POST', '/login', { body: { login: 'pat', password: 'secret password' } })).status).toEqual(401);
+    expect((await server.request('POST', '/login', { body: { login: 'pat', password: 'new password' } })).status).toEqual(200);
+  });
+
+  it('ends a session on logout, whatever fields the user has set', async () => {
+    let user = await server.signup('kit', null, { kid: 'x' });
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(200);
+    expect((await server.request('POST', '/logout', { token: user.token })).status).toEqual(200);
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(401);
+  });
+
+  it('signs only its own claims, whatever fields the user sets, and ends the session on logout or password change', async () => {
+    function claims(token) {
+      return JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString('utf8'));
+    }
+    let forged = { sid: 'forged', scopes: [ 'account' ], exp: 4102444800, jti: 'forged', iss: 'elsewhere' };
+    let user = await server.signup('claire', null, Object.assign({ display: 'Claire' }, forged));
+    expect(Object.keys(claims(user.token)).sort()).toEqual([ 'exp', 'iat', 'iss', 'jti', 'login', 'roles', 'sid', 'uid' ]);
+    expect(claims(user.token)).toEqual(expect.objectContaining({ uid: user.uid, login: 'claire', roles: [ 'user' ] }));
+    expect(claims(user.token).sid).not.toEqual('forged');
+    expect((await server.request('PUT', '/profile', { token: user.token, body: forged })).status).toEqual(200);
+    let profile = await server.request('GET', '/profile', { token: user.token });
+    expect(profile.body).toEqual(expect.objectContaining({ display: 'Claire' }));
+    for (let name of Object.keys(forged)) {
+      expect(profile.body[name]).toBeUndefined();
+    }
+
+    expect((await server.request('POST', '/logout', { token: user.token })).status).toEqual(200);
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(401);
+
+    let login = await server.request('POST', '/login', { body: { login: 'claire', password: 'secret password' } });
+    let changed = await server.request('PUT', '/profile/password', { token: login.body.token, body: { current: 'secret password', password: 'new password' } });
+    expect(changed.status).toEqual(200);
+    expect((await server.request('GET', '/profile', { token: login.body.token })).status).toEqual(401);
+    expect((await server.request('GET', '/profile', { token: changed.body.token })).status).toEqual(200);
+  });
+
+  it('resets a password once, with a token an admin sends through the outbox', async () => {
+    let admin = await server.signup('admin');
+    let user = await server.signup('quinn');
+    expect((await server.request('POST', `/users/${user.uid}/reset`, { token: user.token })).status).toEqual(403);
+    let issued = await server.request('POST', `/users/${user.uid}/reset`, { token: admin.token });
+    expect(issued.status).toEqual(200);
+
+    let folder = path.join(server.data, 'outbox');
+    let [ fn ] = fs.readdirSync(folder);
+    let message = JSON.parse(fs.readFileSync(path.join(folder, fn), 'utf8'));
+    expect(message.login).toEqual('quinn');
+    expect(message.text).toContain(message.token);
+
+    let reset = await server.request('POST', '/reset', { body: { token: message.token, password: 'reset password' } });
+    expect(reset.status).toEqual(200);
+    expect((await server.request('GET', '/profile', { token: user.token })).status).toEqual(401);
+    let again = await server.request('POST', '/reset', { body: { token: message.token, password: 'other password' } });
+    expect(again.status).toEqual(401);
+    expect((await server.request('POST', '/login', { body: { login: 'quinn', password: 'reset password' } })).status).toEqual(200);
+  });
+});